@@ -0,0 +1,236 @@
+# app/controllers/chat_streams_controller.rb
+#
+# Streams AI chat replies to the chat form as Server-Sent Events, so the reply
+# appears token by token instead of all at once.
+#
+# This controller handles:
+# - Recording the user's message in the chat history
+# - Streaming the conversational part of the reply ("token" events)
+# - Storing the final reply and sending the Turbo Streams that render it and
+#   refresh the AI suggestions panel ("complete" event)
+# - Cancellation: when the user presses Stop the browser drops the connection,
+#   generation is aborted and the partial reply is kept as a stopped message
+# - Failures: the user's message is removed again and an "error" event is sent,
+#   so the chat form can mark it as not sent and retry it
+# - Replies that take long are announced by Web Push (PushNotifier), once stored
+# - Edits: with edit_index the message replaces an earlier user message and the
+#   conversation is regenerated from there as a new branch (see
+#   PatentApplication#branch_chat_history); the whole transcript is re-rendered
+#
+# Run with FAKE_AI=1 to stream a canned reply without calling OpenAI.
+
+class ChatStreamsController < ApplicationController
+  include ActionController::Live
+  include ChatHistoryMessages
+
+  # Raised from the token callback when the browser has gone away, to abort generation
+  # (Faraday turns IOErrors raised while reading the response into connection failures)
+  class ReplyStopped < StandardError; end
+
+  before_action :set_patent_application
+
+  # POST /patent_applications/:id/chat_stream
+  # Streams the AI reply to a chat message
+  def create
+    response.headers["Content-Type"] = "text/event-stream"
+    response.headers["Cache-Control"] = "no-cache"
+    response.headers["X-Accel-Buffering"] = "no"
+    # Without a validator Rack::ETag buffers the whole body before sending it
+    response.headers["Last-Modified"] = Time.current.httpdate
+
+    user_message = params[:message].to_s.strip
+    Rails.logger.debug("[ChatStreamsController#create] Streaming reply for patent application #{@patent_application.id}: #{user_message}")
+
+    if user_message.blank?
+      write_event("error", message: "Please enter a message.")
+      return
+    end
+
+    @edit_index = params[:edit_index].presence&.to_i
+    if @edit_index
+      @history_before_edit = @patent_application.chat_history.deep_dup
+      @user_entry = record_edited_message(@edit_index, user_message)
+      unless @user_entry
+        write_event("error", message: "That message can no longer be edited.")
+        return
+      end
+    else
+      @user_entry = record_user_message(user_message)
+    end
+
+    extractor = StreamingMessageExtractor.new
+    @streamed_text = +""
+
+    @reply_started_at = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+
+    # The service adds the reply to the messages it is given, keep that out of the stored history
+    result = PatentService.guide_problem_solution(
+      messages: @patent_application.chat_history.dup,
+      user_input: user_message,
+      current_problem: @patent_application.problem,
+      current_solution: @patent_application.solution
+    ) do |chunk|
+      text = extractor.push(chunk)
+      next if text.empty?
+
+      @streamed_text << text
+      begin
+        write_event("token", text: text)
+      rescue ActionController::Live::ClientDisconnected, IOError
+        raise ReplyStopped
+      end
+    end
+
+    ai_response = record_ai_response(result)
+    # Queued before the final write, which fails if the page was closed after the last token
+    notify_if_long_reply(ai_response)
+    write_event("complete", turbo_stream: final_streams(@user_entry, ai_response, result))
+    Rails.logger.debug("[ChatStreamsController#create] Finished streaming reply (#{@streamed_text.length} chars)")
+  rescue ReplyStopped
+    Rails.logger.debug("[ChatStreamsController#create] Client stopped the reply after #{@streamed_text.length} chars")
+    record_stopped_reply
+  rescue ActionController::Live::ClientDisconnected, IOError
+    Rails.logger.debug("[ChatStreamsController#create] Client disconnected before the reply was sent")
+  rescue => e
+    Rails.logger.error("[ChatStreamsController#create] Error streaming reply: #{e.class}: #{e.message}")
+    Rails.logger.error(e.backtrace.join("\n"))
+    # The message was not answered - drop it (or undo the edit) so the chat form can offer to retry it
+    if @history_before_edit
+      @patent_application.chat_history = @history_before_edit
+      @patent_application.save
+    elsif @user_entry
+      discard_chat_message(@user_entry)
+    end
+    begin
+      write_event("error", message: "Sorry, something went wrong while generating the reply. Please try again.")
+    rescue IOError
+      # The client is already gone
+    end
+  ensure
+    response.stream.close
+  end
+
+  private
+
+  # Sets the patent application from the id parameter
+  def set_patent_application
+    @patent_application = PatentApplication.find(params[:id])
+  rescue ActiveRecord::RecordNotFound
+    Rails.logger.error("[ChatStreamsController#set_patent_application] Patent application not found: #{params[:id]}")
+    head :not_found
+  end
+
+  # Writes a single Server-Sent Event with a JSON payload
+  def write_event(event, data)
+    response.stream.write("event: #{event}\ndata: #{data.to_json}\n\n")
+  end
+
+  # Adds the user's message to the chat history before the reply starts and returns the stored entry
+  def record_user_message(user_message)
+    @patent_application.chat_history ||= []
+    @patent_application.chat_history << standardize_message({
+      role: "user",
+      content: user_message,
+      patent_application_id: @patent_application.id
+    })
+    @patent_application.save
+    @patent_application.chat_history.last
+  end
+
+  # Replaces the user message at index with the edited one, keeping the old conversation as a branch
+  # Returns the stored entry, or nil when index is not a user message
+  def record_edited_message(index, user_message)
+    entry = standardize_message({
+      role: "user",
+      content: user_message,
+      patent_application_id: @patent_application.id
+    })
+    return nil unless @patent_application.branch_chat_history(index, entry)
+
+    @patent_application.save
+    @patent_application.chat_history.last
+  end
+
+  # Stores the finished reply with its suggestions, same format as the regular chat action
+  def record_ai_response(result)
+    _, _, message_text, _ = PatentService.extract_problem_solution_from_history([ { role: "assistant", content: result[:ai_message] } ])
+
+    ai_response = standardize_message({
+      role: "assistant",
+      content: message_text.presence || @streamed_text.presence || "I'm sorry, I couldn't process that request properly.",
+      problem: result[:ai_suggested_problem] || "",
+      solution: result[:ai_suggested_solution] || "",
+      title: result[:ai_suggested_title] || "",
+      patent_application_id: @patent_application.id
+    })
+
+    @patent_application.chat_history << ai_response
+    unless @patent_application.save
+      Rails.logger.error("[ChatStreamsController#record_ai_response] Failed to save chat history: #{@patent_application.errors.full_messages.join(', ')}")
+    end
+
+    ai_response
+  end
+
+  # Announces replies that took long by Web Push, the user has likely switched away meanwhile
+  def notify_if_long_reply(ai_response)
+    elapsed = Process.clock_gettime(Process::CLOCK_MONOTONIC) - @reply_started_at
+    return if elapsed < PushNotifier::LONG_REPLY_SECONDS
+
+    Rails.logger.debug("[ChatStreamsController#notify_if_long_reply] Reply took #{elapsed.round}s, notifying")
+    PushNotifier.ai_reply_finished(@patent_application, ai_response.dig("content", "message"))
+  end
+
+  # Keeps whatever was streamed before the user pressed Stop
+  def record_stopped_reply
+    return if @streamed_text.blank?
+
+    stopped = standardize_message({ role: "assistant", content: @streamed_text, patent_application_id: @patent_application.id })
+    @patent_application.chat_history << stopped.merge("stopped" => true)
+    @patent_application.save
+  end
+
+  # Turbo Streams that replace the streamed preview with the stored messages
+  # After an edit the conversation below the edited message changed, so the whole transcript is rendered
+  def final_streams(user_entry, ai_response, result)
+    messages = if @edit_index
+      [
+        turbo_stream.update(
+          "chat_messages",
+          partial: "patent_applications/chat_messages",
+          locals: { patent_application: @patent_application }
+        )
+      ]
+    else
+      [
+        turbo_stream.append(
+          "chat_messages",
+          partial: "patent_applications/message",
+          locals: { message: user_entry, history_index: @patent_application.chat_history.rindex(user_entry) }
+        ),
+        turbo_stream.append(
+          "chat_messages",
+          partial: "patent_applications/message",
+          locals: { message: ai_response }
+        )
+      ]
+    end
+
+    (messages + [
+      turbo_stream.update(
+        "ai_suggestions",
+        partial: "patent_applications/ai_suggestions",
+        locals: {
+          patent_application: @patent_application,
+          suggested_problem: result[:ai_suggested_problem].presence,
+          suggested_solution: result[:ai_suggested_solution].presence
+        }
+      ),
+      turbo_stream.replace(
+        "patent_application_id",
+        partial: "patent_applications/patent_application_id",
+        locals: { patent_application: @patent_application }
+      )
+    ]).join
+  end
+end
@@ -0,0 +1,41 @@
+# app/controllers/client_logs_controller.rb
+#
+# Receives the errors logged in the browser (app/javascript/lib/logger.js), which are
+# uploaded in batches, and writes them to the Rails log next to the server's own entries.
+# The logger has already redacted patent text from them.
+#
+# This controller handles:
+# - Accepting a batch of client errors, sent with fetch or navigator.sendBeacon
+# - Bounding what a batch can write, as anyone with a session can post to it
+
+class ClientLogsController < ApplicationController
+  # Entries written from one batch; the rest are dropped
+  MAX_ENTRIES = 20
+
+  # Characters kept of each message and its data
+  MAX_LENGTH = 2000
+
+  # POST /client_logs
+  # Writes each error of the batch to the log and answers with no content
+  def create
+    entries = client_log_params.fetch(:entries, []).first(MAX_ENTRIES)
+    page = client_log_params[:page].to_s.truncate(200)
+
+    entries.each do |entry|
+      Rails.logger.warn(
+        "[ClientLogsController#create] #{entry[:level].to_s.truncate(10)} from [#{entry[:source].to_s.truncate(60)}] " \
+        "on #{page} at #{entry[:time].to_s.truncate(40)}: #{entry[:message].to_s.truncate(MAX_LENGTH)} " \
+        "#{entry[:data].to_s.truncate(MAX_LENGTH)}"
+      )
+    end
+
+    Rails.logger.debug("[ClientLogsController#create] Received #{entries.size} client log entries (#{request.user_agent.to_s.truncate(120)})")
+    head :no_content
+  end
+
+  private
+
+  def client_log_params
+    params.permit(:page, entries: [ :time, :level, :source, :message, :data ])
+  end
+end
@@ -0,0 +1,91 @@
+# app/controllers/concerns/chat_history_messages.rb
+#
+# Shared handling of the chat history stored on a patent application.
+# Used by PatentApplicationsController (regular chat requests) and
+# ChatStreamsController (streamed replies) so both store messages the same way.
+# A user message whose reply fails is removed again, so the chat form can show
+# it as "not sent" and retry it without duplicating it in the history.
+
+module ChatHistoryMessages
+  extend ActiveSupport::Concern
+
+  private
+
+  # Standardizes a message for storage in the chat history
+  def standardize_message(message)
+    # Ensure we have a timestamp
+    timestamp = message[:timestamp] || message["timestamp"] || Time.current.to_i
+
+    # Ensure we have a patent_application_id
+    patent_application_id = message[:patent_application_id] || message["patent_application_id"] || @patent_application&.id
+
+    # Get the role
+    role = message[:role] || message["role"]
+
+    # For assistant messages, structure the content properly
+    if role == "assistant"
+      # Get content, which could be a string or a hash
+      content = message[:content] || message["content"]
+      problem = message[:problem] || message["problem"] || ""
+      solution = message[:solution] || message["solution"] || ""
+      title = message[:title] || message["title"] || ""
+
+      # If content is a hash, extract message from it
+      if content.is_a?(Hash)
+        message_text = content[:message] || content["message"] || ""
+      elsif content.is_a?(Hash) && content["message"].present?
+        # If content is already a hash with message field, extract it to avoid nesting
+        message_text = content["message"]
+        # Also check if the hash has problem/solution fields
+        problem = content["problem"] if content["problem"].present? && !problem.present?
+        solution = content["solution"] if content["solution"].present? && !solution.present?
+      else
+        message_text = content
+      end
+
+      # Debug logging
+      Rails.logger.debug("[ChatHistoryMessages#standardize_message] Processing assistant message: content=#{content.class}, problem=#{problem}, solution=#{solution}") if Rails.env.development?
+
+      # Create the standardized assistant message
+      standardized = {
+        "role" => "assistant",
+        "timestamp" => timestamp,
+        "patent_application_id" => patent_application_id,
+        "content" => {
+          "problem" => problem,
+          "solution" => solution,
+          "title" => title,
+          "message" => message_text
+        }
+      }
+    else
+      # Default case for unknown roles
+      standardized = {
+        "role" => role,
+        "message" => message[:content] || message["content"] || "",
+        "timestamp" => timestamp,
+        "patent_application_id" => patent_application_id
+      }
+    end
+
+    # Add debug logging
+    Rails.logger.debug("[ChatHistoryMessages#standardize_message] Standardized message: #{standardized.inspect}") if Rails.env.development?
+
+    # Return the standardized message
+    standardized
+  end
+
+  # Removes a message from the chat history again (e.g. when the reply to it failed),
+  # along with anything PatentService added after it during the failed attempt
+  def discard_chat_message(message)
+    index = @patent_application.chat_history.rindex(message)
+    return unless index
+
+    @patent_application.chat_history.slice!(index..)
+    if @patent_application.save
+      Rails.logger.debug("[ChatHistoryMessages#discard_chat_message] Removed unanswered message at #{index}")
+    else
+      Rails.logger.error("[ChatHistoryMessages#discard_chat_message] Failed to save chat history: #{@patent_application.errors.full_messages.join(', ')}")
+    end
+  end
+end
@@ -7,41 +7,74 @@
 # - Creating and editing patent applications
 # - Persisting problem and solution text
 # - Facilitating AI chat interactions through PatentService
+# - Marking complete and publishing, once the pre-publish checklist passes (PublishChecklist)
 
 class PatentApplicationsController < ApplicationController
-  before_action :set_patent_application, only: [ :show, :edit, :update, :mark_complete, :publish, :chat, :update_problem, :update_solution, :set_title, :update_title ]
+  include ChatHistoryMessages
+
+  # Most patents the marketplace compares side by side
+  COMPARE_LIMIT = 4
+
+  before_action :set_patent_application, only: [ :show, :edit, :update, :checklist, :mark_complete, :publish, :chat, :switch_chat_branch, :update_problem, :update_solution, :set_title, :title_candidates, :update_title, :revisions, :restore_revision ]
 
   # GET /patent_applications
   # Lists all patent applications owned by the current user
+  # As JSON, returns the titles the command palette searches, most recently updated first
   def index
     Rails.logger.debug("[PatentApplicationsController#index] Listing all patent applications")
 
     # Get all patent applications (would be scoped to current_user in a real app)
     @patent_applications = PatentApplication.all.order(updated_at: :desc)
 
-    # Group applications by status for easier display
-    @draft_applications = @patent_applications.select(&:draft?)
-    @complete_applications = @patent_applications.select(&:complete?)
-    @published_applications = @patent_applications.select(&:published?)
+    respond_to do |format|
+      format.html do
+        # Group applications by status for easier display
+        @draft_applications = @patent_applications.select(&:draft?)
+        @complete_applications = @patent_applications.select(&:complete?)
+        @published_applications = @patent_applications.select(&:published?)
+
+        Rails.logger.debug("[PatentApplicationsController#index] Found #{@patent_applications.size} applications: " +
+                          "#{@draft_applications.size} drafts, " +
+                          "#{@complete_applications.size} complete, " +
+                          "#{@published_applications.size} published")
+      end
 
-    Rails.logger.debug("[PatentApplicationsController#index] Found #{@patent_applications.size} applications: " +
-                      "#{@draft_applications.size} drafts, " +
-                      "#{@complete_applications.size} complete, " +
-                      "#{@published_applications.size} published")
+      format.json do
+        render json: @patent_applications.map { |patent|
+          {
+            id: patent.id,
+            title: patent.title.presence || "Untitled Patent Application",
+            status: patent.status,
+            url: patent_application_path(patent)
+          }
+        }
+      end
+    end
   end
 
   # GET /patent_applications/marketplace
   # Displays published patent applications available for browsing/bidding/purchasing
+  # Searched, filtered, sorted and paginated through the query string (see MarketplaceSearch)
   def marketplace
-    Rails.logger.debug("[PatentApplicationsController#marketplace] Showing patent marketplace")
+    Rails.logger.debug("[PatentApplicationsController#marketplace] Showing patent marketplace with params: #{marketplace_params.to_h.inspect}")
+
+    @search = MarketplaceSearch.new(marketplace_params)
+    @marketplace_patents = @search.results
+    @any_published = @search.filtered? || @marketplace_patents.any? || PatentApplication.where(status: PatentApplication::STATUSES[:published]).exists?
+
+    Rails.logger.debug("[PatentApplicationsController#marketplace] Found #{@search.total_count} matching patents, showing page #{@search.page} of #{@search.total_pages}")
+  end
 
-    # Only show published applications in the marketplace
-    @marketplace_patents = PatentApplication.where(status: "published").order(updated_at: :desc)
+  # GET /patent_applications/compare?ids=3,8,12
+  # Shows up to COMPARE_LIMIT published applications side by side, in the order given
+  def compare
+    ids = params[:ids].to_s.split(",").map(&:to_i).select(&:positive?).uniq.first(COMPARE_LIMIT)
+    Rails.logger.debug("[PatentApplicationsController#compare] Comparing patent applications: #{ids.inspect}")
 
-    # In a real app, we might have additional filtering options here
-    # such as by category, price range, etc.
+    patents = PatentApplication.where(status: PatentApplication::STATUSES[:published], id: ids).index_by(&:id)
+    @compared_patents = ids.filter_map { |id| patents[id] }
 
-    Rails.logger.debug("[PatentApplicationsController#marketplace] Found #{@marketplace_patents.size} published patents")
+    Rails.logger.debug("[PatentApplicationsController#compare] Found #{@compared_patents.size} of #{ids.size} requested patents")
   end
 
   # GET /patent_applications/new
@@ -84,6 +117,29 @@ class PatentApplicationsController < ApplicationController
     end
   end
 
+  # POST /patent_applications/:id/title_candidates
+  # Returns AI title candidates for the problem and solution in the JSON body, or the stored ones.
+  # A POST keeps unsaved invention text out of URLs, and so out of request logs and browser history.
+  def title_candidates
+    # The form sends its unsaved values, so candidates match what the user sees
+    problem = params[:problem].presence || @patent_application.problem
+    solution = params[:solution].presence || @patent_application.solution
+
+    if problem.blank?
+      render json: { error: "Describe the problem before asking for titles." }, status: :unprocessable_entity
+      return
+    end
+
+    begin
+      titles = PatentService.suggest_titles(problem: problem, solution: solution)
+      Rails.logger.debug("[PatentApplicationsController#title_candidates] AI title candidates: #{titles.inspect}")
+      render json: { titles: titles }
+    rescue => e
+      Rails.logger.error("[PatentApplicationsController#title_candidates] Error getting title candidates: #{e.class}: #{e.message}")
+      render json: { error: "Could not get title suggestions. Please try again." }, status: :bad_gateway
+    end
+  end
+
   # PATCH /patent_applications/:id/update_title
   # Updates the patent application title
   def update_title
@@ -93,6 +149,7 @@ class PatentApplicationsController < ApplicationController
 
     # Preserve the current problem statement when updating the title
     current_problem = @patent_application.problem
+    @patent_application.revision_source = revision_source_param
 
     # Update both title and problem (to ensure problem is preserved)
     if @patent_application.update(title: params[:title], problem: current_problem)
@@ -174,6 +231,14 @@ class PatentApplicationsController < ApplicationController
     if @patent_application.title.blank? || @patent_application.title.start_with?("[Temporary Title")
       Rails.logger.debug("[PatentApplicationsController#show] Patent application does not have a proper title, but proceeding anyway")
     end
+
+    # Views of published applications rank them as "Most Popular" in the marketplace
+    # (increment! skips callbacks and timestamps, so this is not a revision or an edit).
+    # Turbo's hover prefetches and the service worker saving the page for offline reading
+    # are marked as prefetches and are not views.
+    if @patent_application.published? && !prefetch_request?
+      @patent_application.increment!(:views_count)
+    end
   end
 
   # GET /patent_applications/:id/edit
@@ -195,23 +260,49 @@ class PatentApplicationsController < ApplicationController
   def update
     Rails.logger.debug("[PatentApplicationsController#update] Updating patent application: #{@patent_application.id} with params: #{patent_application_params.inspect}")
 
+    # Autosaves come from the patent form in the background and must not flash a notice
+    autosave = params[:autosave].present?
+
+    # Refuse to overwrite fields that were changed elsewhere since the form was loaded
+    conflicts = @patent_application.conflicting_fields(base_params, patent_application_params)
+    if conflicts.any?
+      Rails.logger.debug("[PatentApplicationsController#update] Conflicting changes detected for fields: #{conflicts.join(', ')}")
+      render_update_conflict(conflicts)
+      return
+    end
+
+    @patent_application.revision_source = revision_source_param(autosave ? PatentApplication::REVISION_SOURCES[:autosave] : PatentApplication::REVISION_SOURCES[:edit])
+
     respond_to do |format|
       if @patent_application.update(patent_application_params)
-        Rails.logger.debug("[PatentApplicationsController#update] Successfully updated patent application: #{@patent_application.id}")
+        Rails.logger.debug("[PatentApplicationsController#update] Successfully updated patent application: #{@patent_application.id} (autosave: #{autosave})")
         format.html { redirect_to patent_application_path(@patent_application), notice: "Patent application was successfully updated." }
         format.turbo_stream {
-          flash.now[:notice] = "Patent application was successfully updated."
-          render turbo_stream: [
+          streams = [
             turbo_stream.replace(
               "patent_application_#{@patent_application.id}",
               partial: "patent_applications/patent_application",
               locals: { patent_application: @patent_application }
             ),
-            turbo_stream.replace(
-              "flash",
-              partial: "shared/flash"
-            )
+            # Clear any conflict notice left over from an earlier save
+            turbo_stream.update("patent_application_#{@patent_application.id}_conflict", "")
           ]
+
+          # Autosaves folded into the latest revision leave the timeline as it is
+          if @patent_application.revision_added?
+            streams << turbo_stream.replace(
+              "patent_application_#{@patent_application.id}_revisions",
+              partial: "patent_applications/revisions",
+              locals: { patent_application: @patent_application }
+            )
+          end
+
+          unless autosave
+            flash.now[:notice] = "Patent application was successfully updated."
+            streams << turbo_stream.replace("flash", partial: "shared/flash")
+          end
+
+          render turbo_stream: streams
         }
       else
         Rails.logger.debug("[PatentApplicationsController#update] Failed to update patent application: #{@patent_application.errors.full_messages}")
@@ -285,14 +376,22 @@ class PatentApplicationsController < ApplicationController
     Rails.logger.debug("[PatentApplicationsController#chat] Chat history after adding user message: #{@patent_application.chat_history.size} messages")
 
     # Process with PatentService
-    result = PatentService.guide_problem_solution(
-      messages: @patent_application.chat_history,
-      user_input: user_message,
-      current_problem: @patent_application.problem,
-      current_solution: @patent_application.solution,
-      update_problem: false,
-      update_solution: false
-    )
+    begin
+      result = PatentService.guide_problem_solution(
+        messages: @patent_application.chat_history,
+        user_input: user_message,
+        current_problem: @patent_application.problem,
+        current_solution: @patent_application.solution,
+        update_problem: false,
+        update_solution: false
+      )
+    rescue => e
+      Rails.logger.error("[PatentApplicationsController#chat] Error getting AI reply: #{e.class}: #{e.message}")
+      # The message was not answered - drop it so the chat form can offer to retry it
+      discard_chat_message(user_standardized_msg)
+      head :bad_gateway
+      return
+    end
 
     Rails.logger.debug("### result")
     pp result
@@ -483,6 +582,33 @@ class PatentApplicationsController < ApplicationController
     end
   end
 
+  # PATCH /patent_applications/:id/switch_chat_branch
+  # Shows another version of the conversation from an edited chat message
+  def switch_chat_branch
+    index = params[:index].to_i
+    branch = params[:branch].to_i
+    Rails.logger.debug("[PatentApplicationsController#switch_chat_branch] Switching message #{index} to branch #{branch} for patent application: #{@patent_application.id}")
+
+    unless @patent_application.switch_chat_branch(index, branch) && @patent_application.save
+      Rails.logger.debug("[PatentApplicationsController#switch_chat_branch] Could not switch branch")
+      flash.now[:alert] = "That version of the conversation is no longer available."
+    end
+
+    respond_to do |format|
+      format.html { redirect_to edit_patent_application_path(@patent_application) }
+      format.turbo_stream {
+        render turbo_stream: [
+          turbo_stream.update(
+            "chat_messages",
+            partial: "patent_applications/chat_messages",
+            locals: { patent_application: @patent_application }
+          ),
+          turbo_stream.replace("flash", partial: "shared/flash")
+        ]
+      }
+    end
+  end
+
   # PATCH /patent_applications/:id/update_problem
   # Updates the problem statement with an AI suggestion
   def update_problem
@@ -500,6 +626,7 @@ class PatentApplicationsController < ApplicationController
 
     # Log the current problem for debugging
     Rails.logger.debug("[PatentApplicationsController#update_problem] Current problem: #{@patent_application.problem}")
+    @patent_application.revision_source = revision_source_param
 
     # Determine which title to use
     if @patent_application.title.blank? || @patent_application.title.empty?
@@ -582,6 +709,7 @@ class PatentApplicationsController < ApplicationController
   def update_solution
     Rails.logger.debug("[PatentApplicationsController#update_solution] Updating solution for patent application: #{@patent_application.id}")
     Rails.logger.debug("[PatentApplicationsController#update_solution] New solution: #{params[:solution]}")
+    @patent_application.revision_source = revision_source_param
 
     # If title is empty and we have a problem statement, generate a title
     if @patent_application.title.blank? && @patent_application.problem.present?
@@ -610,14 +738,57 @@ class PatentApplicationsController < ApplicationController
     redirect_to edit_patent_application_path(@patent_application)
   end
 
+  # GET /patent_applications/:id/revisions.json?ids[]=...
+  # Returns the fields of the requested revisions, for the revision timeline to compare
+  # (the timeline itself only holds their metadata)
+  def revisions
+    revisions = Array(params[:ids]).filter_map { |revision_id| @patent_application.find_revision(revision_id) }
+    Rails.logger.debug("[PatentApplicationsController#revisions] Sending revisions #{revisions.map { |revision| revision["number"] }.inspect} of #{@patent_application.id}")
+
+    render json: { revisions: revisions.map { |revision| revision.slice("id", "number", "fields") } }
+  end
+
+  # PATCH /patent_applications/:id/restore_revision
+  # Restores one field from an older revision, recorded as a new revision
+  def restore_revision
+    Rails.logger.debug("[PatentApplicationsController#restore_revision] Restoring #{params[:field]} of #{@patent_application.id} from revision #{params[:revision_id]}")
+    revision = @patent_application.find_revision(params[:revision_id])
+
+    if @patent_application.restore_revision(params[:revision_id], params[:field])
+      flash[:notice] = "#{params[:field].to_s.humanize} restored from revision #{revision["number"]}."
+    else
+      Rails.logger.debug("[PatentApplicationsController#restore_revision] Failed to restore: #{@patent_application.errors.full_messages.join(', ')}")
+      flash[:alert] = revision ? "Failed to restore #{params[:field].to_s.humanize.downcase}: #{@patent_application.errors.full_messages.join(', ')}" : "That revision no longer exists."
+    end
+
+    redirect_back fallback_location: edit_patent_application_path(@patent_application)
+  end
+
+  # GET /patent_applications/:id/checklist?transition=complete|publish
+  # Renders the server checks and the marketplace preview of the pre-publish checklist,
+  # into the checklist's Turbo Frame
+  def checklist
+    transition = params[:transition] == "publish" ? "publish" : "complete"
+    checklist = PublishChecklist.new(@patent_application)
+    Rails.logger.debug("[PatentApplicationsController#checklist] Checklist to #{transition} #{@patent_application.id}: #{checklist.passed? ? "passed" : checklist.failures.inspect}")
+
+    render partial: "publish_checklist_review", locals: {
+      patent_application: @patent_application,
+      checklist: checklist,
+      transition: transition
+    }
+  end
+
   # PATCH /patent_applications/:id/mark_complete
-  # Marks a patent application as complete, validating required fields
+  # Marks a patent application as complete, once it passes the pre-publish checklist
   def mark_complete
     Rails.logger.debug("[PatentApplicationsController#mark_complete] Marking patent application as complete: #{@patent_application.id}")
 
-    if @patent_application.problem.blank? || @patent_application.solution.blank?
-      Rails.logger.debug("[PatentApplicationsController#mark_complete] Cannot mark as complete - missing required fields")
-      flash[:alert] = "Cannot mark as complete. Please ensure both problem and solution are provided."
+    checklist = PublishChecklist.new(@patent_application)
+
+    unless checklist.passed?
+      Rails.logger.debug("[PatentApplicationsController#mark_complete] Cannot mark as complete - checklist failed: #{checklist.failures.inspect}")
+      flash[:alert] = "Cannot mark as complete. #{checklist.failures.join(" ")}"
       redirect_to edit_patent_application_path(@patent_application)
     else
       if @patent_application.mark_as_complete
@@ -644,6 +815,15 @@ class PatentApplicationsController < ApplicationController
       return
     end
 
+    # Applications marked complete before the checklist existed may not pass it yet
+    checklist = PublishChecklist.new(@patent_application)
+    unless checklist.passed?
+      Rails.logger.debug("[PatentApplicationsController#publish] Cannot publish - checklist failed: #{checklist.failures.inspect}")
+      flash[:alert] = "Cannot publish yet. #{checklist.failures.join(" ")}"
+      redirect_to patent_application_path(@patent_application)
+      return
+    end
+
     if @patent_application.publish
       Rails.logger.debug("[PatentApplicationsController#publish] Successfully published")
       flash[:notice] = "Patent application has been published successfully."
@@ -695,70 +875,6 @@ class PatentApplicationsController < ApplicationController
     redirect_to root_path, alert: "Patent application not found."
   end
 
-  # Standardizes a message for storage in the chat history
-  def standardize_message(message)
-    # Ensure we have a timestamp
-    timestamp = message[:timestamp] || message["timestamp"] || Time.current.to_i
-
-    # Ensure we have a patent_application_id
-    patent_application_id = message[:patent_application_id] || message["patent_application_id"] || @patent_application&.id
-
-    # Get the role
-    role = message[:role] || message["role"]
-
-    # For assistant messages, structure the content properly
-    if role == "assistant"
-      # Get content, which could be a string or a hash
-      content = message[:content] || message["content"]
-      problem = message[:problem] || message["problem"] || ""
-      solution = message[:solution] || message["solution"] || ""
-      title = message[:title] || message["title"] || ""
-
-      # If content is a hash, extract message from it
-      if content.is_a?(Hash)
-        message_text = content[:message] || content["message"] || ""
-      elsif content.is_a?(Hash) && content["message"].present?
-        # If content is already a hash with message field, extract it to avoid nesting
-        message_text = content["message"]
-        # Also check if the hash has problem/solution fields
-        problem = content["problem"] if content["problem"].present? && !problem.present?
-        solution = content["solution"] if content["solution"].present? && !solution.present?
-      else
-        message_text = content
-      end
-
-      # Debug logging
-      Rails.logger.debug("[PatentApplicationsController#standardize_message] Processing assistant message: content=#{content.class}, problem=#{problem}, solution=#{solution}") if Rails.env.development?
-
-      # Create the standardized assistant message
-      standardized = {
-        "role" => "assistant",
-        "timestamp" => timestamp,
-        "patent_application_id" => patent_application_id,
-        "content" => {
-          "problem" => problem,
-          "solution" => solution,
-          "title" => title,
-          "message" => message_text
-        }
-      }
-    else
-      # Default case for unknown roles
-      standardized = {
-        "role" => role,
-        "message" => message[:content] || message["content"] || "",
-        "timestamp" => timestamp,
-        "patent_application_id" => patent_application_id
-      }
-    end
-
-    # Add debug logging
-    Rails.logger.debug("[PatentApplicationsController#standardize_message] Standardized message: #{standardized.inspect}") if Rails.env.development?
-
-    # Return the standardized message
-    standardized
-  end
-
   # Helper method to extract problem, solution, title, and message from content
   def extract_problem_solution_message(content)
     return [ "", "", content, "" ] unless content.present?
@@ -806,6 +922,45 @@ class PatentApplicationsController < ApplicationController
   # Permits the allowed parameters for creating/updating a patent application
   def patent_application_params
     Rails.logger.debug("[PatentApplicationsController#patent_application_params] Processing parameters: #{params[:patent_application].inspect}")
-    params.require(:patent_application).permit(:title, :problem, :solution, :status)
+    params.require(:patent_application).permit(:title, :problem, :solution, :status, :claims, :category, :asking_price)
+  end
+
+  # Saves of accepted AI suggestions send source=ai_suggestion (the suggestion buttons, and the
+  # patent form after a suggestion was applied); the same routes also save text the user typed
+  def revision_source_param(default = PatentApplication::REVISION_SOURCES[:edit])
+    params[:source] == PatentApplication::REVISION_SOURCES[:ai_suggestion] ? PatentApplication::REVISION_SOURCES[:ai_suggestion] : default
+  end
+
+  # Whether the request only fetches the page ahead of a visit, see #show
+  def prefetch_request?
+    request.headers["X-Sec-Purpose"] == "prefetch" || request.headers["Sec-Purpose"].to_s.start_with?("prefetch")
+  end
+
+  # Permits the marketplace search, filter, sort and page parameters
+  def marketplace_params
+    params.permit(:q, :category, :sort, :page)
+  end
+
+  # Permits the field values the form was loaded with, used to detect conflicting edits
+  def base_params
+    params.fetch(:base, {}).permit(*PatentApplication::TRACKED_FIELDS)
+  end
+
+  # Responds to an update that would overwrite changes saved elsewhere
+  # The turbo stream fills the conflict panel in the form so the user can choose what to keep
+  def render_update_conflict(conflicts)
+    respond_to do |format|
+      format.html {
+        flash.now[:alert] = "This application was changed elsewhere. Please review the #{conflicts.to_sentence} before saving."
+        render :edit, status: :conflict
+      }
+      format.turbo_stream {
+        render turbo_stream: turbo_stream.update(
+          "patent_application_#{@patent_application.id}_conflict",
+          partial: "patent_applications/autosave_conflict",
+          locals: { patent_application: @patent_application, conflicts: conflicts }
+        ), status: :conflict
+      }
+    end
   end
 end
@@ -0,0 +1,81 @@
+# app/controllers/push_subscriptions_controller.rb
+#
+# JSON endpoints behind the notification settings in the navigation bar
+# (push_subscription_controller.js). A browser is identified by its push endpoint,
+# so each request names the endpoint it is about.
+#
+# This controller handles:
+# - Saving a browser's subscription, again whenever the browser renews it
+# - Changing the notification topics and syncing the marketplace watchlist
+# - Unsubscribing
+# - Sending a test notification
+
+class PushSubscriptionsController < ApplicationController
+  before_action :set_push_subscription, only: [ :update, :destroy, :test ]
+
+  # POST /push_subscription
+  # Saves the browser's subscription, keeping the topics and watchlist of an earlier one
+  def create
+    @push_subscription = PushSubscription.find_or_initialize_by(endpoint: push_subscription_params[:endpoint])
+    @push_subscription.assign_attributes(
+      p256dh_key: push_subscription_params.dig(:keys, :p256dh),
+      auth_key: push_subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent.to_s.truncate(255)
+    )
+    @push_subscription.assign_attributes(push_subscription_params.slice(:topics, :watched_patent_ids))
+    created = @push_subscription.new_record?
+
+    if @push_subscription.save
+      Rails.logger.debug("[PushSubscriptionsController#create] #{created ? "Created" : "Renewed"} subscription #{@push_subscription.id}")
+      render json: subscription_json, status: created ? :created : :ok
+    else
+      Rails.logger.debug("[PushSubscriptionsController#create] Invalid subscription: #{@push_subscription.errors.full_messages}")
+      render json: { errors: @push_subscription.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # PATCH /push_subscription
+  # Changes the topics or replaces the watched patent ids
+  def update
+    if @push_subscription.update(push_subscription_params.slice(:topics, :watched_patent_ids))
+      Rails.logger.debug("[PushSubscriptionsController#update] Updated subscription #{@push_subscription.id}: topics #{@push_subscription.topics}, watching #{@push_subscription.watched_patent_ids}")
+      render json: subscription_json
+    else
+      render json: { errors: @push_subscription.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /push_subscription
+  def destroy
+    @push_subscription.destroy
+    Rails.logger.debug("[PushSubscriptionsController#destroy] Deleted subscription #{@push_subscription.id}")
+    head :no_content
+  end
+
+  # POST /push_subscription/test
+  # Sends a notification to this browser only
+  def test
+    PushNotifier.test_notification(@push_subscription)
+    head :accepted
+  end
+
+  private
+
+  # Finds the subscription by the endpoint in the parameters
+  def set_push_subscription
+    @push_subscription = PushSubscription.find_by(endpoint: push_subscription_params[:endpoint].to_s)
+    return if @push_subscription
+
+    Rails.logger.debug("[PushSubscriptionsController#set_push_subscription] Unknown endpoint")
+    head :not_found
+  end
+
+  # An empty list can't be sent as form data, so the browser sends JSON
+  def push_subscription_params
+    params.require(:push_subscription).permit(:endpoint, keys: [ :p256dh, :auth ], topics: [], watched_patent_ids: [])
+  end
+
+  def subscription_json
+    @push_subscription.as_json(only: [ :endpoint, :topics, :watched_patent_ids ])
+  end
+end
@@ -0,0 +1,16 @@
+module MarketplaceHelper
+  # Text shortened to length, around the first searched word when there is one,
+  # with the searched words marked
+  def highlight_matches(text, terms, length: 100)
+    text = text.to_s
+    terms = Array(terms).compact_blank
+    return truncate(text, length: length) if terms.empty?
+
+    pattern = Regexp.union(terms.map { |term| Regexp.new(Regexp.escape(term), Regexp::IGNORECASE) })
+    snippet = excerpt(text, pattern, radius: length / 2) || text.truncate(length)
+
+    # Split around the matches (the odd pieces) and escape every piece, so a term that
+    # would match inside an entity such as &amp; can't break the markup
+    safe_join(snippet.split(/(#{pattern})/).each_with_index.map { |piece, index| index.odd? ? tag.mark(piece) : piece })
+  end
+end
@@ -1,3 +1,34 @@
 // Configure your import map in config/importmap.rb. Read more: https://github.com/rails/importmap-rails
 import "@hotwired/turbo-rails"
 import "controllers"
+import { createLogger } from "lib/logger"
+import { trackTurboRequests } from "lib/diagnostics"
+
+const logger = createLogger("Application")
+
+// Time Turbo requests and visits for "Download diagnostics"
+trackTurboRequests()
+
+// Errors nothing else caught, kept for diagnostics and uploaded like logged errors
+window.addEventListener("error", event => {
+  logger.error("Uncaught error", event.error || event.message)
+})
+window.addEventListener("unhandledrejection", event => {
+  logger.error("Unhandled promise rejection", event.reason)
+})
+
+// Register the service worker that replays patent drafts saved while offline,
+// shows push notifications and keeps the app readable offline
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/service-worker")
+    .then(() => navigator.serviceWorker.ready)
+    .then(registration => {
+      // The worker only sees requests once it controls the page - hand it the scripts,
+      // styles and fonts this page loaded before that, and the page itself
+      const assets = performance.getEntriesByType("resource").map(entry => entry.name)
+      registration.active?.postMessage({ type: "cache-shell", assets, page: location.pathname })
+    })
+    .catch(error => {
+      logger.error("Service worker registration failed", error)
+    })
+}
@@ -6,85 +6,621 @@
 // This controller is attached to the AI suggestions panel and provides:
 // - Accepting problem suggestions
 // - Accepting solution suggestions
+// - A history of every suggestion per field, browsed with previous/next: the ones in the
+//   chat history (history value) and the ones of this browser session, kept in
+//   sessionStorage as the panel is replaced on every chat turn. The latest suggestion is
+//   shown after a turn; Apply applies the one on display
+// - Pinned favourites, kept in localStorage per application, that can be browsed on their own
+// - Markers on the suggestion on display: Latest, In the form and Pinned
+// - A word/sentence level diff preview against the current field value,
+//   so individual changes can be accepted or rejected before applying
+// - Clearing the panel (the chat's /clear-suggestions command, which keeps pinned suggestions),
+//   or dismissing the latest suggestions from the pre-publish checklist, which asks for pendingFields
+// - Keyboard focus that follows the review: into the diff preview when it opens, onto
+//   the field once a suggestion is applied, back to the Apply button on cancel
+// - The suggestion text for the terminology check (terminology_controller.js), which
+//   highlights inconsistent terms in it and can rewrite it before it is applied
 // - Comprehensive debug logging
 
 import { Controller } from "@hotwired/stimulus"
+import { diffText, applyDiff, countChanges } from "lib/text_diff"
+import { announce } from "lib/announcer"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("AISuggestionsController")
+
+const FIELDS = ["problem", "solution"]
+
+// Suggestions of this browser session (sessionStorage) and pinned ones (localStorage),
+// followed by the application id
+const HISTORY_KEY = "rightstree:suggestion-history"
+const PINNED_KEY = "rightstree:pinned-suggestions"
 
 export default class extends Controller {
-  static targets = ["acceptProblemBtn", "acceptSolutionBtn", "problemDebug", "solutionDebug"]
+  static targets = ["acceptProblemBtn", "acceptSolutionBtn", "problemDebug", "solutionDebug", "problemPreview", "solutionPreview", "problemText", "solutionText", "item", "position", "previousButton", "nextButton", "pinButton", "pinnedOnlyButton", "markers", "empty", "emptyTitle", "emptyText"]
   static values = {
     problem: String,
-    solution: String
+    solution: String,
+    history: Array,
+    applicationId: String
   }
-  
+
   connect() {
-    console.debug("[AISuggestionsController] Connected to AI suggestions panel", {
-      hasProblem: this.hasProblemValue,
-      hasSolution: this.hasSolutionValue
+    logger.debug("Connected to AI suggestions panel", {
+      hasProblem: Boolean(this.problemValue),
+      hasSolution: Boolean(this.solutionValue),
+      history: this.historyValue.length
     })
+
+    this.loadHistory()
+    this.render()
   }
-  
-  // Accept the AI's problem suggestion
+
+  // Accept the AI's problem suggestion (the one on display)
   acceptProblem() {
-    console.debug("[AISuggestionsController] Accepting problem suggestion:", this.problemValue)
-    
-    // Find the problem textarea in the form
-    const problemTextarea = document.querySelector('textarea[name="patent_application[problem]"]')
-    
-    if (problemTextarea) {
-      // Store the original value for logging
-      const originalValue = problemTextarea.value
-      
-      // Update the textarea with the suggested problem
-      problemTextarea.value = this.problemValue
-      
-      // Trigger input event to validate the form
-      problemTextarea.dispatchEvent(new Event('input', { bubbles: true }))
-      
-      // Log the change
-      console.debug("[AISuggestionsController] Updated problem field", {
-        from: originalValue,
-        to: this.problemValue
-      })
-      
-      // Show debug message
-      if (this.hasProblemDebugTarget) {
-        this.problemDebugTarget.textContent = "Suggestion applied at " + new Date().toLocaleTimeString()
-      }
-    } else {
-      console.error("[AISuggestionsController] Could not find problem textarea")
-    }
+    logger.debug("Accepting problem suggestion", { suggestion: this.suggestionText("problem") })
+    this.previewSuggestion("problem", this.suggestionText("problem"))
   }
-  
-  // Accept the AI's solution suggestion
+
+  // Accept the AI's solution suggestion (the one on display)
   acceptSolution() {
-    console.debug("[AISuggestionsController] Accepting solution suggestion:", this.solutionValue)
-    
-    // Find the solution textarea in the form
-    const solutionTextarea = document.querySelector('textarea[name="patent_application[solution]"]')
-    
-    if (solutionTextarea) {
-      // Store the original value for logging
-      const originalValue = solutionTextarea.value
-      
-      // Update the textarea with the suggested solution
-      solutionTextarea.value = this.solutionValue
-      
-      // Trigger input event to validate the form
-      solutionTextarea.dispatchEvent(new Event('input', { bubbles: true }))
-      
-      // Log the change
-      console.debug("[AISuggestionsController] Updated solution field", {
-        from: originalValue,
-        to: this.solutionValue
-      })
-      
-      // Show debug message
-      if (this.hasSolutionDebugTarget) {
-        this.solutionDebugTarget.textContent = "Suggestion applied at " + new Date().toLocaleTimeString()
+    logger.debug("Accepting solution suggestion", { suggestion: this.suggestionText("solution") })
+    this.previewSuggestion("solution", this.suggestionText("solution"))
+  }
+
+  // Gather the suggestions of each field: those of the session so far, then any from the chat
+  // history, pinned ones and the latest that it does not hold yet. Suggestions removed by
+  // /clear-suggestions stay out, unless the assistant suggests them again
+  loadHistory() {
+    const stored = this.readStorage(sessionStorage, this.historyKey())
+    this.pinned = this.readStorage(localStorage, this.pinnedKey())
+
+    this.history = Object.fromEntries(FIELDS.map(field => {
+      const state = { texts: [], index: null, pinnedOnly: false, cleared: [], ...stored[field] }
+      const latest = this.latestSuggestion(field)
+      const known = [
+        ...this.historyValue.filter(suggestion => suggestion.field === field).map(suggestion => suggestion.text),
+        ...this.pinnedTexts(field)
+      ].filter(text => (text || "").trim() !== latest)
+
+      // The latest suggestion goes last, also when the assistant repeats an earlier one
+      if (latest) {
+        state.cleared = state.cleared.filter(text => text !== latest)
+        state.texts = state.texts.filter(text => text !== latest)
+        known.push(latest)
       }
-    } else {
-      console.error("[AISuggestionsController] Could not find solution textarea")
+
+      known.forEach(text => {
+        const trimmed = (text || "").trim()
+        if (trimmed && !state.texts.includes(trimmed) && !state.cleared.includes(trimmed)) state.texts.push(trimmed)
+      })
+
+      // A new suggestion is shown first, otherwise browsing continues where it was
+      if (latest) state.index = state.texts.length - 1
+      state.index = Math.min(Math.max(state.index ?? state.texts.length - 1, 0), state.texts.length - 1)
+      return [field, state]
+    }))
+
+    this.saveHistory()
+  }
+
+  // The latest suggestion for a field, from this chat turn ("" when there is none)
+  latestSuggestion(field) {
+    return ((field === "problem" ? this.problemValue : this.solutionValue) || "").trim()
+  }
+
+  // Show the previous or next suggestion of a field
+  previous({ params: { field } }) {
+    this.move(field, -1)
+  }
+
+  next({ params: { field } }) {
+    this.move(field, 1)
+  }
+
+  move(field, step) {
+    const state = this.history[field]
+    const browsable = this.browsableIndexes(field)
+    const position = browsable.indexOf(state.index) + step
+    if (position < 0 || position >= browsable.length) return
+
+    // A diff preview of the suggestion that was on display no longer applies
+    if (this.diff?.field === field) this.closePreview()
+
+    state.index = browsable[position]
+    this.saveHistory()
+    this.render()
+    this.dispatch("changed", { detail: { field } })
+
+    const markers = this.markersFor(field).map(marker => marker.label).join(", ")
+    announce(`${this.capitalize(field)} suggestion ${position + 1} of ${browsable.length}${markers ? `, ${markers}` : ""}.`)
+  }
+
+  // Show the latest suggestion of a field again (reviewing it from the pre-publish checklist)
+  showLatest(field) {
+    const state = this.history[field]
+    const index = state.texts.indexOf(this.latestSuggestion(field))
+    if (index === -1 || index === state.index) return
+
+    if (this.diff?.field === field) this.closePreview()
+    state.index = index
+    state.pinnedOnly = false
+    this.saveHistory()
+    this.render()
+    this.dispatch("changed", { detail: { field } })
+  }
+
+  // Pin or unpin the suggestion on display
+  togglePin({ params: { field } }) {
+    const text = this.suggestionText(field)
+    if (!text) return
+
+    const pinned = this.isPinned(field, text)
+    this.pinned[field] = pinned ? this.pinnedTexts(field).filter(other => other !== text) : [...this.pinnedTexts(field), text]
+    this.writeStorage(localStorage, this.pinnedKey(), this.pinned)
+
+    // Nothing left to browse among the pinned ones
+    if (pinned && this.pinnedTexts(field).length === 0) this.history[field].pinnedOnly = false
+    this.saveHistory()
+
+    logger.debug(pinned ? "Unpinned suggestion" : "Pinned suggestion", { field, pinned: this.pinnedTexts(field).length })
+    this.render()
+    announce(pinned ? `${this.capitalize(field)} suggestion unpinned.` : `${this.capitalize(field)} suggestion pinned.`)
+  }
+
+  // Browse only the pinned suggestions of a field, or all of them again
+  togglePinnedOnly({ params: { field } }) {
+    const state = this.history[field]
+    state.pinnedOnly = !state.pinnedOnly && this.pinnedTexts(field).length > 0
+
+    // Jump to the latest pinned suggestion when the one on display is not pinned
+    if (state.pinnedOnly && !this.isPinned(field, this.suggestionText(field))) {
+      if (this.diff?.field === field) this.closePreview()
+      state.index = state.texts.findLastIndex(text => this.isPinned(field, text))
+      this.dispatch("changed", { detail: { field } })
+    }
+
+    this.saveHistory()
+    this.render()
+    announce(state.pinnedOnly ? `Browsing pinned ${field} suggestions.` : `Browsing all ${field} suggestions.`)
+  }
+
+  // Positions a field's pager moves through: all suggestions, or the pinned ones
+  // (plus the one on display, so the pager always knows where it is)
+  browsableIndexes(field) {
+    const state = this.history[field]
+    return state.texts
+      .map((text, index) => index)
+      .filter(index => !state.pinnedOnly || index === state.index || this.isPinned(field, state.texts[index]))
+  }
+
+  // Show each field's suggestion on display with its pager, pin and markers,
+  // or the empty state when there are none (also after typing, for the In the form marker)
+  render() {
+    if (!this.history) return
+
+    FIELDS.forEach(field => this.renderField(field))
+    if (this.hasEmptyTarget) this.emptyTarget.hidden = FIELDS.some(field => this.history[field].texts.length > 0)
+  }
+
+  renderField(field) {
+    const state = this.history[field]
+    const item = this.fieldElement("item", field)
+    if (item) item.hidden = state.texts.length === 0
+    if (state.texts.length === 0) return
+
+    // Text highlighted by the terminology check is kept while it is the same text
+    const text = this.suggestionText(field)
+    const element = this.suggestionElement(field)
+    if (element && element.textContent !== text) element.textContent = text
+
+    const browsable = this.browsableIndexes(field)
+    const position = browsable.indexOf(state.index)
+    const pinned = this.isPinned(field, text)
+
+    this.fieldElement("position", field).textContent = `${position + 1} of ${browsable.length}`
+    this.fieldElement("previousButton", field).disabled = position <= 0
+    this.fieldElement("nextButton", field).disabled = position >= browsable.length - 1
+
+    const pinButton = this.fieldElement("pinButton", field)
+    pinButton.setAttribute("aria-pressed", pinned)
+    pinButton.title = pinned ? "Unpin this suggestion" : "Pin this suggestion"
+    pinButton.querySelector("i").className = `bi ${pinned ? "bi-star-fill" : "bi-star"}`
+
+    const pinnedOnlyButton = this.fieldElement("pinnedOnlyButton", field)
+    pinnedOnlyButton.setAttribute("aria-pressed", state.pinnedOnly)
+    pinnedOnlyButton.classList.toggle("active", state.pinnedOnly)
+    pinnedOnlyButton.disabled = !state.pinnedOnly && this.pinnedTexts(field).length === 0
+
+    this.fieldElement("markers", field).innerHTML = this.markersFor(field).map(marker => `
+      <span class="badge rounded-pill ${marker.className}"><i class="bi ${marker.icon} me-1" aria-hidden="true"></i>${marker.label}</span>
+    `).join("")
+  }
+
+  // Latest (the newest suggestion), In the form (what the field holds now) and Pinned
+  markersFor(field) {
+    const state = this.history[field]
+    const text = this.suggestionText(field)
+    const markers = []
+
+    if (state.index === state.texts.length - 1) markers.push({ label: "Latest", icon: "bi-clock", className: "text-bg-primary" })
+    if (text && text === this.fieldTextarea(field)?.value.trim()) markers.push({ label: "In the form", icon: "bi-check2-circle", className: "text-bg-success" })
+    if (this.isPinned(field, text)) markers.push({ label: "Pinned", icon: "bi-star-fill", className: "text-bg-warning" })
+    return markers
+  }
+
+  // The target of a kind (item, position, pinButton, ...) that belongs to a field
+  fieldElement(name, field) {
+    return this[`${name}Targets`].find(element => element.dataset.field === field)
+  }
+
+  pinnedTexts(field) {
+    return Array.isArray(this.pinned?.[field]) ? this.pinned[field] : []
+  }
+
+  isPinned(field, text) {
+    return Boolean(text) && this.pinnedTexts(field).includes(text)
+  }
+
+  saveHistory() {
+    this.writeStorage(sessionStorage, this.historyKey(), this.history)
+  }
+
+  historyKey() {
+    return `${HISTORY_KEY}:${this.applicationIdValue || "new"}`
+  }
+
+  pinnedKey() {
+    return `${PINNED_KEY}:${this.applicationIdValue || "new"}`
+  }
+
+  // Read an object from storage, ignoring blocked storage and broken entries
+  readStorage(storage, key) {
+    try {
+      const stored = JSON.parse(storage.getItem(key) || "{}")
+      return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {}
+    } catch (error) {
+      logger.warn("Could not read", key, error)
+      return {}
+    }
+  }
+
+  // Store an object, ignoring full or blocked storage
+  writeStorage(storage, key, value) {
+    try {
+      storage.setItem(key, JSON.stringify(value))
+    } catch (error) {
+      logger.warn("Could not store", key, error)
+    }
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1)
+  }
+
+  // Find the form textarea for a field (problem or solution)
+  fieldTextarea(field) {
+    return document.querySelector(`textarea[name="patent_application[${field}]"]`)
+  }
+
+  // Returns the preview container for a field
+  previewTarget(field) {
+    if (field === "problem" && this.hasProblemPreviewTarget) return this.problemPreviewTarget
+    if (field === "solution" && this.hasSolutionPreviewTarget) return this.solutionPreviewTarget
+    return null
+  }
+
+  // Compare the suggestion with the current field value and show the changes
+  // Empty fields have nothing to lose, so the suggestion is applied straight away
+  previewSuggestion(field, suggestion) {
+    const textarea = this.fieldTextarea(field)
+
+    if (!textarea) {
+      logger.error(`Could not find ${field} textarea`)
+      return
     }
+
+    const current = textarea.value
+
+    if (!current.trim() || !this.previewTarget(field)) {
+      this.applyText(field, suggestion)
+      return
+    }
+
+    if (current.trim() === suggestion.trim()) {
+      logger.debug(`The ${field} already matches the suggestion`)
+      this.showDebug(field, "The field already matches this suggestion")
+      return
+    }
+
+    this.diff = { field, suggestion, original: current, granularity: "word" }
+    this.computeDiff()
+
+    const changes = countChanges(this.diff.parts)
+    this.previewTarget(field).querySelector(".diff-preview-panel")?.focus()
+    announce(`${changes} suggested ${changes === 1 ? "change" : "changes"} to the ${field}. Accept or reject each one, then apply.`)
+  }
+
+  // (Re)compute the diff for the open preview
+  computeDiff() {
+    const { original, suggestion, granularity } = this.diff
+    this.diff.parts = diffText(original, suggestion, granularity)
+
+    logger.debug("Computed suggestion diff", {
+      field: this.diff.field,
+      granularity,
+      changes: countChanges(this.diff.parts)
+    })
+
+    this.renderDiff()
+  }
+
+  // Render the diff preview with one toggle per change
+  renderDiff() {
+    const { field, parts, granularity } = this.diff
+
+    // Only one preview open at a time
+    ;["problem", "solution"].forEach(name => {
+      const preview = this.previewTarget(name)
+      if (preview && name !== field) preview.innerHTML = ""
+    })
+
+    const changes = countChanges(parts)
+    const accepted = parts.filter(part => part.type === "change" && part.accepted).length
+    let changeIndex = -1
+
+    const body = parts.map((part, index) => {
+      if (part.type === "equal") return this.escapeHTML(part.text)
+
+      changeIndex++
+      const label = part.accepted ? "Reject this change" : "Accept this change"
+      return `<span class="diff-hunk ${part.accepted ? "" : "diff-hunk-rejected"}" role="button" tabindex="0" title="${label}" aria-pressed="${part.accepted}" aria-label="Change ${changeIndex + 1} of ${changes}: ${label.toLowerCase()}" data-action="click->ai-suggestions#toggleHunk keydown.enter->ai-suggestions#toggleHunk" data-ai-suggestions-index-param="${index}">` +
+        (part.removed ? `<del>${this.escapeHTML(part.removed)}</del>` : "") +
+        (part.added ? `<ins>${this.escapeHTML(part.added)}</ins>` : "") +
+        `</span>`
+    }).join("")
+
+    this.previewTarget(field).innerHTML = `
+      <div class="diff-preview-panel mt-2 p-3 rounded-3 border bg-white" tabindex="-1" role="group" aria-label="Suggested changes to the ${field}">
+        <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+          <span class="small fw-semibold">${accepted} of ${changes} ${changes === 1 ? "change" : "changes"} selected</span>
+          <div class="btn-group btn-group-sm" role="group" aria-label="Diff granularity">
+            <button type="button" class="btn btn-outline-secondary ${granularity === "word" ? "active" : ""}" data-action="ai-suggestions#setGranularity" data-ai-suggestions-granularity-param="word">Words</button>
+            <button type="button" class="btn btn-outline-secondary ${granularity === "sentence" ? "active" : ""}" data-action="ai-suggestions#setGranularity" data-ai-suggestions-granularity-param="sentence">Sentences</button>
+          </div>
+        </div>
+        <div class="diff-preview small mb-3">${body}</div>
+        <div class="d-flex flex-wrap gap-2">
+          <button type="button" class="btn btn-sm btn-primary" data-action="ai-suggestions#applySelected">
+            <i class="bi bi-check2 me-1"></i>Apply selected
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="ai-suggestions#selectAll" data-ai-suggestions-accepted-param="true">Accept all</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="ai-suggestions#selectAll" data-ai-suggestions-accepted-param="false">Reject all</button>
+          <button type="button" class="btn btn-sm btn-link text-muted" data-action="ai-suggestions#cancelPreview">Cancel</button>
+        </div>
+      </div>
+    `
+  }
+
+  // Accept or reject a single change
+  toggleHunk(event) {
+    event.preventDefault()
+    const part = this.diff?.parts[event.params.index]
+    if (!part || part.type !== "change") return
+
+    part.accepted = !part.accepted
+    logger.debug("Toggled change", { index: event.params.index, accepted: part.accepted })
+
+    this.renderDiff()
+    this.previewTarget(this.diff.field).querySelector(`[data-ai-suggestions-index-param="${event.params.index}"]`)?.focus()
+  }
+
+  // Accept or reject every change at once
+  selectAll(event) {
+    if (!this.diff) return
+
+    this.diff.parts.forEach(part => {
+      if (part.type === "change") part.accepted = event.params.accepted
+    })
+    this.renderDiff()
+    this.refocus(`[data-action="ai-suggestions#selectAll"][data-ai-suggestions-accepted-param="${event.params.accepted}"]`)
+  }
+
+  // Switch between word and sentence level changes (resets the selection)
+  setGranularity(event) {
+    if (!this.diff || this.diff.granularity === event.params.granularity) return
+
+    this.diff.granularity = event.params.granularity
+    this.computeDiff()
+    this.refocus(`[data-ai-suggestions-granularity-param="${event.params.granularity}"]`)
+  }
+
+  // Focus a control of the preview again after it was re-rendered
+  refocus(selector) {
+    this.previewTarget(this.diff.field)?.querySelector(selector)?.focus()
+  }
+
+  // Write the accepted changes into the form field
+  applySelected() {
+    if (!this.diff) return
+
+    const { field, original } = this.diff
+    const textarea = this.fieldTextarea(field)
+    if (!textarea) return
+
+    // The user edited the field while reviewing - diff again against the new text
+    if (textarea.value !== original) {
+      logger.debug("Field changed during review, recomputing diff")
+      this.diff.original = textarea.value
+      this.computeDiff()
+      this.showDebug(field, "The field changed while reviewing, please check the changes again")
+      return
+    }
+
+    const text = applyDiff(this.diff.parts)
+    this.closePreview()
+    this.applyText(field, text)
+  }
+
+  // Close the diff preview without changing the field, back to the button that opened it
+  cancelPreview() {
+    if (!this.diff) return
+
+    const { field } = this.diff
+    this.closePreview()
+
+    if (field === "problem" && this.hasAcceptProblemBtnTarget) this.acceptProblemBtnTarget.focus()
+    if (field === "solution" && this.hasAcceptSolutionBtnTarget) this.acceptSolutionBtnTarget.focus()
+  }
+
+  closePreview() {
+    const preview = this.diff && this.previewTarget(this.diff.field)
+    if (preview) preview.innerHTML = ""
+    this.diff = null
+  }
+
+  // Put text into a form field and let the patent form know it changed
+  applyText(field, text) {
+    const textarea = this.fieldTextarea(field)
+    if (!textarea) return
+
+    // Store the original value for logging
+    const originalValue = textarea.value
+
+    textarea.value = text
+
+    // Trigger input event to validate the form - marked as a suggestion so it gets its own undo step
+    textarea.dispatchEvent(new CustomEvent('input', { bubbles: true, detail: { source: "ai-suggestion" } }))
+
+    // Log the change
+    logger.debug(`Updated ${field} field`, {
+      from: originalValue,
+      to: text
+    })
+
+    this.showDebug(field, "Suggestion applied at " + new Date().toLocaleTimeString())
+
+    // Continue where the text went, with the undo shortcut in case it wasn't wanted
+    textarea.focus()
+    textarea.setSelectionRange(0, 0)
+    textarea.scrollIntoView({ block: "nearest" })
+    announce(`Suggestion applied to the ${field}. Undo with Ctrl+Z, or Cmd+Z on a Mac.`)
+  }
+
+  // Fields whose latest suggestion was neither applied nor dismissed (the pre-publish checklist)
+  pendingFields() {
+    return FIELDS.filter(field => {
+      const suggestion = this.latestSuggestion(field)
+      return suggestion && suggestion !== this.fieldTextarea(field)?.value.trim()
+    })
+  }
+
+  // Fields whose suggestion on display differs from the form (the terminology check)
+  unappliedFields() {
+    return FIELDS.filter(field => {
+      const suggestion = this.suggestionText(field)
+      return suggestion && suggestion !== this.fieldTextarea(field)?.value.trim()
+    })
+  }
+
+  // The suggested text on display for a field (problem or solution)
+  suggestionText(field) {
+    const state = this.history?.[field]
+    return state?.texts[state.index] || ""
+  }
+
+  // The element showing a suggestion, for the terminology check's highlights
+  suggestionElement(field) {
+    if (field === "problem" && this.hasProblemTextTarget) return this.problemTextTarget
+    if (field === "solution" && this.hasSolutionTextTarget) return this.solutionTextTarget
+    return null
+  }
+
+  // Change the suggestion on display before it is applied (the terminology check's normalized
+  // terms), wherever it is kept. A diff preview of the old text is closed, as its changes no longer match
+  replaceSuggestion(field, text) {
+    const state = this.history[field]
+    const previous = this.suggestionText(field)
+    const replacement = text.trim()
+    logger.debug(`Replacing ${field} suggestion`, { from: previous, to: replacement })
+
+    state.texts[state.index] = replacement
+    if (this.latestSuggestion(field) === previous) {
+      if (field === "problem") this.problemValue = replacement
+      if (field === "solution") this.solutionValue = replacement
+    }
+    if (this.isPinned(field, previous)) {
+      this.pinned[field] = this.pinnedTexts(field).map(other => other === previous ? replacement : other)
+      this.writeStorage(localStorage, this.pinnedKey(), this.pinned)
+    }
+    this.saveHistory()
+
+    if (this.diff?.field === field) this.closePreview()
+    this.render()
+    this.dispatch("changed", { detail: { field } })
+  }
+
+  // Show a debug message under the suggestion (development only)
+  showDebug(field, message) {
+    if (field === "problem" && this.hasProblemDebugTarget) {
+      this.problemDebugTarget.textContent = message
+    } else if (field === "solution" && this.hasSolutionDebugTarget) {
+      this.solutionDebugTarget.textContent = message
+    }
+  }
+
+  // Remove the suggestions, except pinned ones, and show the empty state when none are left
+  // (the chat's /clear-suggestions command). They stay out of the history for the session
+  clear() {
+    logger.debug("Clearing suggestions")
+
+    this.closePreview()
+    this.problemValue = ""
+    this.solutionValue = ""
+    FIELDS.forEach(field => {
+      const state = this.history[field]
+      const kept = state.texts.filter(text => this.isPinned(field, text))
+      state.cleared = [...state.cleared, ...state.texts.filter(text => !kept.includes(text))]
+      state.texts = kept
+      state.index = kept.length - 1
+      state.pinnedOnly = false
+    })
+    this.saveHistory()
+
+    if (this.hasEmptyTitleTarget) this.emptyTitleTarget.textContent = "Suggestions cleared"
+    if (this.hasEmptyTextTarget) this.emptyTextTarget.textContent = "Keep chatting with the AI assistant to get new suggestions for your problem and solution."
+    this.render()
+    this.dispatch("changed")
+  }
+
+  // Stop offering the latest suggestions without losing them from the history
+  // (Dismiss in the pre-publish checklist)
+  dismiss() {
+    logger.debug("Dismissing the latest suggestions")
+
+    this.problemValue = ""
+    this.solutionValue = ""
+    this.render()
+    this.dispatch("changed")
+  }
+
+  // State included in "Download diagnostics" (lib/diagnostics.js); suggestion texts are left out
+  diagnostics() {
+    return {
+      pending: this.pendingFields(),
+      ...Object.fromEntries(FIELDS.map(field => [field, {
+        suggestions: this.history?.[field].texts.length || 0,
+        index: this.history?.[field].index,
+        pinned: this.pinnedTexts(field).length,
+        pinnedOnly: Boolean(this.history?.[field].pinnedOnly)
+      }]))
+    }
+  }
+
+  // Helper method to escape HTML to prevent XSS
+  escapeHTML(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
   }
 }
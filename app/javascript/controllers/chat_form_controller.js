@@ -2,20 +2,72 @@
 //
 // Stimulus controller for the chat form
 // Handles immediate display of user messages and loading indicator
+//
+// When a stream URL is configured the reply is streamed token by token
+// (Server-Sent Events from ChatStreamsController) instead of waiting for the
+// regular Turbo form submission:
+// - The reply text appears in the chat as it is generated
+// - The Stop button cancels generation and keeps what was received so far
+// - The final Turbo Streams render the stored messages and refresh the AI suggestions
+//
+// Messages that could not be sent stay in the transcript marked "Not sent" with
+// Retry and Delete actions. Messages typed while offline are queued (and kept in
+// localStorage across reloads) and sent in order once the connection returns.
+// Only one message is sent at a time, so repeated Enter presses can't double-submit.
+//
+// Edited earlier messages (see chat_messages_controller.js) are sent from here too,
+// regenerating the conversation from that message.
+//
+// Streamed replies are rendered as Markdown while they arrive (markdown controller).
+//
+// Slash commands (see lib/slash_commands.js) are offered in a popup while typing "/":
+// arrow keys move through the list, Tab (or Enter) completes the selected command.
+//
+// Screen readers are told when the assistant starts typing and when a message could
+// not be sent (lib/announcer.js); finished replies are announced by the transcript
+// (chat_messages_controller.js).
 
 import { Controller } from "@hotwired/stimulus";
+import { Turbo } from "@hotwired/turbo-rails";
+import { matchCommands, parseCommand } from "lib/slash_commands";
+import { announce } from "lib/announcer";
+import { createLogger } from "lib/logger";
+
+const logger = createLogger("ChatFormController");
 
 export default class extends Controller {
-  static targets = ["messageInput", "submitButton", "buttonText", "spinner"];
+  static targets = ["messageInput", "submitButton", "buttonText", "spinner", "stopButton", "commandMenu"];
+  static values = {
+    streamUrl: String,
+    problemUrl: String,
+    solutionUrl: String,
+    titleUrl: String
+  };
   
   connect() {
-    console.debug("[ChatFormController] Connected");
+    logger.debug("Connected");
     this.adjustHeight();
     this.messageInputTarget.focus();
+
+    // Messages that failed to send, by id, so they can be retried
+    this.failedMessages = new Map();
+    this.restoreQueue();
   }
   
   disconnect() {
-    console.debug("[ChatFormController] Disconnected");
+    this.abortController?.abort();
+    logger.debug("Disconnected");
+  }
+
+  // State included in "Download diagnostics" (lib/diagnostics.js); message text is left out
+  diagnostics() {
+    return {
+      sending: Boolean(this.sending),
+      streaming: Boolean(this.abortController && !this.abortController.signal.aborted),
+      queuedMessages: this.queue?.length || 0,
+      failedMessages: this.failedMessages?.size || 0,
+      online: navigator.onLine
+    };
   }
   
   // Auto-adjust the height of the text area as the user types
@@ -27,20 +79,650 @@ export default class extends Controller {
   }
   
   // Handle keyboard events (Enter to send, Shift+Enter for new line)
+  // While the slash command popup is open the arrow keys, Tab, Enter and Escape drive the popup
   handleKeydown(event) {
+    if (this.commandMenuOpen() && this.handleCommandMenuKey(event)) return;
+
     if (event.key === "Enter" && !event.shiftKey) {
       event.preventDefault();
+      if (this.sending) {
+        logger.debug("Ignoring Enter while a message is being sent");
+        return;
+      }
       this.element.requestSubmit();
-      console.debug("[ChatFormController] Form submitted via Enter key");
+      logger.debug("Form submitted via Enter key");
     }
   }
   
+  // Stream the reply instead of submitting the form when a stream URL is set
+  submit(event) {
+    const message = this.messageInputTarget.value.trim();
+
+    const parsed = parseCommand(message);
+    if (parsed) {
+      event.preventDefault();
+      this.runCommand(parsed);
+      return;
+    }
+
+    if (!this.streamingEnabled()) {
+      // Regular Turbo submission - just guard against submitting twice
+      if (this.sending) {
+        event.preventDefault();
+      } else if (message) {
+        this.sending = true;
+      }
+      return;
+    }
+
+    event.preventDefault();
+    if (!message || this.sending) return;
+
+    this.messageInputTarget.value = "";
+    this.adjustHeight();
+
+    const entry = { id: this.newMessageId(), text: message };
+
+    // Offline, or earlier messages still waiting - keep the order
+    if (!navigator.onLine || this.queue.length > 0) {
+      this.enqueue(entry);
+      this.flushQueue();
+      return;
+    }
+
+    this.deliver(entry);
+  }
+
+  // Whether replies are streamed (only for saved applications)
+  streamingEnabled() {
+    return this.hasStreamUrlValue && this.streamUrlValue !== "";
+  }
+
+  // Unique id for a message, used to find its bubble in the transcript
+  newMessageId() {
+    return window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+
+  // Show the message and stream the reply, marking the message if it could not be sent
+  async deliver(entry) {
+    const bubble = this.addUserMessage(entry.text, entry.id);
+    const outcome = await this.streamReply(entry);
+
+    if (outcome === "offline") {
+      logger.debug("Connection lost, queueing message", entry.id);
+      bubble?.remove();
+      this.enqueue(entry, { front: true });
+    } else if (outcome === "failed") {
+      this.markFailed(entry);
+    }
+
+    return outcome;
+  }
+
+  // Send a message and show the reply as it is streamed back
+  // Resolves with "complete", "stopped", "failed" or "offline"
+  async streamReply(entry) {
+    const formData = new FormData(this.element);
+    formData.set("message", entry.text);
+    if (entry.editIndex !== undefined) formData.set("edit_index", entry.editIndex);
+
+    logger.debug("Streaming reply for message", entry.id);
+
+    this.addLoadingIndicator();
+    this.setStreaming(true);
+
+    this.abortController = new AbortController();
+    let finalStreams = null;
+    let errorMessage = null;
+    let outcome = "failed";
+
+    try {
+      const response = await fetch(this.streamUrlValue, {
+        method: "POST",
+        body: formData,
+        headers: {
+          "Accept": "text/event-stream",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        signal: this.abortController.signal
+      });
+
+      if (!response.ok || !response.body) throw new Error(`Stream request failed with status ${response.status}`);
+
+      await this.readEvents(response.body, ({ event, data }) => {
+        if (event === "token") {
+          this.appendToken(data.text);
+        } else if (event === "complete") {
+          finalStreams = data.turbo_stream;
+        } else if (event === "error") {
+          errorMessage = data.message;
+        }
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        logger.debug("Reply stopped by the user");
+        outcome = "stopped";
+      } else if (!navigator.onLine) {
+        outcome = "offline";
+      } else {
+        logger.error("Streaming failed", error);
+      }
+    } finally {
+      this.abortController = null;
+      this.setStreaming(false);
+    }
+
+    if (finalStreams) {
+      // The stored messages replace the temporary ones
+      this.messageBubble(entry.id)?.remove();
+      document.getElementById('temp_ai_loading_indicator')?.remove();
+      Turbo.renderStreamMessage(finalStreams);
+      outcome = "complete";
+    } else if (outcome === "stopped") {
+      this.markStopped(entry.id);
+    } else {
+      if (errorMessage) logger.debug("Server reported an error:", errorMessage);
+      document.getElementById('temp_ai_loading_indicator')?.remove();
+    }
+
+    this.messageInputTarget.focus();
+    return outcome;
+  }
+
+  // Show the slash command popup again when returning to a half-typed command
+  handleFocus() {
+    this.updateCommandMenu();
+  }
+
+  // Close the slash command popup when leaving the input
+  handleBlur() {
+    this.closeCommandMenu();
+  }
+
+  // Whether the slash command popup is showing
+  commandMenuOpen() {
+    return this.hasCommandMenuTarget && !this.commandMenuTarget.classList.contains("d-none");
+  }
+
+  // Show the commands matching what was typed after "/"
+  updateCommandMenu() {
+    if (!this.hasCommandMenuTarget) return;
+
+    const matches = matchCommands(this.messageInputTarget.value);
+    if (matches.length === 0) {
+      this.closeCommandMenu();
+      return;
+    }
+
+    // Keep the selected command when it still matches
+    const selectedName = this.commandMatches?.[this.commandIndex]?.name;
+    this.commandMatches = matches;
+    this.commandIndex = Math.max(0, matches.findIndex(command => command.name === selectedName));
+    this.renderCommandMenu();
+  }
+
+  // Render the popup with the selected command highlighted
+  renderCommandMenu() {
+    this.commandMenuTarget.innerHTML = this.commandMatches.map((command, index) => `
+      <li id="chat_command_option_${index}" class="list-group-item list-group-item-action py-2 ${index === this.commandIndex ? "active" : ""}" role="option" aria-selected="${index === this.commandIndex}" data-command-index="${index}">
+        <span class="fw-semibold">/${command.name}</span>
+        ${command.args ? `<span class="small opacity-75 ms-1">${command.args}</span>` : ""}
+        <div class="small ${index === this.commandIndex ? "" : "text-muted"}">${this.escapeHTML(command.description)}</div>
+      </li>
+    `).join("");
+
+    this.commandMenuTarget.classList.remove("d-none");
+    this.messageInputTarget.setAttribute("aria-expanded", "true");
+    this.messageInputTarget.setAttribute("aria-activedescendant", `chat_command_option_${this.commandIndex}`);
+  }
+
+  // Hide the slash command popup
+  closeCommandMenu() {
+    if (!this.hasCommandMenuTarget) return;
+
+    this.commandMenuTarget.classList.add("d-none");
+    this.commandMenuTarget.innerHTML = "";
+    this.commandMatches = [];
+    this.messageInputTarget.setAttribute("aria-expanded", "false");
+    this.messageInputTarget.removeAttribute("aria-activedescendant");
+  }
+
+  // Keyboard handling while the popup is open, returns true when the key was used
+  handleCommandMenuKey(event) {
+    const count = this.commandMatches.length;
+
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        event.preventDefault();
+        this.commandIndex = (this.commandIndex + (event.key === "ArrowDown" ? 1 : count - 1)) % count;
+        this.renderCommandMenu();
+        return true;
+      case "Tab":
+        event.preventDefault();
+        this.completeCommand(this.commandMatches[this.commandIndex]);
+        return true;
+      case "Enter": {
+        if (event.shiftKey) return false;
+        const command = this.commandMatches[this.commandIndex];
+        // A fully typed command is sent, a partial one is completed first
+        if (this.messageInputTarget.value.trim() === `/${command.name}`) {
+          this.closeCommandMenu();
+          return false;
+        }
+        event.preventDefault();
+        this.completeCommand(command);
+        return true;
+      }
+      case "Escape":
+        event.preventDefault();
+        this.closeCommandMenu();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Pick a command from the popup with the mouse
+  pickCommand(event) {
+    const option = event.target.closest("[data-command-index]");
+    if (!option) return;
+
+    // Keep the focus in the input
+    event.preventDefault();
+    this.completeCommand(this.commandMatches[Number(option.dataset.commandIndex)]);
+  }
+
+  // Put the command into the input, ready for its argument
+  completeCommand(command) {
+    if (!command) return;
+
+    this.messageInputTarget.value = `/${command.name} `;
+    this.closeCommandMenu();
+    this.adjustHeight();
+    this.messageInputTarget.focus();
+    logger.debug("Completed slash command", command.name);
+  }
+
+  // Current values of the patent form, used by command prompts
+  formValues() {
+    const value = (field) => document.querySelector(`[name="patent_application[${field}]"]`)?.value.trim() || "";
+    return { problem: value("problem"), solution: value("solution"), title: value("title") };
+  }
+
+  // Run a slash command: save its argument, send its prompt or run its page action
+  runCommand({ command, argument }) {
+    // Only the argument's length: /problem and /solution take invention text
+    logger.debug("Running slash command", command.name, { argumentLength: argument.length });
+
+    // Keep the command in the input until the current reply has finished
+    if (this.sending && !command.action) return;
+
+    this.closeCommandMenu();
+    this.messageInputTarget.value = "";
+    this.adjustHeight();
+
+    if (command.action === "clearSuggestions") {
+      this.dispatch("clear-suggestions");
+      return;
+    }
+
+    const url = command.route && this[`${command.route}UrlValue`];
+    if (argument && url) {
+      this.submitCommandForm(url, { [command.param]: argument });
+      return;
+    }
+
+    const prompt = command.prompt(this.formValues());
+    if (!this.streamingEnabled()) {
+      this.messageInputTarget.value = prompt;
+      this.element.requestSubmit();
+      return;
+    }
+
+    const entry = { id: this.newMessageId(), text: prompt };
+    if (!navigator.onLine || this.queue.length > 0) {
+      this.enqueue(entry);
+      this.flushQueue();
+    } else {
+      this.deliver(entry);
+    }
+  }
+
+  // Save a command's argument through its patent application route (e.g. update_problem)
+  // Submitted like the suggestion buttons, so Turbo follows the redirect back to the edit page
+  submitCommandForm(url, params) {
+    const form = document.createElement("form");
+    form.method = "post";
+    form.action = url;
+    form.hidden = true;
+
+    const fields = {
+      _method: "patch",
+      authenticity_token: document.querySelector('meta[name="csrf-token"]')?.content || "",
+      ...params
+    };
+    Object.entries(fields).forEach(([name, value]) => {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    });
+
+    document.body.appendChild(form);
+    form.requestSubmit();
+  }
+
+  // Send an edited earlier message and stream a new reply from that point
+  // On success the server re-renders the whole transcript with the new branch
+  async regenerate(event) {
+    const { index, text } = event.detail;
+    const edited = document.querySelector(`#chat_messages [data-history-index="${index}"]`);
+    if (!this.streamingEnabled() || !edited) return;
+
+    const setEditedStatus = (html) => {
+      const status = edited.querySelector('.message-status');
+      if (status) status.innerHTML = html;
+    };
+
+    if (this.sending || !navigator.onLine) {
+      setEditedStatus(`<i class="bi bi-exclamation-circle me-1"></i>${navigator.onLine ? "Wait for the current reply to finish" : "You are offline"}, then edit the message again.`);
+      return;
+    }
+    setEditedStatus("");
+
+    // Hide the conversation from the edited message on - it comes back if the edit can't be sent
+    const replaced = [edited];
+    for (let node = edited.nextElementSibling; node; node = node.nextElementSibling) replaced.push(node);
+    replaced.forEach(node => node.classList.add('d-none'));
+
+    const entry = { id: this.newMessageId(), text, editIndex: index };
+    this.addUserMessage(text, entry.id);
+
+    logger.debug("Regenerating reply from message", index);
+    const outcome = await this.streamReply(entry);
+
+    if (outcome === "complete") return;
+
+    if (outcome === "stopped") {
+      // The edit was stored along with the partial reply
+      replaced.forEach(node => node.remove());
+      return;
+    }
+
+    this.messageBubble(entry.id)?.remove();
+    replaced.forEach(node => node.classList.remove('d-none'));
+    setEditedStatus(`<i class="bi bi-exclamation-circle me-1"></i>The edited message could not be sent. Please try again.`);
+  }
+
+  // Cancel the reply that is being generated
+  stop() {
+    logger.debug("Stop requested");
+    this.abortController?.abort();
+  }
+
+  // The transcript bubble of a message sent from this page
+  messageBubble(id) {
+    return document.querySelector(`[data-chat-message-id="${id}"]`);
+  }
+
+  // Set the status line under a message ("Queued", "Not sent" ...), empty to clear it
+  setMessageStatus(id, html) {
+    const status = this.messageBubble(id)?.querySelector('.message-status');
+    if (status) status.innerHTML = html;
+  }
+
+  // Keep a message that could not be sent, with Retry and Delete actions
+  markFailed(entry) {
+    this.failedMessages.set(entry.id, entry);
+    const bubble = this.messageBubble(entry.id);
+    bubble?.classList.remove('temp-message');
+    bubble?.classList.add('message-failed');
+    this.setMessageStatus(entry.id, `
+      <span class="me-2"><i class="bi bi-exclamation-circle me-1"></i>Not sent</span>
+      <button type="button" class="btn btn-link btn-sm p-0 me-2 text-white" data-chat-message-action="retry">Retry</button>
+      <button type="button" class="btn btn-link btn-sm p-0 text-white" data-chat-message-action="delete">Delete</button>
+    `);
+    announce("Your message was not sent. Use Retry to send it again.", { assertive: true });
+    logger.debug("Message not sent", entry.id);
+  }
+
+  // Retry and Delete buttons live in the transcript, outside this controller's element
+  handleMessageAction(event) {
+    const button = event.target.closest('[data-chat-message-action]');
+    const bubble = button?.closest('[data-chat-message-id]');
+    if (!bubble) return;
+
+    if (button.dataset.chatMessageAction === "retry") {
+      this.retry(bubble.dataset.chatMessageId);
+    } else {
+      this.discard(bubble.dataset.chatMessageId);
+    }
+  }
+
+  // Send a failed message again, at the end of the conversation
+  retry(id) {
+    const entry = this.failedMessages.get(id);
+    if (!entry || this.sending) return;
+
+    this.failedMessages.delete(entry.id);
+    this.messageBubble(entry.id)?.remove();
+
+    if (!this.streamingEnabled()) {
+      // Regular Turbo submission - put the message back and submit it again
+      this.messageInputTarget.value = entry.text;
+      this.element.requestSubmit();
+      return;
+    }
+
+    if (!navigator.onLine) {
+      this.enqueue(entry);
+      return;
+    }
+
+    this.deliver(entry).then(outcome => {
+      if (outcome !== "failed" && outcome !== "offline") this.flushQueue();
+    });
+  }
+
+  // Remove a failed or queued message without sending it
+  discard(id) {
+    this.failedMessages.delete(id);
+    this.queue = this.queue.filter(entry => entry.id !== id);
+    this.saveQueue();
+    this.messageBubble(id)?.remove();
+    logger.debug("Deleted unsent message", id);
+  }
+
+  // Queue a message typed while offline
+  enqueue(entry, { front = false } = {}) {
+    this.queue = front ? [entry, ...this.queue] : [...this.queue, entry];
+    this.saveQueue();
+    this.addQueuedMessage(entry);
+    if (!navigator.onLine) announce("You're offline. Your message will be sent when you're back online.");
+  }
+
+  // Show a queued message in the transcript
+  addQueuedMessage(entry) {
+    if (!this.messageBubble(entry.id)) this.addUserMessage(entry.text, entry.id, { temporary: false });
+    const note = navigator.onLine ? "Queued" : "Queued - will be sent when you are back online";
+    this.setMessageStatus(entry.id, `
+      <span class="me-2"><i class="bi bi-clock me-1"></i>${note}</span>
+      <button type="button" class="btn btn-link btn-sm p-0 text-white" data-chat-message-action="delete">Delete</button>
+    `);
+  }
+
+  // Send queued messages in order once the connection is back
+  async flushQueue() {
+    if (this.flushing || this.sending || !navigator.onLine) return;
+    this.flushing = true;
+
+    try {
+      while (this.queue.length > 0 && navigator.onLine) {
+        const entry = this.queue.shift();
+        this.saveQueue();
+        this.messageBubble(entry.id)?.remove();
+
+        logger.debug("Sending queued message", entry.id);
+        const outcome = await this.deliver(entry);
+
+        // Keep the order - anything after a failed message waits for it to be retried
+        if (outcome === "failed" || outcome === "offline") break;
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Connection is back - send what was queued
+  handleOnline() {
+    logger.debug("Back online, queued messages:", this.queue.length);
+    this.flushQueue();
+  }
+
+  // localStorage key for this application's queue
+  queueKey() {
+    return `chat-queue:${this.streamUrlValue}`;
+  }
+
+  // Persist the queue so it survives a reload while offline
+  saveQueue() {
+    if (!this.streamingEnabled()) return;
+
+    try {
+      if (this.queue.length > 0) {
+        localStorage.setItem(this.queueKey(), JSON.stringify(this.queue));
+      } else {
+        localStorage.removeItem(this.queueKey());
+      }
+    } catch (error) {
+      logger.error("Could not store the message queue", error);
+    }
+  }
+
+  // Show (and if possible send) messages queued before the page was loaded
+  restoreQueue() {
+    this.queue = [];
+    if (!this.streamingEnabled()) return;
+
+    try {
+      this.queue = JSON.parse(localStorage.getItem(this.queueKey()) || "[]");
+    } catch (error) {
+      logger.error("Could not read the message queue", error);
+    }
+
+    if (this.queue.length === 0) return;
+
+    logger.debug("Restored queued messages:", this.queue.length);
+    this.queue.forEach(entry => this.addQueuedMessage(entry));
+    this.flushQueue();
+  }
+
+  // Read Server-Sent Events from a response body, calling onEvent for each one
+  async readEvents(body, onEvent) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += value;
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const parsed = this.parseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (parsed) onEvent(parsed);
+      }
+    }
+  }
+
+  // Parse one "event: name / data: json" block
+  parseEvent(raw) {
+    let event = "message";
+    const data = [];
+
+    raw.split("\n").forEach(line => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+    });
+
+    if (data.length === 0) return null;
+
+    try {
+      return { event, data: JSON.parse(data.join("\n")) };
+    } catch (error) {
+      logger.error("Could not parse stream event", { body: raw }, error);
+      return null;
+    }
+  }
+
+  // The bubble content of the reply being streamed, replacing the typing dots on first use
+  // The markdown controller renders the text as it grows (see markdown_controller.js)
+  streamingContent() {
+    const indicator = document.getElementById('temp_ai_loading_indicator');
+    if (!indicator) return null;
+
+    const content = indicator.querySelector('.message-content');
+    if (!indicator.querySelector('.streaming-text')) {
+      const body = indicator.querySelector('.message-body');
+      body.classList.remove('d-flex', 'align-items-center');
+      body.innerHTML = '<div class="markdown-body mb-1 streaming-text" style="color: var(--text-primary);" data-markdown-target="body"></div>';
+      content.dataset.markdownSourceValue = '';
+      content.dataset.controller = 'markdown';
+    }
+    return content;
+  }
+
+  // Add a piece of the reply to the chat
+  appendToken(token) {
+    const content = this.streamingContent();
+    if (!content) return;
+
+    content.dataset.markdownSourceValue += token;
+
+    const chatMessages = document.getElementById('chat_messages');
+    if (chatMessages) chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Keep the message and partial reply (both stored by the server) and mark the reply as stopped
+  markStopped(id) {
+    const indicator = document.getElementById('temp_ai_loading_indicator');
+    this.messageBubble(id)?.classList.remove('temp-message');
+    if (!indicator) return;
+
+    indicator.classList.remove('temp-message');
+    announce("Reply stopped.");
+
+    indicator.removeAttribute('id');
+    indicator.removeAttribute('aria-busy');
+    if (!indicator.querySelector('.streaming-text')) {
+      indicator.remove();
+      return;
+    }
+
+    indicator.querySelector('.message-content').insertAdjacentHTML('beforeend', `
+      <div class="message-footer mt-2">
+        <small class="text-muted fst-italic"><i class="bi bi-stop-circle me-1"></i>Stopped</small>
+        <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted" title="Copy message" aria-label="Copy message" data-action="markdown#copyMessage"><i class="bi bi-clipboard"></i></button>
+      </div>
+    `);
+  }
+
+  // Swap the send button for the stop button while a reply is streaming
+  setStreaming(streaming) {
+    this.sending = streaming;
+    this.submitButtonTarget.classList.toggle("d-none", streaming);
+    if (this.hasStopButtonTarget) this.stopButtonTarget.classList.toggle("d-none", !streaming);
+  }
+
   // Handle form submission start - show loading state
   handleSubmitStart() {
     const message = this.messageInputTarget.value.trim();
     if (!message) return;
     
-    console.debug("[ChatFormController] Submit start - adding message and loading indicator");
+    logger.debug("Submit start - adding message and loading indicator");
     
     // Store the message for display
     const messageToDisplay = message;
@@ -50,7 +732,8 @@ export default class extends Controller {
     this.adjustHeight();
     
     // Add user message to chat
-    this.addUserMessage(messageToDisplay);
+    this.turboEntry = { id: this.newMessageId(), text: messageToDisplay };
+    this.addUserMessage(messageToDisplay, this.turboEntry.id);
     
     // Add loading indicator
     this.addLoadingIndicator();
@@ -62,11 +745,19 @@ export default class extends Controller {
   }
   
   // Handle form submission end - reset form and loading state
-  handleSubmitEnd() {
-    console.debug("[ChatFormController] Submit end - removing loading indicator");
+  handleSubmitEnd(event) {
+    logger.debug("Submit end - removing loading indicator");
+    this.sending = false;
     
-    // Remove loading indicator
-    this.removeLoadingIndicator();
+    if (event?.detail?.success === false && this.turboEntry) {
+      // Keep the message in the transcript so it can be retried
+      document.getElementById('temp_ai_loading_indicator')?.remove();
+      this.markFailed(this.turboEntry);
+    } else {
+      // Remove loading indicator
+      this.removeLoadingIndicator();
+    }
+    this.turboEntry = null;
     
     // Focus the input field (we already cleared it at the start)
     this.messageInputTarget.focus();
@@ -78,19 +769,20 @@ export default class extends Controller {
   }
   
   // Add user message immediately to the chat
-  addUserMessage(message) {
-    console.debug("[ChatFormController] Adding user message to chat");
+  // Temporary messages are removed once the stored version is rendered, queued and failed ones stay
+  addUserMessage(message, id, { temporary = true } = {}) {
+    logger.debug("Adding user message to chat");
     
     const chatMessages = document.getElementById('chat_messages');
     if (!chatMessages) {
-      console.error("[ChatFormController] Could not find chat messages container");
-      return;
+      logger.error("Could not find chat messages container");
+      return null;
     }
     
-    const messageId = `temp_user_message_${Date.now()}`;
+    const messageId = `temp_user_message_${id}`;
     
     const messageHTML = `
-      <div class="message mb-4 d-flex user-message justify-content-end temp-message" id="${messageId}">
+      <div class="message mb-4 d-flex user-message justify-content-end ${temporary ? "temp-message" : ""}" id="${messageId}" data-chat-message-id="${id}" role="article" aria-label="Your message">
         <div class="message-content p-3 rounded-3 shadow-sm text-white" style="max-width: 85%; background-color: var(--primary-color);">
           <div class="message-body">
             <p class="mb-1">${this.escapeHTML(message)}</p>
@@ -99,8 +791,9 @@ export default class extends Controller {
             <small class="opacity-75">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</small>
             <small class="opacity-75">You</small>
           </div>
+          <div class="message-status small mt-1"></div>
         </div>
-        <div class="message-avatar ms-3 flex-shrink-0">
+        <div class="message-avatar ms-3 flex-shrink-0" aria-hidden="true">
           <div class="avatar bg-white text-primary border rounded-circle d-flex align-items-center justify-content-center" style="width: 38px; height: 38px;">
             <i class="bi bi-person"></i>
           </div>
@@ -110,15 +803,16 @@ export default class extends Controller {
     
     chatMessages.insertAdjacentHTML('beforeend', messageHTML);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return document.getElementById(messageId);
   }
   
   // Add loading indicator while waiting for AI response
   addLoadingIndicator() {
-    console.debug("[ChatFormController] Adding loading indicator");
+    logger.debug("Adding loading indicator");
     
     const chatMessages = document.getElementById('chat_messages');
     if (!chatMessages) {
-      console.error("[ChatFormController] Could not find chat messages container");
+      logger.error("Could not find chat messages container");
       return;
     }
     
@@ -131,8 +825,8 @@ export default class extends Controller {
     }
     
     const loadingHTML = `
-      <div class="message mb-4 d-flex ai-message temp-message" id="${loadingId}">
-        <div class="message-avatar me-3 flex-shrink-0">
+      <div class="message mb-4 d-flex ai-message temp-message" id="${loadingId}" role="article" aria-label="AI assistant reply" aria-busy="true">
+        <div class="message-avatar me-3 flex-shrink-0" aria-hidden="true">
           <div class="avatar text-white rounded-circle d-flex align-items-center justify-content-center" style="width: 38px; height: 38px; background: linear-gradient(135deg, var(--primary-color), var(--accent-color));">
             <i class="bi bi-robot"></i>
           </div>
@@ -140,9 +834,10 @@ export default class extends Controller {
         <div class="message-content p-3 rounded-3 shadow-sm" style="max-width: 85%; background-color: var(--surface-color);">
           <div class="message-body d-flex align-items-center">
             <div class="typing-indicator">
-              <span class="dot"></span>
-              <span class="dot"></span>
-              <span class="dot"></span>
+              <span class="dot" aria-hidden="true"></span>
+              <span class="dot" aria-hidden="true"></span>
+              <span class="dot" aria-hidden="true"></span>
+              <span class="visually-hidden">The assistant is typing…</span>
             </div>
           </div>
         </div>
@@ -151,6 +846,7 @@ export default class extends Controller {
     
     chatMessages.insertAdjacentHTML('beforeend', loadingHTML);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    announce("The assistant is typing…");
     
     // Add CSS for the typing indicator if it doesn't exist
     if (!document.getElementById('typing-indicator-style')) {
@@ -181,6 +877,16 @@ export default class extends Controller {
           0%, 60%, 100% { transform: translateY(0); }
           30% { transform: translateY(-6px); }
         }
+        /* Fade instead of bouncing for users who asked for less motion */
+        @keyframes typing-fade {
+          0%, 60%, 100% { opacity: 0.4; }
+          30% { opacity: 1; }
+        }
+        @media (prefers-reduced-motion: reduce) {
+          .typing-indicator .dot {
+            animation-name: typing-fade;
+          }
+        }
       `;
       document.head.appendChild(style);
     }
@@ -188,10 +894,10 @@ export default class extends Controller {
   
   // Remove temporary messages when AI response is received
   removeLoadingIndicator() {
-    console.debug("[ChatFormController] Removing temporary messages");
+    logger.debug("Removing temporary messages");
     
     document.querySelectorAll('.temp-message').forEach(el => {
-      console.debug("[ChatFormController] Removing temporary message", el.id);
+      logger.debug("Removing temporary message", el.id);
       el.remove();
     });
   }
@@ -0,0 +1,124 @@
+// app/javascript/controllers/chat_messages_controller.js
+//
+// Stimulus controller for the chat transcript (#chat_messages)
+// Lets the user edit one of their earlier messages and regenerate the reply from there
+//
+// This controller:
+// - Opens an inline editor in a user message (Enter saves, Escape cancels)
+// - Hands the edited message to the chat form (chat-messages:regenerate event), which
+//   streams a new reply; the server keeps the previous conversation as another branch
+// - Switching between branches is done by the "< 1/2 >" buttons rendered with each edited message
+// - Reads out new assistant replies to screen readers once they are complete. The transcript
+//   itself is not a live region, or a streamed reply would be read token by token
+
+import { Controller } from "@hotwired/stimulus"
+import { announce, textForAnnouncement } from "lib/announcer"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("ChatMessagesController")
+
+export default class extends Controller {
+  static targets = ["reply"]
+
+  connect() {
+    logger.debug("Connected")
+    this.connected = true
+  }
+
+  disconnect() {
+    this.connected = false
+    clearTimeout(this.announceTimer)
+  }
+
+  // A reply was rendered into the transcript. Replies present when the page loads connect
+  // before connect() runs and are skipped; when the whole transcript is re-rendered only
+  // the last reply is announced
+  replyTargetConnected(reply) {
+    if (!this.connected) return
+
+    this.latestReply = reply
+    clearTimeout(this.announceTimer)
+    this.announceTimer = setTimeout(() => this.announceReply(), 0)
+  }
+
+  // Read out the text of the latest reply
+  announceReply() {
+    const reply = this.latestReply
+    this.latestReply = null
+    if (!reply?.isConnected) return
+
+    const text = textForAnnouncement(reply.querySelector("[data-markdown-target='body']"))
+    if (text) announce(`The assistant replied: ${text}`)
+  }
+
+  // Replace the text of a user message with an editor
+  edit(event) {
+    const bubble = event.currentTarget.closest("[data-history-index]")
+    if (!bubble || bubble.querySelector(".message-editor")) return
+
+    const body = bubble.querySelector(".message-body")
+    body.classList.add("d-none")
+    body.insertAdjacentHTML("afterend", `
+      <div class="message-editor">
+        <textarea class="form-control form-control-sm mb-2" rows="3" aria-label="Edit message" data-action="keydown->chat-messages#handleEditorKeydown">${this.escapeHTML(bubble.dataset.messageText)}</textarea>
+        <div class="d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-sm btn-outline-light" data-action="chat-messages#cancel">Cancel</button>
+          <button type="button" class="btn btn-sm btn-light" data-action="chat-messages#save">Save &amp; regenerate</button>
+        </div>
+      </div>
+    `)
+
+    const textarea = bubble.querySelector(".message-editor textarea")
+    textarea.focus()
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length)
+
+    logger.debug("Editing message", bubble.dataset.historyIndex)
+  }
+
+  // Enter saves, Shift+Enter adds a line, Escape cancels
+  handleEditorKeydown(event) {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault()
+      this.save(event)
+    } else if (event.key === "Escape") {
+      event.preventDefault()
+      this.cancel(event)
+    }
+  }
+
+  // Close the editor without changes
+  cancel(event) {
+    const bubble = event.currentTarget.closest("[data-history-index]")
+    if (bubble) this.closeEditor(bubble)
+  }
+
+  // Send the edited message so the reply is regenerated from this point
+  save(event) {
+    const bubble = event.currentTarget.closest("[data-history-index]")
+    if (!bubble) return
+
+    const text = bubble.querySelector(".message-editor textarea").value.trim()
+    this.closeEditor(bubble)
+
+    if (!text || text === bubble.dataset.messageText.trim()) {
+      logger.debug("Message unchanged, nothing to regenerate")
+      return
+    }
+
+    logger.debug("Regenerating from message", bubble.dataset.historyIndex)
+    this.dispatch("regenerate", { detail: { index: Number(bubble.dataset.historyIndex), text } })
+  }
+
+  // Remove the editor and show the message text again
+  closeEditor(bubble) {
+    bubble.querySelector(".message-editor")?.remove()
+    bubble.querySelector(".message-body")?.classList.remove("d-none")
+  }
+
+  // Helper method to escape HTML to prevent XSS
+  escapeHTML(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
+  }
+}
@@ -0,0 +1,307 @@
+// app/javascript/controllers/claims_editor_controller.js
+//
+// Stimulus controller for the claims editor in the patent form
+// Edits the application's claims as a tree of independent and dependent claims
+//
+// Claims are kept as an ordered list of { id, text, depends_on }: a claim's number is
+// its position, and a dependent claim refers to the id of its parent claim. Moving or
+// deleting claims therefore renumbers everything, references included.
+//
+// This controller:
+// - Renders the claims as a collapsible tree (dependent claims under their parent)
+// - Adds independent and dependent claims, moves claims up and down, deletes them
+// - Warns when a dependent claim refers to a deleted claim, a later claim, or itself
+//   through a chain of dependencies
+// - Writes the list as JSON to a hidden field tracked by the patent form controller,
+//   so claims take part in dirty tracking, autosave, local drafts and undo/redo
+//   (it reloads from that field when the patent form restores values)
+
+import { Controller } from "@hotwired/stimulus"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("ClaimsEditorController")
+
+export default class extends Controller {
+  static targets = ["input", "tree", "empty", "warnings"]
+
+  connect() {
+    this.collapsed = new Set()
+    this.load()
+
+    logger.debug("Connected with", this.claims.length, "claims")
+  }
+
+  // Read the claims from the hidden field and render them
+  load() {
+    try {
+      const claims = JSON.parse(this.inputTarget.value || "[]")
+      this.claims = Array.isArray(claims) ? claims : []
+    } catch (error) {
+      logger.error("Could not parse claims", error)
+      this.claims = []
+    }
+
+    this.render()
+  }
+
+  // Add an independent claim at the end
+  addIndependent() {
+    const claim = this.newClaim(null)
+    this.claims.push(claim)
+    this.changed("add claim", claim.id)
+  }
+
+  // Add a dependent claim after the claim and its existing dependents
+  addDependent(event) {
+    const id = this.claimId(event)
+    const claim = this.newClaim(id)
+    const descendants = this.descendantIds(id)
+    const lastIndex = this.claims.reduce((last, other, index) => (other.id === id || descendants.has(other.id)) ? index : last, -1)
+
+    this.claims.splice(lastIndex + 1, 0, claim)
+    this.collapsed.delete(id)
+    this.changed("add dependent claim", claim.id)
+  }
+
+  // Delete a claim - its dependents are kept and flagged until they get a new parent
+  remove(event) {
+    const id = this.claimId(event)
+    const index = this.indexOf(id)
+    if (index === -1) return
+
+    const claim = this.claims[index]
+    if (claim.text.trim() && !confirm(`Delete claim ${index + 1}?`)) return
+
+    this.claims.splice(index, 1)
+    this.collapsed.delete(id)
+    this.changed(`delete claim ${index + 1}`)
+  }
+
+  // Move a claim one position up
+  moveUp(event) {
+    this.move(this.claimId(event), -1)
+  }
+
+  // Move a claim one position down
+  moveDown(event) {
+    this.move(this.claimId(event), 1)
+  }
+
+  // Swap a claim with its neighbour in the numbering
+  move(id, offset) {
+    const index = this.indexOf(id)
+    const target = index + offset
+    if (index === -1 || target < 0 || target >= this.claims.length) return
+
+    const [claim] = this.claims.splice(index, 1)
+    this.claims.splice(target, 0, claim)
+    this.changed(`move claim ${index + 1} to ${target + 1}`, id)
+  }
+
+  // Make a claim independent or dependent on another claim
+  changeParent(event) {
+    const claim = this.claims[this.indexOf(this.claimId(event))]
+    if (!claim) return
+
+    claim.depends_on = event.target.value || null
+    this.changed("change claim dependency", claim.id)
+  }
+
+  // Update the text of a claim as the user types (no re-render, so the cursor stays put)
+  updateText(event) {
+    const claim = this.claims[this.indexOf(this.claimId(event))]
+    if (!claim) return
+
+    claim.text = event.target.value
+    this.sync()
+  }
+
+  // Collapse or expand the dependents of a claim
+  toggle(event) {
+    const id = this.claimId(event)
+    this.collapsed.has(id) ? this.collapsed.delete(id) : this.collapsed.add(id)
+    this.render()
+    this.element.querySelector(`[data-claim-id="${CSS.escape(id)}"] .claim-toggle`)?.focus()
+  }
+
+  // A structural change: re-render and record it as its own undo step
+  changed(label, focusId = null) {
+    logger.debug(label)
+
+    this.render()
+    this.sync(label)
+
+    if (focusId) this.element.querySelector(`[data-claim-id="${CSS.escape(focusId)}"] textarea`)?.focus()
+  }
+
+  // Write the claims to the hidden field and let the patent form know
+  // Text edits are sent without a label so the form merges them into one undo step
+  sync(label = null) {
+    this.inputTarget.value = JSON.stringify(this.claims)
+    this.inputTarget.dispatchEvent(new CustomEvent("input", { bubbles: true, detail: { source: "claims-editor", label } }))
+  }
+
+  // Id of the claim an event came from
+  claimId(event) {
+    return event.target.closest("[data-claim-id]")?.dataset.claimId
+  }
+
+  newClaim(dependsOn) {
+    return { id: this.generateId(), text: "", depends_on: dependsOn }
+  }
+
+  generateId() {
+    return Math.random().toString(16).slice(2, 10)
+  }
+
+  indexOf(id) {
+    return this.claims.findIndex(claim => claim.id === id)
+  }
+
+  // Ids of all claims that depend on the claim, directly or through other claims
+  descendantIds(id) {
+    const descendants = new Set()
+    const queue = [id]
+
+    while (queue.length) {
+      const parent = queue.shift()
+      this.claims.forEach(claim => {
+        if (claim.depends_on === parent && !descendants.has(claim.id) && claim.id !== id) {
+          descendants.add(claim.id)
+          queue.push(claim.id)
+        }
+      })
+    }
+    return descendants
+  }
+
+  // Whether a claim depends on itself, directly or through its parent claims
+  circular(claim) {
+    return claim.depends_on === claim.id || this.descendantIds(claim.id).has(claim.depends_on)
+  }
+
+  // Problems with the claims, by claim id
+  dependencyProblems() {
+    const positions = new Map(this.claims.map((claim, index) => [claim.id, index]))
+    const problems = new Map()
+
+    this.claims.forEach((claim, index) => {
+      if (!claim.depends_on) return
+
+      const parentIndex = positions.get(claim.depends_on)
+      if (parentIndex === undefined) {
+        problems.set(claim.id, `Claim ${index + 1} depends on a claim that no longer exists.`)
+      } else if (claim.depends_on === claim.id) {
+        problems.set(claim.id, `Claim ${index + 1} depends on itself.`)
+      } else if (this.circular(claim)) {
+        problems.set(claim.id, `Claim ${index + 1} depends on itself through claim ${parentIndex + 1}.`)
+      } else if (parentIndex > index) {
+        problems.set(claim.id, `Claim ${index + 1} depends on claim ${parentIndex + 1}, which comes after it. A dependent claim can only refer to an earlier claim.`)
+      }
+    })
+
+    return problems
+  }
+
+  // Render the claims tree and warnings
+  render() {
+    const problems = this.dependencyProblems()
+    const ids = new Set(this.claims.map(claim => claim.id))
+    const children = new Map()
+    const roots = []
+
+    // Claims with a missing or circular parent are shown at the top level
+    this.claims.forEach(claim => {
+      const parent = claim.depends_on
+      if (parent && ids.has(parent) && !this.circular(claim)) {
+        if (!children.has(parent)) children.set(parent, [])
+        children.get(parent).push(claim)
+      } else {
+        roots.push(claim)
+      }
+    })
+
+    this.treeTarget.innerHTML = roots.map(claim => this.renderClaim(claim, children, problems)).join("")
+    if (this.hasEmptyTarget) this.emptyTarget.classList.toggle("d-none", this.claims.length > 0)
+
+    this.renderWarnings(problems)
+  }
+
+  // HTML for a claim and its dependents
+  renderClaim(claim, children, problems) {
+    const index = this.indexOf(claim.id)
+    const number = index + 1
+    const dependents = children.get(claim.id) || []
+    const collapsed = this.collapsed.has(claim.id)
+    const problem = problems.get(claim.id)
+    const id = this.escapeHTML(claim.id)
+    const parentNumber = claim.depends_on ? this.indexOf(claim.depends_on) + 1 : 0
+
+    return `
+      <li class="claim-node" data-claim-id="${id}">
+        <div class="claim-row d-flex gap-2 align-items-start mb-2 p-2 rounded-3 border ${problem ? "border-warning" : ""}">
+          <button type="button" class="btn btn-link btn-sm p-0 mt-1 claim-toggle ${dependents.length ? "" : "invisible"}" aria-expanded="${!collapsed}" aria-label="${collapsed ? "Show" : "Hide"} claims depending on claim ${number}" data-action="claims-editor#toggle">
+            <i class="bi bi-chevron-${collapsed ? "right" : "down"}"></i>
+          </button>
+          <span class="badge bg-light text-secondary border mt-1">${number}</span>
+          <div class="flex-grow-1">
+            <textarea class="form-control form-control-sm" rows="2" aria-label="Claim ${number}" placeholder="${parentNumber ? `The ... of claim ${parentNumber}, wherein ...` : "A ... comprising ..."}" data-action="input->claims-editor#updateText">${this.escapeHTML(claim.text)}</textarea>
+            <div class="d-flex flex-wrap align-items-center gap-1 mt-1">
+              <select class="form-select form-select-sm w-auto" aria-label="Claim ${number} depends on" data-action="change->claims-editor#changeParent">
+                ${this.parentOptions(claim)}
+              </select>
+              <div class="btn-group btn-group-sm ms-auto" role="group" aria-label="Claim ${number} actions">
+                <button type="button" class="btn btn-outline-secondary" title="Move up" aria-label="Move claim ${number} up" ${index === 0 ? "disabled" : ""} data-action="claims-editor#moveUp"><i class="bi bi-arrow-up"></i></button>
+                <button type="button" class="btn btn-outline-secondary" title="Move down" aria-label="Move claim ${number} down" ${index === this.claims.length - 1 ? "disabled" : ""} data-action="claims-editor#moveDown"><i class="bi bi-arrow-down"></i></button>
+                <button type="button" class="btn btn-outline-secondary" title="Add dependent claim" aria-label="Add a claim depending on claim ${number}" data-action="claims-editor#addDependent"><i class="bi bi-diagram-2"></i></button>
+                <button type="button" class="btn btn-outline-danger" title="Delete" aria-label="Delete claim ${number}" data-action="claims-editor#remove"><i class="bi bi-trash"></i></button>
+              </div>
+            </div>
+            ${problem ? `<div class="small text-warning-emphasis mt-1"><i class="bi bi-exclamation-triangle me-1"></i>${this.escapeHTML(problem)}</div>` : ""}
+          </div>
+        </div>
+        ${dependents.length ? `<ul class="list-unstyled ps-4 mb-0 ${collapsed ? "d-none" : ""}">${dependents.map(child => this.renderClaim(child, children, problems)).join("")}</ul>` : ""}
+      </li>
+    `
+  }
+
+  // Options for the "depends on" select: independent, or any claim that is not a dependent of this one
+  parentOptions(claim) {
+    const descendants = this.descendantIds(claim.id)
+    const options = [`<option value="">Independent claim</option>`]
+
+    this.claims.forEach((other, index) => {
+      if (other.id === claim.id || descendants.has(other.id)) return
+
+      const selected = other.id === claim.depends_on ? "selected" : ""
+      options.push(`<option value="${this.escapeHTML(other.id)}" ${selected}>Depends on claim ${index + 1}</option>`)
+    })
+
+    if (claim.depends_on && this.indexOf(claim.depends_on) === -1) {
+      options.push(`<option value="${this.escapeHTML(claim.depends_on)}" selected>Depends on a deleted claim</option>`)
+    }
+
+    return options.join("")
+  }
+
+  // Summary of the dependency problems below the claims
+  renderWarnings(problems) {
+    if (!this.hasWarningsTarget) return
+
+    this.warningsTarget.innerHTML = problems.size ? `
+      <div class="alert alert-warning small p-2 mb-0" role="status">
+        <ul class="mb-0 ps-3">${[...problems.values()].map(message => `<li>${this.escapeHTML(message)}</li>`).join("")}</ul>
+      </div>
+    ` : ""
+  }
+
+  // Helper method to escape HTML to prevent XSS (also used in attribute values)
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
@@ -0,0 +1,327 @@
+// app/javascript/controllers/command_palette_controller.js
+//
+// Stimulus controller for the command palette and keyboard shortcuts (app/views/shared/_command_palette.html.slim)
+//
+// Ctrl/Cmd+K opens a palette that fuzzy-searches:
+// - Applications by title, fetched from /patent_applications.json each time it opens
+// - Actions on the current page: any element with data-command="Label" (a button is
+//   clicked, a field is focused), so views decide what they offer
+// - Pages to go to (New application, My Patents, Marketplace)
+//
+// Elements with data-command-shortcut (e.g. "mod+s", "/") also run from the keyboard,
+// where "mod" is Cmd on a Mac and Ctrl elsewhere. "?" shows the shortcut help.
+
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { fuzzyMatch, highlightMatch } from "lib/fuzzy_match"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("CommandPaletteController")
+
+// Most results listed at once
+const RESULT_LIMIT = 12
+
+// Applications listed before anything is typed
+const RECENT_LIMIT = 5
+
+export default class extends Controller {
+  static targets = ["palette", "help", "input", "results", "empty", "modKey"]
+  static values = { applicationsUrl: String, navigation: Array }
+
+  connect() {
+    logger.debug("Connected")
+    this.applications = []
+    this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent)
+    this.modKeyTargets.forEach(key => { key.textContent = this.isMac ? "⌘" : "Ctrl" })
+
+    // Bootstrap's namespaced modal events, which Stimulus action descriptors can't name.
+    // The palette is also opened by the navbar search button (data-bs-toggle="modal")
+    this.handleShow = () => this.prepare()
+    this.handleShown = () => this.inputTarget.focus()
+    this.handleHidden = () => this.runPending()
+    this.paletteTarget.addEventListener("show.bs.modal", this.handleShow)
+    this.paletteTarget.addEventListener("shown.bs.modal", this.handleShown)
+    this.paletteTarget.addEventListener("hidden.bs.modal", this.handleHidden)
+  }
+
+  disconnect() {
+    this.paletteTarget.removeEventListener("show.bs.modal", this.handleShow)
+    this.paletteTarget.removeEventListener("shown.bs.modal", this.handleShown)
+    this.paletteTarget.removeEventListener("hidden.bs.modal", this.handleHidden)
+    this.abortController?.abort()
+  }
+
+  // Global keyboard shortcuts (keydown@window)
+  handleShortcut(event) {
+    if (event.defaultPrevented || event.isComposing) return
+    const shortcut = this.shortcutFor(event)
+    if (!shortcut || document.querySelector(".modal.show")) return
+
+    if (shortcut === "mod+k") {
+      event.preventDefault()
+      this.open()
+      return
+    }
+
+    // Single-key shortcuts would get in the way of typing
+    const typing = event.target.closest?.("input, textarea, select, [contenteditable]")
+    if (!shortcut.startsWith("mod+") && typing) return
+
+    if (shortcut === "?") {
+      event.preventDefault()
+      this.showHelp()
+      return
+    }
+
+    const element = document.querySelector(`[data-command-shortcut="${shortcut}"]`)
+    if (!element) return
+
+    // Keep the browser's own Ctrl+S from saving the page, even while the command is unavailable
+    event.preventDefault()
+    if (this.isAvailable(element)) {
+      logger.debug(`Shortcut ${shortcut}: ${element.dataset.command}`)
+      this.run(element)
+    }
+  }
+
+  // "mod+s", "/" or "?" for a key press, or null for keys that are never shortcuts
+  shortcutFor(event) {
+    // Picking an autofill entry fires a keydown without a key
+    if (event.altKey || typeof event.key !== "string" || event.key.length !== 1) return null
+
+    const key = event.key.toLowerCase()
+    const mod = this.isMac ? event.metaKey : event.ctrlKey
+    if (mod) return event.shiftKey ? null : `mod+${key}`
+    if (event.ctrlKey || event.metaKey) return null
+    return key
+  }
+
+  // Open the palette
+  open() {
+    this.modal(this.paletteTarget).show()
+  }
+
+  // Start each opening with an empty query and a fresh list of applications
+  prepare() {
+    this.pending = null
+    this.inputTarget.value = ""
+    this.render()
+    this.loadApplications()
+  }
+
+  // Open the shortcut help
+  showHelp() {
+    this.modal(this.helpTarget).show()
+  }
+
+  // Open the shortcut help from the palette
+  openHelp(event) {
+    event.preventDefault()
+    this.execute({ run: () => this.showHelp() })
+  }
+
+  // Fetch the applications to search; the palette works with page commands meanwhile
+  async loadApplications() {
+    if (!this.applicationsUrlValue) return
+
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+
+    try {
+      const response = await fetch(this.applicationsUrlValue, {
+        headers: { "Accept": "application/json" },
+        signal: this.abortController.signal
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      this.applications = await response.json()
+      logger.debug(`Loaded ${this.applications.length} applications`)
+      this.render()
+    } catch (error) {
+      if (error.name !== "AbortError") logger.debug("Could not load applications:", error)
+    }
+  }
+
+  // Re-filter the results as the query changes
+  filter() {
+    this.render()
+  }
+
+  // Arrow keys move through the results, Enter runs the active one
+  navigate(event) {
+    const options = this.options()
+
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        event.preventDefault()
+        if (options.length === 0) return
+        const step = event.key === "ArrowDown" ? 1 : -1
+        this.activate((this.activeIndex + step + options.length) % options.length)
+        break
+      }
+      case "Enter":
+        event.preventDefault()
+        if (options[this.activeIndex]) this.choose(this.activeIndex)
+        break
+    }
+  }
+
+  // Run a result that was clicked
+  pick(event) {
+    const option = event.target.closest("[role=option]")
+    if (!option) return
+
+    event.preventDefault()
+    this.choose(Number(option.dataset.index))
+  }
+
+  // Highlight the result under the pointer
+  hover(event) {
+    const option = event.target.closest("[role=option]")
+    if (option) this.activate(Number(option.dataset.index))
+  }
+
+  // Everything the palette can run right now, as { label, group, icon, hint, run }
+  commands() {
+    const pageCommands = Array.from(document.querySelectorAll("[data-command]"))
+      .filter(element => this.isAvailable(element))
+      .map(element => ({
+        label: element.dataset.command,
+        group: "Actions",
+        icon: "bi-lightning",
+        hint: this.formatShortcut(element.dataset.commandShortcut),
+        run: () => this.run(element)
+      }))
+
+    const navigation = this.navigationValue.map(({ label, url, icon }) => ({
+      label,
+      group: "Go to",
+      icon: icon || "bi-arrow-right",
+      run: () => Turbo.visit(url)
+    }))
+
+    const applications = this.applications.map(application => ({
+      label: application.title,
+      group: "Applications",
+      icon: "bi-file-earmark-text",
+      hint: application.status,
+      run: () => Turbo.visit(application.url)
+    }))
+
+    return { pageCommands, navigation, applications }
+  }
+
+  // List the commands matching the query, best first
+  render() {
+    const query = this.inputTarget.value.trim()
+    const { pageCommands, navigation, applications } = this.commands()
+
+    if (query) {
+      this.results = [ ...pageCommands, ...navigation, ...applications ]
+        .map(command => ({ command, match: fuzzyMatch(query, command.label) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, RESULT_LIMIT)
+        .map(({ command, match }) => ({ ...command, indices: match.indices }))
+    } else {
+      this.results = [ ...pageCommands, ...navigation, ...applications.slice(0, RECENT_LIMIT) ]
+        .map(command => ({ ...command, indices: [] }))
+    }
+
+    this.resultsTarget.innerHTML = this.results.map((result, index) => {
+      const heading = !query && result.group !== this.results[index - 1]?.group
+        ? `<li class="command-palette-group small text-muted text-uppercase px-3 pt-2 pb-1" role="presentation">${this.escapeHTML(result.group)}</li>`
+        : ""
+
+      return `${heading}<li class="command-palette-option d-flex align-items-center gap-2 px-3 py-2" id="command_palette_option_${index}" role="option" aria-selected="false" data-index="${index}">
+        <i class="bi ${this.escapeHTML(result.icon)} text-muted" aria-hidden="true"></i>
+        <span class="flex-grow-1 text-truncate">${highlightMatch(result.label, result.indices)}</span>
+        ${result.hint ? `<small class="text-muted">${this.escapeHTML(result.hint)}</small>` : ""}
+      </li>`
+    }).join("")
+
+    this.emptyTarget.hidden = this.results.length > 0
+    this.inputTarget.setAttribute("aria-expanded", this.results.length > 0)
+    this.activate(0)
+  }
+
+  // Mark a result as the active one, for the keyboard and screen readers
+  activate(index) {
+    this.activeIndex = index
+    const options = this.options()
+
+    options.forEach((option, position) => {
+      const active = position === index
+      option.classList.toggle("active", active)
+      option.setAttribute("aria-selected", active)
+      if (active) option.scrollIntoView({ block: "nearest" })
+    })
+
+    if (options[index]) {
+      this.inputTarget.setAttribute("aria-activedescendant", options[index].id)
+    } else {
+      this.inputTarget.removeAttribute("aria-activedescendant")
+    }
+  }
+
+  options() {
+    return Array.from(this.resultsTarget.querySelectorAll("[role=option]"))
+  }
+
+  // Close the palette and run a result once it is gone, so focus lands where the command puts it
+  choose(index) {
+    const result = this.results[index]
+    if (!result) return
+
+    // Not the label, which can be an application title
+    logger.debug("Running result", { group: result.group, index })
+    this.execute(result)
+  }
+
+  execute(command) {
+    this.pending = command
+    this.modal(this.paletteTarget).hide()
+  }
+
+  runPending() {
+    const command = this.pending
+    this.pending = null
+    command?.run()
+  }
+
+  // Focus fields, click everything else
+  run(element) {
+    if (element.matches("input, textarea, select")) {
+      element.focus()
+      element.scrollIntoView({ block: "nearest" })
+    } else {
+      element.click()
+    }
+  }
+
+  // Page commands only count while they are shown and enabled
+  isAvailable(element) {
+    return !element.disabled && !element.closest("[hidden], .d-none, [inert]")
+  }
+
+  // "mod+s" as "Ctrl+S", or "⌘S" on a Mac
+  formatShortcut(shortcut) {
+    if (!shortcut) return ""
+    if (!shortcut.startsWith("mod+")) return shortcut
+
+    const key = shortcut.slice(4).toUpperCase()
+    return this.isMac ? `⌘${key}` : `Ctrl+${key}`
+  }
+
+  modal(element) {
+    return window.bootstrap.Modal.getOrCreateInstance(element)
+  }
+
+  // Helper method to escape HTML to prevent XSS
+  escapeHTML(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
+  }
+}
@@ -0,0 +1,36 @@
+// app/javascript/controllers/diagnostics_controller.js
+//
+// Stimulus controller for "Download diagnostics" in the account menu
+//
+// Saves the bundle from lib/diagnostics.js (recent logs, controller state and Turbo
+// request timings) as a JSON file the user can attach to a support request.
+// Patent text is redacted from it, so it is safe to share.
+
+import { Controller } from "@hotwired/stimulus"
+import { buildDiagnostics } from "lib/diagnostics"
+import { createLogger } from "lib/logger"
+import { announce } from "lib/announcer"
+
+const logger = createLogger("DiagnosticsController")
+
+export default class extends Controller {
+  // Save the diagnostics as rightstree-diagnostics-<time>.json
+  download(event) {
+    event.preventDefault()
+    logger.info("Downloading diagnostics")
+
+    const json = JSON.stringify(buildDiagnostics(), null, 2)
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }))
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-")
+
+    const link = document.createElement("a")
+    link.href = url
+    link.download = `rightstree-diagnostics-${stamp}.json`
+    document.body.append(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+
+    announce("Diagnostics downloaded.")
+  }
+}
@@ -0,0 +1,81 @@
+// app/javascript/controllers/markdown_controller.js
+//
+// Stimulus controller for AI chat messages
+// Renders the reply's Markdown (see lib/markdown.js) and copies it to the clipboard
+//
+// The raw text lives in the source value, so replies rendered from history, appended
+// by Turbo Streams and streamed in by the chat form (which extends the value token by
+// token) all go through the same sanitizing renderer.
+//
+// This controller:
+// - Renders the source into the body target whenever it changes
+// - Copies the whole message (copyMessage) or a single code block (copyCode)
+
+import { Controller } from "@hotwired/stimulus"
+import { renderMarkdown } from "lib/markdown"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("MarkdownController")
+
+export default class extends Controller {
+  static targets = ["body"]
+  static values = { source: String }
+
+  connect() {
+    logger.debug("Connected")
+  }
+
+  // Re-render when the message text changes (also runs when the controller connects)
+  sourceValueChanged() {
+    this.render()
+  }
+
+  // Render the Markdown source into the message body
+  render() {
+    if (!this.hasBodyTarget) return
+
+    this.bodyTarget.innerHTML = renderMarkdown(this.sourceValue)
+  }
+
+  // Copy the whole message as Markdown
+  copyMessage(event) {
+    this.copy(this.sourceValue, event.currentTarget)
+  }
+
+  // Copy the code of the block the button belongs to
+  copyCode(event) {
+    const code = event.currentTarget.closest(".code-block")?.querySelector("code")
+    if (code) this.copy(code.textContent, event.currentTarget)
+  }
+
+  // Write text to the clipboard and briefly show the result on the button
+  async copy(text, button) {
+    try {
+      await navigator.clipboard.writeText(text)
+      logger.debug("Copied", text.length, "characters")
+      this.flash(button, "bi-check2", "Copied")
+    } catch (error) {
+      logger.error("Could not copy to the clipboard", error)
+      this.flash(button, "bi-x-lg", "Copy failed")
+    }
+  }
+
+  // Swap the button icon and label for a moment
+  flash(button, iconClass, label) {
+    const icon = button.querySelector("i")
+    if (!icon) return
+
+    button.dataset.copyTitle ||= button.title
+    const originalTitle = button.dataset.copyTitle
+    clearTimeout(button.copyResetTimer)
+    icon.className = `bi ${iconClass}`
+    button.title = label
+    button.setAttribute("aria-label", label)
+
+    button.copyResetTimer = setTimeout(() => {
+      icon.className = "bi bi-clipboard"
+      button.title = originalTitle
+      button.setAttribute("aria-label", originalTitle)
+    }, 1500)
+  }
+}
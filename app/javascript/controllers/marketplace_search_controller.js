@@ -0,0 +1,50 @@
+// app/javascript/controllers/marketplace_search_controller.js
+//
+// Stimulus controller for the marketplace search form
+//
+// The form is a plain GET form aimed at the results Turbo Frame with
+// data-turbo-action="advance", so the server does the searching (MarketplaceSearch)
+// and the URL always holds the current search. This controller only makes it live:
+// - Submits while typing in the search box, once the user pauses (search)
+// - Submits as soon as a category or sort order is picked (submit)
+// - Leaves empty and default values out of the URL (clean)
+
+import { Controller } from "@hotwired/stimulus"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("MarketplaceSearchController")
+
+// Values the server assumes when a parameter is missing
+const DEFAULTS = { q: "", category: "", sort: "newest" }
+
+export default class extends Controller {
+  static values = { delay: { type: Number, default: 300 } }
+
+  connect() {
+    logger.debug("Connected")
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimer)
+  }
+
+  // Search once the user stops typing
+  search() {
+    clearTimeout(this.searchTimer)
+    this.searchTimer = setTimeout(() => this.submit(), this.delayValue)
+  }
+
+  // Submit the form into the results frame
+  submit() {
+    clearTimeout(this.searchTimer)
+    logger.debug("Searching", Object.fromEntries(new FormData(this.element)))
+    this.element.requestSubmit()
+  }
+
+  // Drop parameters that only repeat the defaults, so shared URLs stay short
+  clean(event) {
+    Object.entries(DEFAULTS).forEach(([name, value]) => {
+      if ((event.formData.get(name) ?? value) === value) event.formData.delete(name)
+    })
+  }
+}
@@ -0,0 +1,229 @@
+// app/javascript/controllers/marketplace_tray_controller.js
+//
+// Stimulus controller for the marketplace compare tray and watchlist
+//
+// Both lists live in the browser, as entries of { id, title, url }:
+// - the compare tray in sessionStorage - up to limit patents picked in this tab,
+//   opened side by side on the compare page
+// - the watchlist in localStorage - starred patents, kept across reloads and sessions
+//
+// The cards' checkboxes and stars are targets, so cards rendered later by the search
+// results frame pick up their state as they connect. Other tabs changing the watchlist
+// are followed through the window's storage event.
+//
+// When this browser gets push notifications, the watched ids are sent to the server
+// so it can notify about changes to those patents (lib/web_push.js).
+//
+// This controller:
+// - Adds and removes patents from the compare tray (toggleCompare, removeCompare, clearCompare)
+// - Stars and unstars patents (toggleWatch, removeWatch)
+// - Opens the compare page for the starred patents (compareWatchlist)
+// - Sends the watched ids to the push subscription (syncWatchlist)
+
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { syncWatchlist } from "lib/web_push"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("MarketplaceTrayController")
+
+const COMPARE_KEY = "rightstree:marketplace-compare"
+const WATCHLIST_KEY = "rightstree:marketplace-watchlist"
+
+export default class extends Controller {
+  static targets = ["compareToggle", "watchToggle", "tray", "trayList", "trayCount", "compareLink", "watchlist", "watchlistCount", "compareWatchlistButton"]
+  static values = { limit: { type: Number, default: 4 }, compareUrl: String, pushSubscriptionUrl: String }
+
+  connect() {
+    logger.debug("Connected")
+    this.render()
+    this.syncWatchlist()
+  }
+
+  // Sync compare checkboxes of cards as they appear
+  compareToggleTargetConnected(checkbox) {
+    this.syncCompareToggle(checkbox, this.readList(sessionStorage, COMPARE_KEY))
+  }
+
+  // Sync stars of cards as they appear
+  watchToggleTargetConnected(button) {
+    this.syncWatchToggle(button, this.readList(localStorage, WATCHLIST_KEY))
+  }
+
+  // Add or remove the card's patent from the compare tray
+  toggleCompare(event) {
+    const entry = this.entryFrom(event.currentTarget)
+    let list = this.readList(sessionStorage, COMPARE_KEY).filter(item => item.id !== entry.id)
+
+    if (event.currentTarget.checked) {
+      if (list.length >= this.limitValue) {
+        event.currentTarget.checked = false
+        return
+      }
+      list = [...list, entry]
+    }
+
+    logger.debug("Compare tray:", list.map(item => item.id))
+    this.writeList(sessionStorage, COMPARE_KEY, list)
+    this.render()
+  }
+
+  // Remove a patent from the compare tray (the chip's close button)
+  removeCompare(event) {
+    const id = event.currentTarget.dataset.patentId
+    this.writeList(sessionStorage, COMPARE_KEY, this.readList(sessionStorage, COMPARE_KEY).filter(item => item.id !== id))
+    this.render()
+  }
+
+  // Empty the compare tray
+  clearCompare() {
+    this.writeList(sessionStorage, COMPARE_KEY, [])
+    this.render()
+  }
+
+  // Star or unstar the card's patent
+  toggleWatch(event) {
+    const entry = this.entryFrom(event.currentTarget)
+    const list = this.readList(localStorage, WATCHLIST_KEY)
+    const watched = list.some(item => item.id === entry.id)
+
+    logger.debug(watched ? "Unstarred" : "Starred", entry.id)
+    this.writeList(localStorage, WATCHLIST_KEY, watched ? list.filter(item => item.id !== entry.id) : [...list, entry])
+    this.render()
+    this.syncWatchlist()
+  }
+
+  // Remove a patent from the watchlist (the list's remove button)
+  removeWatch(event) {
+    const id = event.currentTarget.dataset.patentId
+    this.writeList(localStorage, WATCHLIST_KEY, this.readList(localStorage, WATCHLIST_KEY).filter(item => item.id !== id))
+    this.render()
+    this.syncWatchlist()
+  }
+
+  // Open the compare page for the first starred patents
+  compareWatchlist() {
+    const list = this.readList(localStorage, WATCHLIST_KEY).slice(0, this.limitValue)
+    if (list.length > 0) Turbo.visit(this.compareUrl(list))
+  }
+
+  // Send the watched ids to this browser's push subscription, if it has one
+  syncWatchlist() {
+    if (!this.pushSubscriptionUrlValue) return
+
+    const ids = this.readList(localStorage, WATCHLIST_KEY).map(item => item.id)
+    syncWatchlist(this.pushSubscriptionUrlValue, ids).catch(error => {
+      logger.warn("Could not sync watchlist", error)
+    })
+  }
+
+  // Update the tray, watchlist and every card from storage
+  render() {
+    const compare = this.readList(sessionStorage, COMPARE_KEY)
+    const watchlist = this.readList(localStorage, WATCHLIST_KEY)
+
+    this.compareToggleTargets.forEach(checkbox => this.syncCompareToggle(checkbox, compare))
+    this.watchToggleTargets.forEach(button => this.syncWatchToggle(button, watchlist))
+    this.renderTray(compare)
+    this.renderWatchlist(watchlist)
+  }
+
+  // Show the tray with a chip per picked patent while anything is picked
+  renderTray(list) {
+    if (!this.hasTrayTarget) return
+
+    this.trayTarget.classList.toggle("d-none", list.length === 0)
+    if (this.hasTrayCountTarget) this.trayCountTarget.textContent = `(${list.length} of ${this.limitValue})`
+    if (this.hasTrayListTarget) {
+      this.trayListTarget.innerHTML = list.map(item => `
+        <span class="badge rounded-pill bg-light text-dark border d-inline-flex align-items-center gap-1">
+          <span class="text-truncate" style="max-width: 12rem;">${this.escapeHTML(item.title)}</span>
+          <button type="button" class="btn-close" style="font-size: 0.6rem;" aria-label="Remove ${this.escapeHTML(item.title)} from comparison" data-patent-id="${this.escapeHTML(item.id)}" data-action="marketplace-tray#removeCompare"></button>
+        </span>
+      `).join("")
+    }
+
+    // Comparing needs at least two patents
+    if (this.hasCompareLinkTarget) {
+      this.compareLinkTarget.href = this.compareUrl(list)
+      this.compareLinkTarget.classList.toggle("disabled", list.length < 2)
+      this.compareLinkTarget.setAttribute("aria-disabled", list.length < 2)
+    }
+  }
+
+  // List the starred patents in the watchlist panel
+  renderWatchlist(list) {
+    if (this.hasWatchlistCountTarget) this.watchlistCountTarget.textContent = list.length
+    if (this.hasCompareWatchlistButtonTarget) this.compareWatchlistButtonTarget.disabled = list.length < 2
+    if (!this.hasWatchlistTarget) return
+
+    this.watchlistTarget.innerHTML = list.length === 0
+      ? '<li class="list-group-item small text-muted fst-italic">No starred patents yet. Use the star on a patent card.</li>'
+      : list.map(item => `
+        <li class="list-group-item d-flex justify-content-between align-items-center gap-2">
+          <a class="small text-truncate" href="${this.escapeHTML(item.url)}" data-turbo-frame="_top">${this.escapeHTML(item.title)}</a>
+          <button type="button" class="btn btn-sm btn-link text-muted p-0" title="Remove from watchlist" aria-label="Remove ${this.escapeHTML(item.title)} from watchlist" data-patent-id="${this.escapeHTML(item.id)}" data-action="marketplace-tray#removeWatch">
+            <i class="bi bi-x-lg"></i>
+          </button>
+        </li>
+      `).join("")
+  }
+
+  // Checked when in the tray; other checkboxes are disabled while the tray is full
+  syncCompareToggle(checkbox, list) {
+    const picked = list.some(item => item.id === checkbox.dataset.patentId)
+    checkbox.checked = picked
+    checkbox.disabled = !picked && list.length >= this.limitValue
+    checkbox.title = checkbox.disabled ? `You can compare up to ${this.limitValue} patents` : ""
+  }
+
+  // Filled star when watched
+  syncWatchToggle(button, list) {
+    const watched = list.some(item => item.id === button.dataset.patentId)
+    button.setAttribute("aria-pressed", watched)
+    button.title = watched ? "Remove from watchlist" : "Add to watchlist"
+    button.querySelector("i")?.classList.toggle("bi-star-fill", watched)
+    button.querySelector("i")?.classList.toggle("bi-star", !watched)
+  }
+
+  // The patent a checkbox or star belongs to
+  entryFrom(element) {
+    const { patentId, patentTitle, patentUrl } = element.dataset
+    return { id: patentId, title: patentTitle, url: patentUrl }
+  }
+
+  // Compare page URL for a list, e.g. /patent_applications/compare?ids=3,8
+  compareUrl(list) {
+    return `${this.compareUrlValue}?ids=${list.map(item => encodeURIComponent(item.id)).join(",")}`
+  }
+
+  // Stored lists, tolerating missing or corrupt entries and blocked storage
+  readList(storage, key) {
+    try {
+      const list = JSON.parse(storage.getItem(key) || "[]")
+      return Array.isArray(list) ? list.filter(item => item && item.id) : []
+    } catch (error) {
+      logger.warn("Could not read", key, error)
+      return []
+    }
+  }
+
+  // Store a list, ignoring full or blocked storage
+  writeList(storage, key, list) {
+    try {
+      storage.setItem(key, JSON.stringify(list))
+    } catch (error) {
+      logger.warn("Could not store", key, error)
+    }
+  }
+
+  // Escape text for use in HTML content and attributes
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
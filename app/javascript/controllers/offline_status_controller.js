@@ -0,0 +1,77 @@
+// app/javascript/controllers/offline_status_controller.js
+//
+// Stimulus controller for the offline banner in the layout
+//
+// The service worker serves the last saved copy of a page when the server can't be
+// reached, with the time it was saved in <meta name="offline-saved-at">
+// (app/views/pwa/service-worker.js). This controller:
+// - Shows a banner while the browser is offline, and on every saved copy
+// - Says how old a saved copy is, and keeps that current
+// - Makes saved copies read-only: their forms would post with outdated content
+
+import { Controller } from "@hotwired/stimulus"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("OfflineStatusController")
+
+export default class extends Controller {
+  static targets = ["message"]
+
+  connect() {
+    logger.debug("Connected")
+    this.savedAt = document.querySelector('meta[name="offline-saved-at"]')?.content
+    if (this.savedAt) this.makeReadOnly()
+
+    this.update()
+    this.timer = setInterval(() => this.update(), 60000)
+  }
+
+  disconnect() {
+    clearInterval(this.timer)
+    if (this.blockSubmit) document.removeEventListener("submit", this.blockSubmit, true)
+  }
+
+  // Show or hide the banner for the connection and the page
+  update() {
+    const offline = !navigator.onLine
+    this.element.hidden = !offline && !this.savedAt
+    if (this.element.hidden) return
+
+    if (this.savedAt) {
+      const reason = offline ? "You're offline." : "Rightstree can't be reached right now."
+      this.messageTarget.innerHTML = `<strong>${reason}</strong> This is a read-only copy saved ${this.timestampHTML(new Date(this.savedAt))}.`
+    } else {
+      this.messageTarget.innerHTML = "<strong>You're offline.</strong> Applications you viewed recently can still be read, and patent form edits are kept in this browser until you're back online."
+    }
+  }
+
+  // Disable the forms of a saved copy and stop any that still get submitted
+  makeReadOnly() {
+    document.getElementById("flash")?.replaceChildren()
+
+    document.querySelectorAll("form").forEach(form => {
+      if (form.method.toLowerCase() === "get") return
+
+      Array.from(form.elements).forEach(element => { element.disabled = true })
+      form.title = "Not available in a saved copy"
+    })
+
+    this.blockSubmit = event => {
+      if (event.target.method?.toLowerCase() === "get") return
+      event.preventDefault()
+      event.stopImmediatePropagation()
+    }
+    document.addEventListener("submit", this.blockSubmit, true)
+  }
+
+  // "2 hours ago", with the exact time on hover
+  timestampHTML(date) {
+    const minutes = Math.round((date - new Date()) / 60000)
+    const format = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" })
+    const relative = Math.abs(minutes) < 60 ? format.format(minutes, "minute")
+      : Math.abs(minutes) < 1440 ? format.format(Math.round(minutes / 60), "hour")
+      : format.format(Math.round(minutes / 1440), "day")
+
+    return `<time datetime="${date.toISOString()}" title="${date.toLocaleString()}">${relative}</time>`
+  }
+}
@@ -8,14 +8,68 @@
 // - Enhanced UI feedback with focus/blur effects
 // - Submission handling with debug logging
 // - Form state management
+// - Debounced background autosave through the update route
+// - Conflict detection when the server copy changed underneath us
+// - Local drafts in IndexedDB that survive reloads and failed saves,
+//   replayed to the server when connectivity returns
+// - Multi-step undo/redo of edits and applied AI suggestions
+// - Change tracking for the claims, which the claims editor keeps as JSON in a
+//   hidden field (see claims_editor_controller.js)
+// - Drafting checks on the problem and solution as the user types (see lib/drafting_lint.js);
+//   errors keep the application from being marked complete, warnings don't
+// - Save results and autosave problems read out to screen readers (see lib/announcer.js)
 
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { saveDraft, loadDraft, deleteDraft, requestDraftSync } from "lib/draft_store"
+import { lintValues } from "lib/drafting_lint"
+import { titleFromStatement } from "lib/title_generator"
+import { announce, textForAnnouncement } from "lib/announcer"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("PatentFormController")
+
+// Autosave status messages shown under the Save button
+const AUTOSAVE_STATUS = {
+  saving: '<span class="spinner-border spinner-border-sm me-1" aria-hidden="true"></span>Saving…',
+  saved: '<i class="bi bi-cloud-check me-1"></i>Saved at %{time}',
+  retrying: '<i class="bi bi-exclamation-triangle me-1 text-warning"></i>Save failed, retrying',
+  failed: '<i class="bi bi-x-circle me-1 text-danger"></i>Save failed',
+  conflict: '<i class="bi bi-exclamation-triangle me-1 text-warning"></i>Changed elsewhere, choose what to keep',
+  offline: '<i class="bi bi-wifi-off me-1"></i>Offline, changes kept on this device'
+}
+
+// Autosave states read out to screen readers; the others are only shown
+const AUTOSAVE_ANNOUNCEMENTS = {
+  retrying: "Autosave failed, retrying.",
+  failed: "Autosave failed.",
+  conflict: "This application was changed elsewhere. Choose which changes to keep.",
+  offline: "You're offline. Changes are kept on this device until you're back online."
+}
+
+// Longest wait between autosave retries
+const MAX_RETRY_DELAY = 30000
+
+// Typing in the same field within this window is merged into one undo step
+const HISTORY_COALESCE_MS = 1000
+
+// Number of undo steps kept
+const MAX_HISTORY = 100
+
+// Fields tracked for changes, autosave, local drafts and undo
+const TRACKED_FIELDS = ["title", "problem", "solution", "claims"]
 
 export default class extends Controller {
-  static targets = ["form", "title", "problem", "solution", "submitButton", "buttonText", "spinner", "savedText"]
+  static targets = ["form", "title", "problem", "solution", "claims", "submitButton", "buttonText", "spinner", "savedText", "autosaveStatus", "conflictPanel", "draftPrompt", "draftPromptText", "undoButton", "redoButton", "lintResults", "completeButton", "completeHint", "revisionSource"]
+  static values = {
+    applicationId: Number,
+    autosaveDelay: { type: Number, default: 2000 },
+    // Fewest words per field, from PublishChecklist::MIN_WORDS
+    minWords: Object
+  }
   
   connect() {
-    console.debug("[PatentFormController] Connected to form", this.element.id)
+    logger.debug("Connected to form", this.element.id)
     
     // First initialize change tracking to set original values
     this.initializeChangeTracking()
@@ -40,7 +94,7 @@ export default class extends Controller {
       }
       
       // Debug logging
-      console.debug("[PatentFormController] Initial button state:", {
+      logger.debug("Initial button state:", {
         hasChanges,
         buttonDisabled: this.submitButtonTarget.disabled,
         persisted: this.element.dataset.persisted
@@ -49,19 +103,44 @@ export default class extends Controller {
     
     // Run full validation
     this.validateForm()
+    
+    // Offer to restore edits left in this browser by an earlier session
+    this.checkForLocalDraft()
+  }
+  
+  disconnect() {
+    // Stop any pending autosave or retry, but keep the typing a waiting draft holds
+    clearTimeout(this.autosaveTimer)
+    clearTimeout(this.retryTimer)
+    this.flushDraft()
+    
+    logger.debug("Disconnected")
+  }
+  
+  // State included in "Download diagnostics" (lib/diagnostics.js); field values are left out
+  diagnostics() {
+    const current = this.currentValues()
+    return {
+      applicationId: this.applicationIdValue,
+      changedFields: Object.keys(current).filter(field => current[field] !== this.originalValues?.[field]),
+      autosaveState: this.autosaveState,
+      autosaveInFlight: Boolean(this.autosaveInFlight),
+      retryCount: this.retryCount || 0,
+      conflictPending: Boolean(this.conflictPending),
+      submitting: Boolean(this.submitting),
+      hasLocalDraft: Boolean(this.localDraft),
+      undoSteps: this.history?.length || 0,
+      lintErrors: this.lintErrorCount()
+    }
   }
   
   // Initialize change tracking
   initializeChangeTracking() {
     // Store original values
-    this.originalValues = {
-      title: this.titleTarget.value.trim(),
-      problem: this.problemTarget.value.trim(),
-      solution: this.solutionTarget.value.trim()
-    }
+    this.originalValues = this.currentValues()
     
     // Log the original values for debugging
-    console.debug("[PatentFormController] Initialized change tracking with original values:", {
+    logger.debug("Initialized change tracking with original values:", {
       title: this.originalValues.title.substring(0, 20) + (this.originalValues.title.length > 20 ? '...' : ''),
       problem: this.originalValues.problem.substring(0, 20) + (this.originalValues.problem.length > 20 ? '...' : ''),
       solution: this.originalValues.solution.substring(0, 20) + (this.originalValues.solution.length > 20 ? '...' : '')
@@ -69,6 +148,11 @@ export default class extends Controller {
     
     // We're now using Stimulus actions instead of event listeners
     // See the data-action attributes in the HTML template
+    
+    // Start the undo history at the loaded values
+    this.history = [{ values: this.fieldValues(), label: "load" }]
+    this.historyIndex = 0
+    this.updateHistoryButtons()
   }
   
   // Handle field input events via Stimulus actions
@@ -89,10 +173,12 @@ export default class extends Controller {
       }
     } else if (event.target === this.solutionTarget) {
       originalValue = this.originalValues.solution
+    } else if (this.hasClaimsTarget && event.target === this.claimsTarget) {
+      originalValue = this.originalValues.claims
     }
     
     // Log detailed change information
-    console.debug("[PatentFormController] Field input detected:", {
+    logger.debug("Field input detected:", {
       field: fieldName,
       from: originalValue,
       to: fieldValue,
@@ -102,7 +188,7 @@ export default class extends Controller {
     // Enable the button immediately if there's a change
     if (this.hasSubmitButtonTarget) {
       const hasChanges = this.hasChanges()
-      console.debug("[PatentFormController] Form has changes:", hasChanges)
+      logger.debug("Form has changes:", hasChanges)
       
       if (hasChanges) {
         // Enable the button if there are changes
@@ -125,8 +211,23 @@ export default class extends Controller {
       }
     }
     
+    // Record an undo step - applied suggestions and claim changes get their own step, typing is merged
+    const field = Object.keys(this.originalValues).find(name => this.fieldTarget(name) === event.target)
+    if (event.detail?.source === "ai-suggestion") {
+      this.recordHistory(`apply ${field} suggestion`)
+      this.markSuggestionApplied()
+    } else if (event.detail?.label) {
+      this.recordHistory(event.detail.label)
+    } else {
+      this.recordHistory(`typing in ${field}`, { field, coalesce: true })
+    }
+    
     // Update overall form state
     this.validateForm()
+    
+    // Keep a local copy until the server has it, then save in the background once the user pauses typing
+    this.scheduleDraft()
+    this.scheduleAutosave()
   }
   
   // Keep the old handleChange method for backward compatibility
@@ -138,6 +239,7 @@ export default class extends Controller {
   // Update button state and text based on changes
   updateButtonState() {
     const hasChanges = this.hasChanges()
+    this.updateCompleteButton()
     
     // Update button text
     if (this.hasButtonTextTarget) {
@@ -165,9 +267,8 @@ export default class extends Controller {
   
   // Check if any field has changed from original values
   hasChanges() {
-    return this.titleTarget.value.trim() !== this.originalValues.title ||
-           this.problemTarget.value.trim() !== this.originalValues.problem ||
-           this.solutionTarget.value.trim() !== this.originalValues.solution
+    const values = this.currentValues()
+    return Object.keys(values).some(field => values[field] !== this.originalValues[field])
   }
   
   // Handle field focus - enhance the input appearance
@@ -195,10 +296,10 @@ export default class extends Controller {
     // Simple validation - title must not be empty
     if (titleValue.length === 0) {
       titleField.classList.add("is-invalid")
-      console.debug("[PatentFormController] Title validation failed: empty title")
+      logger.debug("Title validation failed: empty title")
     } else {
       titleField.classList.remove("is-invalid")
-      console.debug("[PatentFormController] Title validation passed")
+      logger.debug("Title validation passed")
     }
     
     this.validateForm()
@@ -206,32 +307,17 @@ export default class extends Controller {
   
   // Automatically generate a title from the problem statement
   updateTitleFromProblem(problemText) {
-    console.debug("[PatentFormController] Updating title from problem statement")
+    logger.debug("Updating title from problem statement")
     
-    // Extract the first sentence or up to 100 characters
-    let newTitle = ""
+    // First sentence without filler openings, shortened and title-cased (see lib/title_generator.js)
+    const newTitle = titleFromStatement(problemText)
     
-    if (problemText) {
-      // Try to get the first sentence (ending with period, question mark, or exclamation point)
-      const firstSentenceMatch = problemText.match(/^(.+?[.!?])\s/)
-      
-      if (firstSentenceMatch && firstSentenceMatch[1]) {
-        newTitle = firstSentenceMatch[1].trim()
-      } else {
-        // If no sentence ending found, take the first 100 chars or the whole text if shorter
-        newTitle = problemText.substring(0, Math.min(100, problemText.length))
-      }
-      
-      // Ensure the title isn't too long - truncate to 100 chars if needed
-      if (newTitle.length > 100) {
-        newTitle = newTitle.substring(0, 97) + "..."
-      }
-      
+    if (newTitle) {
       // Update the title field
       this.titleTarget.value = newTitle
       
       // Log the title update
-      console.debug("[PatentFormController] Title updated from problem:", {
+      logger.debug("Title updated from problem:", {
         from: "",
         to: newTitle
       })
@@ -240,6 +326,9 @@ export default class extends Controller {
   
   // Validates the form fields and enables/disables the submit button
   validateForm() {
+    // Show drafting issues under the fields
+    this.lintFields()
+    
     // Check if any field has changed from its original value
     const hasChanges = this.hasChanges()
     
@@ -270,7 +359,7 @@ export default class extends Controller {
       }
       
       // Add debug logging
-      console.debug("[PatentFormController] Form validation:", {
+      logger.debug("Form validation:", {
         titleChanged: this.titleTarget.value.trim() !== this.originalValues.title,
         problemChanged: this.problemTarget.value.trim() !== this.originalValues.problem,
         solutionChanged: this.solutionTarget.value.trim() !== this.originalValues.solution,
@@ -280,9 +369,66 @@ export default class extends Controller {
     }
   }
   
+  // Run the drafting checks and list the issues under each checked field
+  // Issues from the same rule are grouped so each explanation is shown once
+  lintFields() {
+    this.lintIssues = lintValues(this.currentValues(), ["problem", "solution"], { minWords: this.minWordsValue })
+    
+    this.lintResultsTargets.forEach(panel => {
+      const issues = this.lintIssues[panel.dataset.lintField] || []
+      const groups = new Map()
+      issues.forEach(issue => {
+        if (!groups.has(issue.rule)) groups.set(issue.rule, { ...issue, messages: [] })
+        groups.get(issue.rule).messages.push(issue.message)
+      })
+      
+      panel.innerHTML = [...groups.values()].map(group => {
+        const error = group.severity === "error"
+        return `
+          <div class="d-flex gap-2 small mb-1 ${error ? "text-danger" : "text-warning-emphasis"}">
+            <i class="bi ${error ? "bi-x-circle" : "bi-exclamation-triangle"} mt-1" aria-hidden="true"></i>
+            <div>
+              <span class="visually-hidden">${error ? "Error" : "Warning"}:</span>
+              <div class="fw-medium">${group.messages.map(message => this.escapeHTML(message)).join("<br>")}</div>
+              <div class="text-muted">${this.escapeHTML(group.explanation)}</div>
+            </div>
+          </div>
+        `
+      }).join("")
+    })
+    
+    this.updateCompleteButton()
+  }
+  
+  // Number of drafting errors (not warnings) in the last check
+  lintErrorCount() {
+    return Object.values(this.lintIssues || {}).flat().filter(issue => issue.severity === "error").length
+  }
+  
+  // Only allow marking complete when there are no drafting errors
+  // Unsaved changes are saved from the pre-publish checklist the button opens
+  updateCompleteButton() {
+    if (!this.hasCompleteButtonTarget) return
+    
+    const errors = this.lintErrorCount()
+    const unsaved = this.hasChanges()
+    this.completeButtonTarget.disabled = errors > 0
+    
+    if (this.hasCompleteHintTarget) {
+      this.completeHintTarget.textContent = errors > 0
+        ? `Fix ${errors} drafting ${errors === 1 ? "error" : "errors"} before marking as complete`
+        : (unsaved ? "Your changes will be saved before marking as complete" : "")
+    }
+  }
+  
   // Handle form submission start
   handleSubmitStart(event) {
-    console.debug("[PatentFormController] Form submission started")
+    logger.debug("Form submission started")
+    
+    // A manual save supersedes any pending autosave
+    this.submitting = true
+    clearTimeout(this.autosaveTimer)
+    clearTimeout(this.retryTimer)
     
     // Disable form inputs during submission
     this.element.querySelectorAll("input, textarea").forEach(field => {
@@ -310,7 +456,7 @@ export default class extends Controller {
     // Combined success check
     const success = responseOK && noFormErrors
     
-    console.debug("[PatentFormController] Form submission completed", {
+    logger.debug("Form submission completed", {
       responseStatus: event.detail.fetchResponse.response.status,
       responseOK,
       noFormErrors,
@@ -321,6 +467,7 @@ export default class extends Controller {
     this.element.querySelectorAll("input, textarea").forEach(field => {
       field.disabled = false
     })
+    this.submitting = false
     
     // Hide spinner and show button text
     if (this.hasButtonTextTarget) {
@@ -333,13 +480,13 @@ export default class extends Controller {
     
     if (success) {
       // Update original values after successful save
-      this.originalValues = {
-        title: this.titleTarget.value.trim(),
-        problem: this.problemTarget.value.trim(),
-        solution: this.solutionTarget.value.trim()
-      }
+      this.originalValues = this.currentValues()
+      this.updateBaseValues(this.originalValues)
+      this.clearSuggestionApplied()
+      this.setAutosaveStatus("saved")
+      this.clearDraft()
       
-      console.debug("[PatentFormController] Updated original values after save:", {
+      logger.debug("Updated original values after save:", {
         title: this.originalValues.title.substring(0, 20) + (this.originalValues.title.length > 20 ? '...' : ''),
         problem: this.originalValues.problem.substring(0, 20) + (this.originalValues.problem.length > 20 ? '...' : ''),
         solution: this.originalValues.solution.substring(0, 20) + (this.originalValues.solution.length > 20 ? '...' : '')
@@ -359,7 +506,7 @@ export default class extends Controller {
       }
       
       // Feedback is now handled through flash messages at the top of the page
-      console.debug("[PatentFormController] Form submitted successfully, feedback shown via flash message")
+      logger.debug("Form submitted successfully, feedback shown via flash message")
       
       // Show saved text if available
       if (this.hasSavedTextTarget) {
@@ -370,7 +517,8 @@ export default class extends Controller {
       }
       
       // Form was successfully submitted
-      console.debug("[PatentFormController] Patent application saved successfully")
+      announce("Patent application saved.")
+      logger.debug("Patent application saved successfully")
     } else {
       // If there was an error, keep the button enabled
       if (this.hasSubmitButtonTarget) {
@@ -383,7 +531,497 @@ export default class extends Controller {
         this.buttonTextTarget.innerHTML = '<i class="bi bi-save me-2"></i>Save'
       }
       
-      console.debug("[PatentFormController] Form submission failed")
+      // The server refused to overwrite changes made elsewhere; pausing reports the failed save
+      if (event.detail.fetchResponse.response.status === 409) {
+        this.pauseForConflict()
+      } else {
+        this.dispatch("save-failed")
+        const errors = textForAnnouncement(this.element.querySelector(".alert-danger"))
+        announce(`Patent application not saved. ${errors}`.trim(), { assertive: true })
+      }
+      
+      logger.debug("Form submission failed")
     }
   }
+  
+  // Current trimmed values of the editable fields
+  currentValues() {
+    return Object.fromEntries(this.trackedFields().map(field => [field, this.fieldTarget(field).value.trim()]))
+  }
+  
+  // Returns the field for a field name (title, problem, solution or the hidden claims field)
+  fieldTarget(field) {
+    return {
+      title: this.titleTarget,
+      problem: this.problemTarget,
+      solution: this.solutionTarget,
+      claims: this.hasClaimsTarget ? this.claimsTarget : null
+    }[field]
+  }
+  
+  // Names of the tracked fields present in this form
+  trackedFields() {
+    return TRACKED_FIELDS.filter(field => this.fieldTarget(field))
+  }
+  
+  // Keep the hidden base[...] inputs in step with the values we know the server has
+  updateBaseValues(values) {
+    Object.entries(values).forEach(([field, value]) => {
+      const input = this.element.querySelector(`input[name="base[${field}]"]`)
+      if (input) input.value = value
+    })
+  }
+  
+  // Debounce background saves while the user is typing
+  scheduleAutosave() {
+    if (this.element.dataset.persisted !== "true") return
+    
+    clearTimeout(this.autosaveTimer)
+    clearTimeout(this.retryTimer)
+    
+    if (!this.hasChanges() || this.conflictPending) return
+    
+    this.autosaveTimer = setTimeout(() => this.autosave(), this.autosaveDelayValue)
+    logger.debug("Autosave scheduled in", this.autosaveDelayValue, "ms")
+  }
+  
+  // Save the form in the background through the update Turbo Stream route
+  async autosave() {
+    if (this.submitting || this.conflictPending || !this.hasChanges()) return
+    
+    // Only one autosave at a time - save again once the current one finishes
+    if (this.autosaveInFlight) {
+      this.autosaveQueued = true
+      return
+    }
+    
+    const sentValues = this.currentValues()
+    const sentSuggestions = this.appliedSuggestions
+    const formData = new FormData(this.element)
+    formData.append("autosave", "1")
+    
+    this.autosaveInFlight = true
+    this.setAutosaveStatus("saving")
+    logger.debug("Autosaving form", {
+      titleChanged: sentValues.title !== this.originalValues.title,
+      problemChanged: sentValues.problem !== this.originalValues.problem,
+      solutionChanged: sentValues.solution !== this.originalValues.solution
+    })
+    
+    try {
+      const response = await fetch(this.element.action, {
+        method: "POST",
+        body: formData,
+        credentials: "same-origin",
+        headers: {
+          "Accept": "text/vnd.turbo-stream.html",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        }
+      })
+      
+      // Apply the streams (conflict notice, cleared notice, ...) whatever the status
+      if (response.headers.get("Content-Type")?.includes("turbo-stream")) {
+        Turbo.renderStreamMessage(await response.text())
+      }
+      
+      if (response.ok) {
+        this.handleAutosaveSuccess(sentValues, sentSuggestions)
+      } else if (response.status === 409) {
+        this.pauseForConflict()
+      } else if (response.status >= 500) {
+        this.handleAutosaveFailure(`HTTP ${response.status}`)
+      } else {
+        // Validation or other client errors won't succeed by retrying
+        this.setAutosaveStatus("failed")
+        logger.debug("Autosave rejected:", response.status)
+      }
+    } catch (error) {
+      this.handleAutosaveFailure(error.message)
+    } finally {
+      this.autosaveInFlight = false
+      
+      if (this.autosaveQueued) {
+        this.autosaveQueued = false
+        this.scheduleAutosave()
+      }
+    }
+  }
+  
+  // Remember what the server now has and continue if the user kept typing
+  handleAutosaveSuccess(sentValues, sentSuggestions) {
+    this.originalValues = sentValues
+    this.updateBaseValues(sentValues)
+    this.retryCount = 0
+    
+    // Suggestions applied while saving still need to be labelled in the next revision
+    if (this.appliedSuggestions === sentSuggestions) this.clearSuggestionApplied()
+    
+    this.setAutosaveStatus("saved")
+    this.updateButtonState()
+    
+    logger.debug("Autosave succeeded")
+    
+    // Keep the local draft only if the user typed more while we were saving
+    if (this.hasChanges()) {
+      this.storeDraft()
+      this.scheduleAutosave()
+    } else {
+      this.clearDraft()
+    }
+  }
+  
+  // Retry with exponential backoff after network or server errors
+  handleAutosaveFailure(reason) {
+    // While offline the draft stays on this device until the connection returns
+    if (!navigator.onLine) {
+      logger.debug("Autosave failed while offline, waiting for connection", { reason })
+      
+      this.setAutosaveStatus("offline")
+      requestDraftSync().catch(error => logger.error("Could not register draft sync", error))
+      return
+    }
+    
+    this.retryCount = (this.retryCount || 0) + 1
+    const delay = Math.min(MAX_RETRY_DELAY, this.autosaveDelayValue * 2 ** this.retryCount)
+    
+    logger.debug("Autosave failed, retrying", { reason, attempt: this.retryCount, delay })
+    
+    this.setAutosaveStatus("retrying")
+    clearTimeout(this.retryTimer)
+    this.retryTimer = setTimeout(() => this.autosave(), delay)
+  }
+  
+  // Stop autosaving until every conflicting field has been resolved
+  pauseForConflict() {
+    this.conflictPending = true
+    clearTimeout(this.autosaveTimer)
+    clearTimeout(this.retryTimer)
+    this.setAutosaveStatus("conflict")
+    
+    logger.debug("Autosave paused - server copy changed elsewhere")
+  }
+  
+  // Handle the Keep mine / Use server version / Merge both buttons in the conflict notice
+  resolveConflict(event) {
+    const { field, choice } = event.params
+    const conflict = event.target.closest("[data-conflict-field]")
+    const target = this.fieldTarget(field)
+    if (!conflict || !target) return
+    
+    const serverValue = conflict.dataset.serverValue || ""
+    
+    if (choice === "theirs") {
+      target.value = serverValue
+    } else if (choice === "merge") {
+      target.value = this.mergeTexts(target.value, serverValue)
+    }
+    
+    // Whatever was chosen, the server copy is now the base we build on
+    this.originalValues[field] = serverValue.trim()
+    this.updateBaseValues({ [field]: serverValue })
+    conflict.remove()
+    
+    // Let the claims editor and the terminology check pick up the new value
+    if (choice !== "mine") this.dispatch("restore")
+    
+    logger.debug("Resolved conflict", { field, choice })
+    this.recordHistory(`resolve ${field} conflict`)
+    
+    // Resume autosave once nothing is left to resolve
+    if (!this.conflictPanelTarget.querySelector("[data-conflict-field]")) {
+      this.conflictPanelTarget.innerHTML = ""
+      this.conflictPending = false
+      this.setAutosaveStatus(null)
+    }
+    
+    this.validateForm()
+    this.storeDraft()
+    this.scheduleAutosave()
+  }
+  
+  // Combine both versions paragraph by paragraph: keep everything the user wrote
+  // and bring in any paragraph that only exists in the server copy
+  mergeTexts(mine, theirs) {
+    const paragraphs = text => text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+    const ownParagraphs = paragraphs(mine)
+    const serverOnly = paragraphs(theirs).filter(paragraph => !ownParagraphs.includes(paragraph))
+    
+    return [...ownParagraphs, ...serverOnly].join("\n\n")
+  }
+  
+  // The next save includes an applied AI suggestion - its revision is labelled as such
+  markSuggestionApplied() {
+    this.appliedSuggestions = (this.appliedSuggestions || 0) + 1
+    if (this.hasRevisionSourceTarget) this.revisionSourceTarget.value = "ai_suggestion"
+  }
+  
+  // The server recorded the suggestion, later saves are ordinary edits
+  clearSuggestionApplied() {
+    this.appliedSuggestions = 0
+    if (this.hasRevisionSourceTarget) this.revisionSourceTarget.value = ""
+  }
+  
+  // Show the autosave status under the Save button
+  setAutosaveStatus(state) {
+    if (!this.hasAutosaveStatusTarget) return
+    
+    const time = new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    this.autosaveStatusTarget.innerHTML = state ? AUTOSAVE_STATUS[state].replace("%{time}", time) : ""
+    
+    // Announce problems once, not on every retry
+    if (AUTOSAVE_ANNOUNCEMENTS[state] && state !== this.autosaveState) {
+      announce(AUTOSAVE_ANNOUNCEMENTS[state], { assertive: state === "failed" || state === "conflict" })
+    }
+    this.autosaveState = state
+    
+    // Let others follow the saves, e.g. the pre-publish checklist waiting for one
+    if (state === "saved") this.dispatch("saved")
+    if (state === "failed" || state === "conflict") this.dispatch("save-failed")
+  }
+  
+  // Replay unsaved changes as soon as the browser is back online
+  handleOnline() {
+    logger.debug("Connection restored", { hasChanges: this.hasChanges() })
+    
+    if (this.hasChanges()) {
+      this.retryCount = 0
+      this.autosave()
+    }
+  }
+  
+  // The fields of the local draft record for this application
+  draftRecord() {
+    return {
+      id: this.applicationIdValue,
+      url: this.element.action,
+      values: this.fieldValues(),
+      base: Object.fromEntries(this.trackedFields().map(field => {
+        const input = this.element.querySelector(`input[name="base[${field}]"]`)
+        return [field, input ? input.value : ""]
+      }))
+    }
+  }
+  
+  // Debounce local draft writes while the user is typing, like the autosave
+  // (lib/draft_store.js opens the database for every write)
+  scheduleDraft() {
+    clearTimeout(this.draftTimer)
+    this.draftTimer = setTimeout(() => this.storeDraft(), this.autosaveDelayValue)
+  }
+  
+  // Write a draft that is still waiting, e.g. when the page is hidden or left
+  flushDraft() {
+    if (this.draftTimer) this.storeDraft()
+  }
+  
+  // Write the current field values to IndexedDB
+  storeDraft() {
+    clearTimeout(this.draftTimer)
+    this.draftTimer = null
+    if (!this.hasApplicationIdValue || !this.hasChanges()) return
+    
+    saveDraft(this.draftRecord())
+      .then(() => logger.debug("Stored local draft for", this.applicationIdValue))
+      .catch(error => logger.error("Could not store local draft", error))
+  }
+  
+  // Forget the local draft once the server has everything
+  clearDraft() {
+    clearTimeout(this.draftTimer)
+    this.draftTimer = null
+    if (!this.hasApplicationIdValue) return
+    
+    deleteDraft(this.applicationIdValue)
+      .then(() => logger.debug("Cleared local draft for", this.applicationIdValue))
+      .catch(error => logger.error("Could not clear local draft", error))
+  }
+  
+  // Look for a draft left by an earlier session and ask whether to restore it
+  async checkForLocalDraft() {
+    if (!this.hasApplicationIdValue || !this.hasDraftPromptTarget) return
+    
+    try {
+      this.localDraft = await loadDraft(this.applicationIdValue)
+    } catch (error) {
+      logger.error("Could not read local draft", error)
+      return
+    }
+    
+    if (!this.localDraft) return
+    
+    // Drop drafts that match what the server already has
+    const unchanged = Object.entries(this.localDraft.values).every(([field, value]) => value.trim() === this.originalValues[field])
+    if (unchanged) {
+      logger.debug("Local draft matches the server copy, discarding")
+      this.localDraft = null
+      this.clearDraft()
+      return
+    }
+    
+    const savedAt = new Date(this.localDraft.savedAt).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })
+    if (this.hasDraftPromptTextTarget) {
+      this.draftPromptTextTarget.textContent = `You have unsaved changes from ${savedAt} on this device. Restore local draft?`
+    }
+    this.draftPromptTarget.classList.remove("d-none")
+    
+    logger.debug("Found local draft from", savedAt)
+  }
+  
+  // Put the local draft back into the form and save it
+  restoreDraft() {
+    if (!this.localDraft) return
+    
+    Object.entries(this.localDraft.values).forEach(([field, value]) => {
+      const target = this.fieldTarget(field)
+      if (target) target.value = value
+    })
+    
+    // Conflicts are detected against what the draft was based on, not the current server copy
+    this.updateBaseValues(this.localDraft.base || {})
+    this.dispatch("restore")
+    this.localDraft = null
+    this.draftPromptTarget.classList.add("d-none")
+    
+    logger.debug("Restored local draft")
+    
+    this.recordHistory("restore local draft")
+    this.validateForm()
+    this.scheduleAutosave()
+  }
+  
+  // Throw the local draft away and keep the server copy
+  discardDraft() {
+    this.localDraft = null
+    this.draftPromptTarget.classList.add("d-none")
+    this.clearDraft()
+    
+    logger.debug("Discarded local draft")
+  }
+  
+  // Raw values of the editable fields, as stored in the undo history
+  fieldValues() {
+    return Object.fromEntries(this.trackedFields().map(field => [field, this.fieldTarget(field).value]))
+  }
+  
+  // Add the current field values to the undo history
+  // Options:
+  //   field: the field being typed in
+  //   coalesce: merge into the previous step when still typing in the same field
+  recordHistory(label, { field = null, coalesce = false } = {}) {
+    if (!this.history) return
+    
+    const values = this.fieldValues()
+    const current = this.history[this.historyIndex]
+    if (Object.keys(values).every(name => values[name] === current.values[name])) return
+    
+    // A new change discards anything that could have been redone
+    this.history.splice(this.historyIndex + 1)
+    
+    const now = Date.now()
+    const stillTyping = coalesce && current.coalesce && current.field === field && now - current.time < HISTORY_COALESCE_MS
+    
+    if (stillTyping) {
+      current.values = values
+      current.time = now
+    } else {
+      this.history.push({ values, label, field, coalesce, time: now })
+      if (this.history.length > MAX_HISTORY) this.history.shift()
+      this.historyIndex = this.history.length - 1
+      
+      logger.debug("Recorded undo step:", label, { steps: this.history.length })
+    }
+    
+    this.updateHistoryButtons()
+  }
+  
+  // Step back in the undo history
+  undo() {
+    if (!this.history || this.historyIndex === 0) return
+    
+    const undone = this.history[this.historyIndex]
+    this.historyIndex--
+    logger.debug("Undo:", undone.label)
+    
+    this.restoreHistory(this.history[this.historyIndex].values, undone.field)
+  }
+  
+  // Step forward in the undo history
+  redo() {
+    if (!this.history || this.historyIndex >= this.history.length - 1) return
+    
+    this.historyIndex++
+    const redone = this.history[this.historyIndex]
+    logger.debug("Redo:", redone.label)
+    
+    this.restoreHistory(redone.values, redone.field)
+  }
+  
+  // Put values from the history back into the form and refresh change tracking,
+  // so the Save button shows "Saved" again when we are back at the saved state
+  restoreHistory(values, field) {
+    Object.entries(values).forEach(([name, value]) => {
+      const target = this.fieldTarget(name)
+      if (target) target.value = value
+    })
+    this.dispatch("restore")
+    
+    // Return focus to the field that changed, with the cursor at the end
+    // (the claims editor re-renders itself from the hidden claims field)
+    const target = field && this.fieldTarget(field)
+    if (target && target.type !== "hidden" && this.element.contains(document.activeElement)) {
+      target.focus()
+      target.setSelectionRange(target.value.length, target.value.length)
+    }
+    
+    this.validateForm()
+    this.updateHistoryButtons()
+    
+    if (this.hasChanges()) {
+      this.storeDraft()
+      this.scheduleAutosave()
+    } else {
+      clearTimeout(this.autosaveTimer)
+      this.clearDraft()
+    }
+  }
+  
+  // Enable the toolbar buttons and describe what they would undo/redo
+  updateHistoryButtons() {
+    const undoStep = this.historyIndex > 0 ? this.history[this.historyIndex] : null
+    const redoStep = this.history[this.historyIndex + 1]
+    
+    if (this.hasUndoButtonTarget) {
+      this.undoButtonTarget.disabled = !undoStep
+      this.undoButtonTarget.title = undoStep ? `Undo ${undoStep.label} (Ctrl+Z)` : "Nothing to undo"
+    }
+    
+    if (this.hasRedoButtonTarget) {
+      this.redoButtonTarget.disabled = !redoStep
+      this.redoButtonTarget.title = redoStep ? `Redo ${redoStep.label} (Ctrl+Shift+Z)` : "Nothing to redo"
+    }
+  }
+  
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+  // Other text inputs on the page (like the chat box) keep the browser's own undo
+  handleKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+    
+    const key = event.key.toLowerCase()
+    const isUndo = key === "z" && !event.shiftKey
+    const isRedo = (key === "z" && event.shiftKey) || (key === "y" && event.ctrlKey)
+    if (!isUndo && !isRedo) return
+    
+    const editable = event.target.closest?.("input, textarea, select, [contenteditable]")
+    if (editable && !this.element.contains(editable)) return
+    
+    event.preventDefault()
+    isUndo ? this.undo() : this.redo()
+  }
+  
+  // Helper method to escape HTML to prevent XSS
+  escapeHTML(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
+  }
 }
@@ -0,0 +1,73 @@
+// app/javascript/controllers/pending_drafts_controller.js
+//
+// Stimulus controller for showing which patent applications have local changes
+// that have not reached the server yet (see lib/draft_store.js)
+//
+// This controller:
+// - Shows the "Unsynced" badge on each application card with a local draft
+// - Shows a summary of how many applications are waiting to sync
+// - Refreshes when the service worker reports a synced draft or the connection returns
+
+import { Controller } from "@hotwired/stimulus"
+import { listDrafts } from "lib/draft_store"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("PendingDraftsController")
+
+export default class extends Controller {
+  static targets = ["badge", "summary", "summaryText"]
+
+  connect() {
+    logger.debug("Connected")
+
+    // Service worker messages are not DOM events, so listen for them directly
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this)
+    navigator.serviceWorker?.addEventListener("message", this.handleWorkerMessage)
+
+    this.refresh()
+  }
+
+  disconnect() {
+    navigator.serviceWorker?.removeEventListener("message", this.handleWorkerMessage)
+
+    logger.debug("Disconnected")
+  }
+
+  // Refresh the indicators after the service worker synced or rejected a draft
+  handleWorkerMessage(event) {
+    if (event.data?.type === "draft-synced" || event.data?.type === "draft-sync-failed") {
+      logger.debug("Service worker message:", event.data)
+      this.refresh()
+    }
+  }
+
+  // Toggle the badges and summary based on the drafts stored in this browser
+  async refresh() {
+    let drafts = []
+
+    try {
+      drafts = await listDrafts()
+    } catch (error) {
+      logger.error("Could not read local drafts", error)
+      return
+    }
+
+    const pendingIds = new Set(drafts.map(draft => String(draft.id)))
+
+    this.badgeTargets.forEach(badge => {
+      badge.classList.toggle("d-none", !pendingIds.has(badge.dataset.applicationId))
+    })
+
+    if (this.hasSummaryTarget) {
+      this.summaryTarget.classList.toggle("d-none", pendingIds.size === 0)
+    }
+
+    if (this.hasSummaryTextTarget) {
+      const count = pendingIds.size
+      const nextStep = navigator.onLine ? "Open them to restore and save the changes." : "They will be saved when you are back online."
+      this.summaryTextTarget.textContent = `${count} ${count === 1 ? "application has" : "applications have"} unsaved changes on this device. ${nextStep}`
+    }
+
+    logger.debug("Pending drafts:", [...pendingIds])
+  }
+}
@@ -0,0 +1,256 @@
+// app/javascript/controllers/publish_checklist_controller.js
+//
+// Stimulus controller for the pre-publish checklist (app/views/patent_applications/_publish_checklist.html.slim)
+//
+// A step-by-step dialog before an application is marked complete or published. Buttons open
+// it with data-bs-toggle="modal" and name the application's checklist in
+// data-publish-checklist-url, so one dialog serves every application on the index page.
+//
+// Steps, one at a time - Next only once the current step passes:
+// - On the edit page: unsaved changes are saved (patent-form outlet) and pending AI
+//   suggestions are applied or dismissed (ai-suggestions outlets)
+// - From the server, in a Turbo Frame reloaded each time: the title is not a placeholder,
+//   the problem and solution have enough substance (PublishChecklist)
+// - A preview of the marketplace card, with the button that confirms
+//
+// "Fix" buttons close the dialog and take the user to the field, or to the edit page.
+
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { announce } from "lib/announcer"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("PublishChecklistController")
+
+export default class extends Controller {
+  static targets = ["progress", "step", "frame", "loading", "saveStatus", "saveButton", "suggestionStatus", "suggestionActions", "backButton", "nextButton", "hint"]
+  static outlets = ["patent-form", "ai-suggestions"]
+
+  connect() {
+    logger.debug("Connected")
+    this.index = 0
+
+    // Bootstrap's namespaced modal events, which Stimulus action descriptors can't name.
+    // relatedTarget is the button that opened the dialog
+    this.handleShow = event => this.open(event.relatedTarget)
+    this.handleHidden = () => this.runPending()
+    this.element.addEventListener("show.bs.modal", this.handleShow)
+    this.element.addEventListener("hidden.bs.modal", this.handleHidden)
+  }
+
+  disconnect() {
+    this.element.removeEventListener("show.bs.modal", this.handleShow)
+    this.element.removeEventListener("hidden.bs.modal", this.handleHidden)
+  }
+
+  // The server's steps arrive with the frame; keep showing the current step
+  stepTargetConnected() {
+    if (this.index !== undefined) this.render()
+  }
+
+  stepTargetDisconnected() {
+    if (this.index !== undefined) this.render()
+  }
+
+  // Start at the first step, with fresh checks of the application the button is for
+  open(trigger) {
+    this.pending = null
+    this.index = 0
+    this.url = trigger?.dataset.publishChecklistUrl || this.url
+
+    logger.debug("Opened", { url: this.url })
+    this.checkForm()
+    this.loadReview()
+    this.render()
+  }
+
+  // Ask the server for its checks and the marketplace preview again
+  loadReview() {
+    if (!this.url) return
+
+    this.frameTarget.replaceChildren(this.loadingTarget.content.cloneNode(true))
+    if (this.frameTarget.getAttribute("src") === this.url) {
+      this.frameTarget.reload()
+    } else {
+      this.frameTarget.src = this.url
+    }
+  }
+
+  // The steps only the browser can check: saved changes and resolved AI suggestions
+  checkForm() {
+    if (!this.hasPatentFormOutlet) return
+
+    const unsaved = this.patentFormOutlet.hasChanges()
+    this.stepFor("save").dataset.stepPassed = !unsaved
+    this.saveStatusTarget.textContent = unsaved
+      ? "The form has changes that are not saved yet. The checks and the preview use the saved application, so save them first."
+      : "All changes are saved."
+    this.saveButtonTarget.hidden = !unsaved
+    this.saveButtonTarget.disabled = false
+
+    const fields = this.pendingSuggestions().map(({ field }) => field)
+    this.stepFor("suggestions").dataset.stepPassed = fields.length === 0
+    this.suggestionStatusTarget.textContent = fields.length === 0
+      ? "No AI suggestions are waiting for a decision."
+      : `The assistant suggested a new ${fields.join(" and ")}. Review and apply it, or dismiss it.`
+    this.suggestionActionsTarget.innerHTML = fields.map(field => `
+      <button type="button" class="btn btn-sm btn-outline-primary" data-action="publish-checklist#reviewSuggestion" data-publish-checklist-field-param="${field}">
+        <i class="bi bi-eye me-1" aria-hidden="true"></i>Review the ${field} suggestion
+      </button>
+    `).join("") + (fields.length > 0 ? `
+      <button type="button" class="btn btn-sm btn-outline-secondary" data-action="publish-checklist#dismissSuggestions">
+        <i class="bi bi-x-lg me-1" aria-hidden="true"></i>Dismiss
+      </button>
+    ` : "")
+  }
+
+  // Suggestions neither applied nor dismissed, as { outlet, field }
+  pendingSuggestions() {
+    return this.aiSuggestionsOutlets.flatMap(outlet => outlet.pendingFields().map(field => ({ outlet, field })))
+  }
+
+  // Save the form; the checks run again once the patent form reports the save
+  save() {
+    logger.debug("Saving the form")
+    this.saveButtonTarget.disabled = true
+    this.saveStatusTarget.textContent = "Saving…"
+    this.patentFormOutlet.submitButtonTarget.click()
+  }
+
+  // The patent form saved (patent-form:saved), by the button above or by autosave
+  saved() {
+    if (!this.isOpen()) return
+
+    this.checkForm()
+    this.loadReview()
+    this.render()
+    announce("Changes saved. Checking the application again.")
+  }
+
+  // The patent form could not save (patent-form:save-failed)
+  saveFailed() {
+    if (!this.isOpen() || !this.hasSaveStatusTarget) return
+
+    this.checkForm()
+    this.saveStatusTarget.textContent = "The changes could not be saved. Close the checklist to see what went wrong in the form."
+    this.render()
+    announce("The changes could not be saved.", { assertive: true })
+  }
+
+  // Close the checklist and open the suggestion's diff preview in the assistant
+  reviewSuggestion({ params: { field } }) {
+    const suggestion = this.pendingSuggestions().find(pending => pending.field === field)
+    if (!suggestion) return
+
+    this.closeThen(() => {
+      this.reveal(suggestion.outlet.element)
+      suggestion.outlet.showLatest(field)
+      if (field === "problem") suggestion.outlet.acceptProblem()
+      if (field === "solution") suggestion.outlet.acceptSolution()
+    })
+  }
+
+  // Stop offering the pending suggestions; they stay in the assistant's suggestion history
+  dismissSuggestions() {
+    this.aiSuggestionsOutlets.forEach(outlet => outlet.dismiss())
+    this.checkForm()
+    this.render()
+    announce("AI suggestions dismissed.")
+  }
+
+  // Close the checklist and go to the field a failed check is about
+  fix({ params: { field, url } }) {
+    this.closeThen(() => {
+      const input = this.hasPatentFormOutlet && this.patentFormOutlet.fieldTarget(field)
+      if (!input) {
+        Turbo.visit(url)
+        return
+      }
+
+      this.reveal(input)
+      input.focus()
+      input.scrollIntoView({ block: "center" })
+    })
+  }
+
+  next() {
+    if (this.stepTargets[this.index]?.dataset.stepPassed !== "true") return
+
+    this.index = Math.min(this.index + 1, this.stepTargets.length - 1)
+    this.render()
+    this.focusStep()
+  }
+
+  back() {
+    this.index = Math.max(this.index - 1, 0)
+    this.render()
+    this.focusStep()
+  }
+
+  // Show the current step, the progress through all of them and what Next needs
+  render() {
+    const steps = this.stepTargets
+    this.index = Math.max(Math.min(this.index, steps.length - 1), 0)
+    steps.forEach((step, index) => { step.hidden = index !== this.index })
+
+    this.progressTarget.innerHTML = steps.map((step, index) => {
+      const passed = step.dataset.stepPassed === "true"
+      const current = index === this.index
+      const icon = passed ? "bi-check-circle-fill text-success" : (index <= this.index ? "bi-exclamation-circle text-danger" : "bi-circle text-muted")
+      const status = passed ? "done" : (index <= this.index ? "needs attention" : "to do")
+
+      return `<li class="d-flex align-items-center gap-1 px-2 py-1 rounded-pill border ${current ? "border-primary fw-semibold" : ""}" ${current ? 'aria-current="step"' : ""}>
+        <i class="bi ${icon}" aria-hidden="true"></i>
+        ${this.escapeHTML(step.dataset.stepLabel)}<span class="visually-hidden">, ${status}</span>
+      </li>`
+    }).join("")
+
+    const passed = steps[this.index]?.dataset.stepPassed === "true"
+    const last = this.index === steps.length - 1
+    this.backButtonTarget.disabled = this.index === 0
+    this.nextButtonTarget.hidden = last
+    this.nextButtonTarget.disabled = !passed
+    this.hintTarget.textContent = !last && !passed ? "Resolve this step to continue" : ""
+  }
+
+  // Move focus to the heading of the new step, so screen readers read it
+  focusStep() {
+    const heading = this.stepTargets[this.index]?.querySelector("h3")
+    if (!heading) return
+
+    heading.tabIndex = -1
+    heading.focus()
+  }
+
+  stepFor(name) {
+    return this.stepTargets.find(step => step.dataset.step === name)
+  }
+
+  isOpen() {
+    return this.element.classList.contains("show")
+  }
+
+  // Let the page show the pane holding element (responsive_layout_controller.js)
+  reveal(element) {
+    this.dispatch("reveal", { detail: { element } })
+  }
+
+  // Close the dialog and run action once it is gone, so focus can move where it puts it
+  closeThen(action) {
+    this.pending = action
+    window.bootstrap.Modal.getOrCreateInstance(this.element).hide()
+  }
+
+  runPending() {
+    const action = this.pending
+    this.pending = null
+    action?.()
+  }
+
+  // Helper method to escape HTML to prevent XSS
+  escapeHTML(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
+  }
+}
@@ -0,0 +1,168 @@
+// app/javascript/controllers/push_subscription_controller.js
+//
+// Stimulus controller for the notification settings in the navigation bar
+//
+// Turns Web Push notifications on and off for this browser and picks which ones it
+// gets (PushSubscription::TOPICS). The subscription itself lives in the browser's
+// push manager (lib/web_push.js); the server keeps a copy to send notifications to.
+//
+// This controller:
+// - Shows whether notifications are on, off, blocked or unavailable
+// - Re-registers the subscription with the server when the menu opens, which picks
+//   up keys the browser renewed and loads the chosen topics (open)
+// - Subscribes and unsubscribes (toggle)
+// - Saves the chosen topics (updateTopics)
+// - Sends a test notification (sendTest)
+
+import { Controller } from "@hotwired/stimulus"
+import { pushSupported, currentSubscription, subscribe, sendSubscription, SUBSCRIBED_EVENT } from "lib/web_push"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("PushSubscriptionController")
+
+// Status line and button label for each state
+const STATES = {
+  unsupported: { status: "This browser can't show notifications.", icon: "bi-bell-slash" },
+  unconfigured: { status: "Notifications aren't set up on this server.", icon: "bi-bell-slash" },
+  blocked: { status: "Notifications are blocked for this site in the browser settings.", icon: "bi-bell-slash" },
+  unsubscribed: { status: "Get notified about your applications and watched patents, even when Rightstree is closed.", icon: "bi-bell", toggle: "Turn on notifications" },
+  subscribed: { status: "Notifications are on in this browser.", icon: "bi-bell-fill", toggle: "Turn off notifications" },
+  error: { status: "Notifications could not be updated. Please try again.", icon: "bi-bell" }
+}
+
+export default class extends Controller {
+  static targets = ["icon", "status", "toggle", "topic", "testButton"]
+  static values = { url: String, testUrl: String, publicKey: String }
+
+  connect() {
+    logger.debug("Connected")
+    this.subscription = null
+    this.check()
+  }
+
+  // Show the state of this browser's subscription without asking the server
+  async check() {
+    const state = this.unavailableState()
+    if (state) return this.render(state)
+
+    try {
+      this.subscription = await currentSubscription()
+      this.render(this.subscription ? "subscribed" : "unsubscribed")
+    } catch (error) {
+      logger.error("Could not read subscription", error)
+      this.render("error")
+    }
+  }
+
+  // Register the subscription again and load its topics when the menu opens
+  async open() {
+    if (this.unavailableState() || !this.subscription) return
+
+    try {
+      const stored = await sendSubscription(this.urlValue, "POST", this.subscription)
+      this.applyTopics(stored.topics)
+    } catch (error) {
+      logger.error("Could not register subscription", error)
+      this.render("error")
+    }
+  }
+
+  // Turn notifications on or off for this browser
+  async toggle() {
+    this.toggleTarget.disabled = true
+
+    try {
+      if (this.subscription) {
+        await this.unsubscribe()
+      } else {
+        this.subscription = await subscribe(this.publicKeyValue)
+        const stored = await sendSubscription(this.urlValue, "POST", this.subscription, { topics: this.chosenTopics() })
+        this.applyTopics(stored.topics)
+        window.dispatchEvent(new CustomEvent(SUBSCRIBED_EVENT))
+        logger.debug("Subscribed")
+      }
+      this.render(this.subscription ? "subscribed" : "unsubscribed")
+    } catch (error) {
+      logger.error("Could not change subscription", error)
+      this.render(Notification.permission === "denied" ? "blocked" : "error")
+    }
+  }
+
+  // Save which notifications this browser wants
+  async updateTopics() {
+    if (!this.subscription) return
+
+    try {
+      const stored = await sendSubscription(this.urlValue, "PATCH", this.subscription, { topics: this.chosenTopics() })
+      this.applyTopics(stored.topics)
+    } catch (error) {
+      logger.error("Could not save topics", error)
+      this.render("error")
+    }
+  }
+
+  // Ask the server to send a notification to this browser
+  async sendTest() {
+    if (!this.subscription) return
+
+    this.testButtonTarget.disabled = true
+    try {
+      await sendSubscription(this.testUrlValue, "POST", this.subscription)
+      this.statusTarget.textContent = "Test notification sent. It should appear in a moment."
+    } catch (error) {
+      logger.error("Could not send test notification", error)
+      this.render("error")
+    } finally {
+      this.testButtonTarget.disabled = false
+    }
+  }
+
+  // Forget the subscription on the server, then in the browser
+  async unsubscribe() {
+    try {
+      await sendSubscription(this.urlValue, "DELETE", this.subscription)
+    } catch (error) {
+      // Unknown to the server already - still unsubscribe the browser
+      logger.warn("Server did not delete subscription", error)
+    }
+    await this.subscription.unsubscribe()
+    this.subscription = null
+    logger.debug("Unsubscribed")
+  }
+
+  // The state that keeps notifications off whatever the user does, if any
+  unavailableState() {
+    if (!pushSupported()) return "unsupported"
+    if (!this.publicKeyValue) return "unconfigured"
+    if (Notification.permission === "denied") return "blocked"
+    return null
+  }
+
+  // Update the icon, status line and controls for a state
+  render(state) {
+    const { status, icon } = STATES[state]
+    // After an error the user can retry what they were doing
+    const subscribed = state === "subscribed" || (state === "error" && Boolean(this.subscription))
+    const toggle = state === "error" ? STATES[subscribed ? "subscribed" : "unsubscribed"].toggle : STATES[state].toggle
+
+    if (this.hasIconTarget) this.iconTarget.className = `bi ${icon}`
+    if (this.hasStatusTarget) this.statusTarget.textContent = status
+    if (this.hasToggleTarget) {
+      this.toggleTarget.hidden = !toggle
+      this.toggleTarget.disabled = false
+      this.toggleTarget.textContent = toggle || ""
+    }
+    this.topicTargets.forEach(checkbox => { checkbox.disabled = !subscribed })
+    if (this.hasTestButtonTarget) this.testButtonTarget.hidden = !subscribed
+  }
+
+  // Topics of the checked boxes
+  chosenTopics() {
+    return this.topicTargets.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+  }
+
+  // Check the boxes of the stored topics
+  applyTopics(topics = []) {
+    this.topicTargets.forEach(checkbox => { checkbox.checked = topics.includes(checkbox.value) })
+  }
+}
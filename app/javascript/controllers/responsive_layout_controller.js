@@ -8,84 +8,568 @@
 // - Manages responsive layout changes
 // - Handles responsive breakpoints
 // - Provides comprehensive debug logging
+//
+// Below the Bootstrap md breakpoint the patent form and the chat are shown one at a
+// time, as the Application and Assistant tabs of a tab bar at the bottom of the screen:
+// - Swiping left or right switches between them
+// - A badge on a hidden tab counts AI replies and new suggestions that arrived there
+// - The chat is sized to the visible viewport, so the on-screen keyboard doesn't cover
+//   the message input (the tab bar makes way while the keyboard is open)
+//
+// On larger screens the two panes are a split view:
+// - The divider between them can be dragged, or moved with the arrow keys
+// - Either pane can be hidden, and the chat can float over the page in a movable panel
+// - The layout is kept in localStorage, per page (data-responsive-layout-storage-key-value)
+// - A hidden pane gets the same unread badge as a hidden tab
 
 import { Controller } from "@hotwired/stimulus"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("ResponsiveLayoutController")
+
+// Bootstrap md breakpoint
+const MOBILE_MAX_WIDTH = 768
+
+// Shortest horizontal swipe that switches tabs, and the longest it may take
+const SWIPE_MIN_DISTANCE = 60
+const SWIPE_MAX_DURATION = 600
+
+// Viewport height lost beyond this is taken to be the on-screen keyboard
+const KEYBOARD_MIN_HEIGHT = 120
+
+// Narrowest share of the split either pane can be resized to, and the keyboard step
+const MIN_SPLIT = 0.25
+const MAX_SPLIT = 0.75
+const SPLIT_STEP = 0.02
+
+// Content that counts as unread when it arrives in a hidden pane
+const UNREAD_SELECTOR = "[data-chat-messages-target='reply'], .ai-suggestions-panel"
 
 export default class extends Controller {
-  static targets = ["patentForm", "chatContainer"]
-  
+  static targets = ["patentForm", "chatContainer", "tabBar", "tab", "badge", "divider", "splitControls", "collapseButton", "floatButton", "dockButton"]
+  static values = { storageKey: String, defaultSplit: { type: Number, default: 0.5 } }
+
   connect() {
-    console.debug("[ResponsiveLayoutController] Connected")
-    
+    logger.debug("Connected")
+
+    this.activePane = "chatContainer"
+    this.unread = { patentForm: 0, chatContainer: 0 }
+    this.loadLayout()
+
     // Set up resize observer to handle screen size changes
     this.setupResponsiveHandling()
-    
+
     // Initial check
     this.handleResponsiveDisplay()
   }
-  
+
   setupResponsiveHandling() {
     // Handle resize events
     this.resizeObserver = new ResizeObserver(entries => {
       this.handleResponsiveDisplay()
     })
-    
+
     // Observe the document body for size changes
     this.resizeObserver.observe(document.body)
-    
-    console.debug("[ResponsiveLayoutController] Resize observer setup")
+
+    // The visual viewport shrinks when the on-screen keyboard opens
+    this.handleViewportResize = () => this.updateViewportHeight()
+    window.visualViewport?.addEventListener("resize", this.handleViewportResize)
+
+    // Replies and suggestions arriving in a pane that isn't shown
+    this.mutationObserver = new MutationObserver(mutations => this.trackUnread(mutations))
+    this.panes().forEach(({ element }) => this.mutationObserver.observe(element, { childList: true, subtree: true }))
+
+    // Swipes between panes; passive, so scrolling is never held up
+    this.handleTouchStart = event => this.touchStart(event)
+    this.handleTouchEnd = event => this.touchEnd(event)
+    this.element.addEventListener("touchstart", this.handleTouchStart, { passive: true })
+    this.element.addEventListener("touchend", this.handleTouchEnd, { passive: true })
+
+    logger.debug("Resize observer setup")
   }
-  
+
   handleResponsiveDisplay() {
-    const isMobile = window.innerWidth < 768 // Bootstrap md breakpoint
-    
-    console.debug("[ResponsiveLayoutController] Handling responsive display", {
+    const isMobile = window.innerWidth < MOBILE_MAX_WIDTH
+
+    // The body is observed, so this runs whenever the page grows - only act on changes
+    if (isMobile === this.isMobile) {
+      this.updateViewportHeight()
+      return
+    }
+    this.isMobile = isMobile
+
+    logger.debug("Handling responsive display", {
       screenWidth: window.innerWidth,
       isMobileView: isMobile,
       timestamp: new Date().toISOString()
     })
-    
+
+    this.element.classList.toggle("mobile-layout", isMobile)
+    if (this.hasTabBarTarget) this.tabBarTarget.hidden = !isMobile
+
     // Apply any responsive adjustments if needed
     if (this.hasPatentFormTarget) {
       this.adjustPatentForm(isMobile)
     }
-    
+
     if (this.hasChatContainerTarget) {
       this.adjustChatContainer(isMobile)
     }
+
+    this.applySplitLayout()
+    this.updateViewportHeight()
   }
-  
+
   adjustPatentForm(isMobile) {
     // Apply any responsive adjustments to the patent form
-    console.debug("[ResponsiveLayoutController] Adjusting patent form layout", {
+    logger.debug("Adjusting patent form layout", {
       isMobileView: isMobile,
       timestamp: new Date().toISOString()
     })
-    
-    // No specific adjustments needed as CSS handles most of the responsive behavior
-    // This method exists for potential future enhancements
+
+    this.setPaneMode(this.patentFormTarget, isMobile, "patentForm")
   }
-  
+
   adjustChatContainer(isMobile) {
     // Apply any responsive adjustments to the chat container
-    console.debug("[ResponsiveLayoutController] Adjusting chat container layout", {
+    logger.debug("Adjusting chat container layout", {
       isMobileView: isMobile,
       timestamp: new Date().toISOString()
     })
-    
+
+    this.setPaneMode(this.chatContainerTarget, isMobile, "chatContainer")
+
     // Ensure chat messages container scrolls to bottom when layout changes
+    this.scrollChatToBottom()
+  }
+
+  // On phones a pane is a tab panel that is hidden unless its tab is selected,
+  // on larger screens it is shown unless the user hid it
+  setPaneMode(pane, isMobile, name) {
+    const tab = this.tabFor(name)
+
+    if (isMobile) {
+      pane.setAttribute("role", "tabpanel")
+      if (tab) pane.setAttribute("aria-labelledby", tab.id)
+      pane.hidden = name !== this.activePane
+    } else {
+      pane.removeAttribute("role")
+      pane.removeAttribute("aria-labelledby")
+      pane.hidden = this.layout.collapsed === name
+    }
+  }
+
+  // Switch to the pane of the clicked tab
+  selectTab(event) {
+    this.showPane(event.currentTarget.dataset.pane)
+  }
+
+  // Arrow keys, Home and End move between tabs (WAI-ARIA tabs pattern)
+  handleTabKeydown(event) {
+    const names = this.tabTargets.map(tab => tab.dataset.pane)
+    const index = names.indexOf(this.activePane)
+    const next = {
+      ArrowRight: names[(index + 1) % names.length],
+      ArrowLeft: names[(index - 1 + names.length) % names.length],
+      Home: names[0],
+      End: names[names.length - 1]
+    }[event.key]
+    if (!next) return
+
+    event.preventDefault()
+    this.showPane(next)
+    this.tabFor(next)?.focus()
+  }
+
+  // Show a pane and mark what arrived there as read
+  showPane(name) {
+    if (!this.isMobile || !this.paneTarget(name) || name === this.activePane) return
+
+    logger.debug("Showing pane", name)
+    this.activePane = name
+
+    this.panes().forEach(({ name: paneName, element }) => { element.hidden = paneName !== name })
+    this.updateTabs()
+
+    // Start at the top of the pane, below the sticky navbar
+    const navbar = document.querySelector(".navbar.sticky-top")?.offsetHeight || 0
+    const top = this.paneTarget(name).getBoundingClientRect().top + window.scrollY - navbar
+    if (window.scrollY > top) window.scrollTo({ top })
+
+    if (name === "chatContainer") this.scrollChatToBottom()
+  }
+
+  // Selected state and unread badges of the tabs; what is shown counts as read
+  updateTabs() {
+    this.panes().forEach(({ name, element }) => {
+      if (!element.hidden) this.unread[name] = 0
+    })
+
+    this.tabTargets.forEach(tab => {
+      const selected = tab.dataset.pane === this.activePane
+      tab.classList.toggle("active", selected)
+      tab.setAttribute("aria-selected", selected)
+      tab.tabIndex = selected ? 0 : -1
+    })
+
+    this.badgeTargets.forEach(badge => {
+      const count = this.unread[badge.dataset.pane] || 0
+      badge.hidden = count === 0
+      badge.textContent = count
+      badge.setAttribute("aria-label", `${count} new`)
+    })
+  }
+
+  // Count replies and suggestions rendered into a hidden pane (an unselected tab, or
+  // a pane hidden in the split view)
+  trackUnread(mutations) {
+    let changed = false
+    mutations.forEach(mutation => {
+      const pane = this.panes().find(({ element }) => element.contains(mutation.target))
+      if (!pane || !pane.element.hidden) return
+
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return
+
+        const arrived = [ node, ...node.querySelectorAll(UNREAD_SELECTOR) ].filter(element => this.isUnreadContent(element))
+        if (arrived.length === 0) return
+
+        this.unread[pane.name] += arrived.length
+        changed = true
+      })
+    })
+
+    if (changed) {
+      logger.debug("Unread content", this.unread)
+      this.updateTabs()
+    }
+  }
+
+  // Replies count; the suggestions panel only when it holds suggestions
+  isUnreadContent(element) {
+    if (!element.matches(UNREAD_SELECTOR)) return false
+    if (!element.matches(".ai-suggestions-panel")) return true
+    return element.querySelector("[data-ai-suggestions-target^='accept']") !== null
+  }
+
+  // Remember where a touch started
+  touchStart(event) {
+    const touch = event.touches[0]
+    const editing = event.target.closest("input, textarea, select, [contenteditable]")
+    this.touch = this.isMobile && event.touches.length === 1 && !editing
+      ? { x: touch.clientX, y: touch.clientY, time: Date.now() }
+      : null
+  }
+
+  // A quick, mostly horizontal swipe moves to the neighbouring tab
+  touchEnd(event) {
+    const start = this.touch
+    this.touch = null
+    if (!start) return
+
+    const touch = event.changedTouches[0]
+    const dx = touch.clientX - start.x
+    const dy = touch.clientY - start.y
+    if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5 || Date.now() - start.time > SWIPE_MAX_DURATION) return
+
+    // Horizontally scrollable content (code blocks, tables) keeps its own swipes
+    for (let node = event.target; node && node !== this.element; node = node.parentElement) {
+      if (node.scrollWidth > node.clientWidth && getComputedStyle(node).overflowX !== "visible") return
+    }
+
+    const names = this.tabTargets.map(tab => tab.dataset.pane)
+    const next = names[names.indexOf(this.activePane) + (dx < 0 ? 1 : -1)]
+    logger.debug("Swipe", { dx, dy, next })
+    if (next) this.showPane(next)
+  }
+
+  // Size the chat to the part of the screen that is visible, which shrinks while the
+  // on-screen keyboard is open
+  updateViewportHeight() {
+    if (!this.isMobile) {
+      this.element.classList.remove("keyboard-open")
+      this.element.style.removeProperty("--mobile-pane-height")
+      return
+    }
+
+    const viewport = window.visualViewport
+    const height = viewport ? viewport.height : window.innerHeight
+    const keyboardOpen = window.innerHeight - height > KEYBOARD_MIN_HEIGHT
+    const wasOpen = this.element.classList.contains("keyboard-open")
+    this.element.classList.toggle("keyboard-open", keyboardOpen)
+
+    const navbar = document.querySelector(".navbar.sticky-top")?.offsetHeight || 0
+    const tabBar = !keyboardOpen && this.hasTabBarTarget ? this.tabBarTarget.offsetHeight : 0
+    this.element.style.setProperty("--mobile-pane-height", `${Math.max(height - navbar - tabBar, 200)}px`)
+
+    // Keep the input and the latest messages in sight as the keyboard comes up
+    if (keyboardOpen && !wasOpen && this.hasChatContainerTarget && this.chatContainerTarget.contains(document.activeElement)) {
+      this.scrollChatToBottom()
+      document.activeElement.scrollIntoView({ block: "end" })
+    }
+  }
+
+  // Saved split view layout for this page, or the defaults
+  loadLayout() {
+    let saved = {}
+    try {
+      saved = JSON.parse(localStorage.getItem(this.layoutStorageKey()) || "{}")
+    } catch (error) {
+      logger.error("Could not read the saved layout", error)
+    }
+
+    this.layout = { ...this.defaultLayout(), ...saved }
+    this.layout.split = this.clampSplit(this.layout.split)
+  }
+
+  defaultLayout() {
+    return { split: this.defaultSplitValue, collapsed: null, floating: false, floatRight: null, floatBottom: null }
+  }
+
+  saveLayout() {
+    try {
+      localStorage.setItem(this.layoutStorageKey(), JSON.stringify(this.layout))
+    } catch (error) {
+      logger.error("Could not store the layout", error)
+    }
+  }
+
+  layoutStorageKey() {
+    return `rightstree:layout:${this.storageKeyValue || "default"}`
+  }
+
+  clampSplit(split) {
+    const value = Number(split)
+    return Number.isFinite(value) ? Math.min(MAX_SPLIT, Math.max(MIN_SPLIT, value)) : this.defaultSplitValue
+  }
+
+  // Pane sizes, hidden panes and the floating chat on larger screens; none of it on phones
+  applySplitLayout() {
+    if (!this.hasDividerTarget || !this.hasPatentFormTarget || !this.hasChatContainerTarget) {
+      this.updateTabs()
+      return
+    }
+
+    const desktop = !this.isMobile
+    const { split, collapsed } = this.layout
+    const floating = desktop && this.layout.floating
+    const form = this.patentFormTarget
+    const chat = this.chatContainerTarget
+
+    this.dividerTarget.parentElement.classList.toggle("split-active", desktop)
+    if (this.hasSplitControlsTarget) this.splitControlsTarget.hidden = !desktop
+
+    if (desktop) {
+      form.hidden = collapsed === "patentForm"
+      chat.hidden = collapsed === "chatContainer"
+      form.style.setProperty("--pane-grow", split)
+      chat.style.setProperty("--pane-grow", 1 - split)
+    } else {
+      form.style.removeProperty("--pane-grow")
+      chat.style.removeProperty("--pane-grow")
+    }
+
+    this.dividerTarget.hidden = !desktop || floating || collapsed !== null
+    this.dividerTarget.setAttribute("aria-valuenow", Math.round(split * 100))
+    this.dividerTarget.setAttribute("aria-valuetext", `Application ${Math.round(split * 100)}%, assistant ${Math.round((1 - split) * 100)}%`)
+
+    chat.classList.toggle("chat-floating", floating)
+    if (floating && this.layout.floatRight !== null) {
+      chat.style.right = `${this.layout.floatRight}px`
+      chat.style.bottom = `${this.layout.floatBottom}px`
+    } else {
+      chat.style.removeProperty("right")
+      chat.style.removeProperty("bottom")
+    }
+
+    this.collapseButtonTargets.forEach(button => {
+      button.setAttribute("aria-pressed", collapsed === button.dataset.pane)
+    })
+    this.floatButtonTargets.forEach(button => button.setAttribute("aria-pressed", floating))
+    this.dockButtonTargets.forEach(button => { button.hidden = !floating })
+
+    this.updateTabs()
+  }
+
+  // Bring the pane holding event.detail.element into view, e.g. a field the pre-publish
+  // checklist sends the user to (publish-checklist:reveal)
+  reveal({ detail: { element } }) {
+    const pane = this.panes().find(({ element: paneElement }) => paneElement.contains(element))
+    if (!pane) return
+
+    if (this.isMobile) {
+      this.showPane(pane.name)
+    } else if (this.layout.collapsed === pane.name) {
+      this.layout.collapsed = null
+      this.saveLayout()
+      this.applySplitLayout()
+    }
+  }
+
+  // Hide or show one side of the split view; the other side then fills the page
+  toggleCollapse(event) {
+    const pane = event.currentTarget.dataset.pane
+    this.layout.collapsed = this.layout.collapsed === pane ? null : pane
+    this.layout.floating = false
+
+    logger.debug("Hidden pane", this.layout.collapsed)
+    this.saveLayout()
+    this.applySplitLayout()
+    if (this.layout.collapsed !== "chatContainer" && pane === "chatContainer") this.scrollChatToBottom()
+  }
+
+  // Pop the chat out into a floating panel, or dock it again
+  toggleFloating() {
+    this.layout.floating = !this.layout.floating
+    this.layout.collapsed = null
+
+    logger.debug("Floating chat", this.layout.floating)
+    this.saveLayout()
+    this.applySplitLayout()
+    this.scrollChatToBottom()
+  }
+
+  // Back to the page's default layout
+  resetLayout() {
+    this.layout = this.defaultLayout()
+    this.saveLayout()
+    this.applySplitLayout()
+  }
+
+  // Start dragging the divider
+  startResize(event) {
+    if (event.button !== 0) return
+
+    event.preventDefault()
+    const row = this.dividerTarget.parentElement.getBoundingClientRect()
+    this.resizing = { left: row.left, width: row.width }
+    this.dividerTarget.setPointerCapture(event.pointerId)
+    document.body.classList.add("split-resizing")
+  }
+
+  // Follow the pointer while dragging the divider
+  resize(event) {
+    if (!this.resizing) return
+
+    this.layout.split = this.clampSplit((event.clientX - this.resizing.left) / this.resizing.width)
+    this.applySplitLayout()
+  }
+
+  // Keep the size the divider was dropped at
+  endResize() {
+    if (!this.resizing) return
+
+    this.resizing = null
+    document.body.classList.remove("split-resizing")
+    this.saveLayout()
+    logger.debug("Split resized", this.layout.split)
+  }
+
+  // Arrow keys move the focused divider, Home and End move it all the way
+  resizeWithKeyboard(event) {
+    const split = {
+      ArrowLeft: this.layout.split - SPLIT_STEP,
+      ArrowRight: this.layout.split + SPLIT_STEP,
+      Home: MIN_SPLIT,
+      End: MAX_SPLIT
+    }[event.key]
+    if (split === undefined) return
+
+    event.preventDefault()
+    this.layout.split = this.clampSplit(split)
+    this.saveLayout()
+    this.applySplitLayout()
+  }
+
+  // Double-clicking the divider restores the default sizes
+  resetSplit() {
+    this.layout.split = this.defaultSplitValue
+    this.saveLayout()
+    this.applySplitLayout()
+  }
+
+  // Start moving the floating chat by its header
+  startFloatDrag(event) {
+    if (!this.layout.floating || this.isMobile || event.button !== 0 || event.target.closest("button, a, input, textarea")) return
+
+    event.preventDefault()
+    const panel = this.chatContainerTarget.getBoundingClientRect()
+    this.floatDrag = {
+      x: event.clientX,
+      y: event.clientY,
+      right: window.innerWidth - panel.right,
+      bottom: window.innerHeight - panel.bottom,
+      maxRight: window.innerWidth - panel.width,
+      maxBottom: window.innerHeight - panel.height
+    }
+    event.currentTarget.setPointerCapture(event.pointerId)
+  }
+
+  // Move the floating chat with the pointer, keeping it on screen
+  dragFloat(event) {
+    const drag = this.floatDrag
+    if (!drag) return
+
+    this.layout.floatRight = Math.round(Math.min(drag.maxRight, Math.max(0, drag.right - (event.clientX - drag.x))))
+    this.layout.floatBottom = Math.round(Math.min(drag.maxBottom, Math.max(0, drag.bottom - (event.clientY - drag.y))))
+    this.applySplitLayout()
+  }
+
+  // Keep the position the floating chat was dropped at
+  endFloatDrag() {
+    if (!this.floatDrag) return
+
+    this.floatDrag = null
+    this.saveLayout()
+  }
+
+  scrollChatToBottom() {
     const chatMessages = document.getElementById('chat_messages')
     if (chatMessages) {
       chatMessages.scrollTop = chatMessages.scrollHeight
     }
   }
-  
+
+  // The panes present in this layout, by target name
+  panes() {
+    return [ "patentForm", "chatContainer" ]
+      .filter(name => this.paneTarget(name))
+      .map(name => ({ name, element: this.paneTarget(name) }))
+  }
+
+  paneTarget(name) {
+    if (name === "patentForm" && this.hasPatentFormTarget) return this.patentFormTarget
+    if (name === "chatContainer" && this.hasChatContainerTarget) return this.chatContainerTarget
+    return null
+  }
+
+  tabFor(name) {
+    return this.tabTargets.find(tab => tab.dataset.pane === name)
+  }
+
   disconnect() {
     // Clean up resize observer
     if (this.resizeObserver) {
       this.resizeObserver.disconnect()
     }
-    
-    console.debug("[ResponsiveLayoutController] Disconnected")
+
+    this.mutationObserver?.disconnect()
+    window.visualViewport?.removeEventListener("resize", this.handleViewportResize)
+    this.element.removeEventListener("touchstart", this.handleTouchStart)
+    this.element.removeEventListener("touchend", this.handleTouchEnd)
+
+    logger.debug("Disconnected")
+  }
+
+  // State included in "Download diagnostics" (lib/diagnostics.js)
+  diagnostics() {
+    return {
+      mobile: this.isMobile,
+      activePane: this.activePane,
+      layout: this.layout,
+      unread: this.unread,
+      keyboardOpen: this.element.classList.contains("keyboard-open")
+    }
   }
 }
@@ -0,0 +1,156 @@
+// app/javascript/controllers/revision_timeline_controller.js
+//
+// Stimulus controller for the revision timeline (see _revisions.html.slim)
+// Shows a word diff of the title, problem and solution between two picked revisions
+//
+// The timeline only holds the revisions' metadata; the text of the two picked revisions is
+// fetched from the revisions route when they are compared. Whichever of the two is older is
+// shown as the removed side, so picking them "the wrong way round" still reads forwards.
+//
+// A save that adds a revision replaces the timeline; the picks carry over to the new one.
+//
+// This controller:
+// - Compares the revisions picked with the A and B radio buttons (compare)
+// - Renders one diff per field, collapsing fields that didn't change
+
+import { Controller } from "@hotwired/stimulus"
+import { diffText, countChanges } from "lib/text_diff"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("RevisionTimelineController")
+
+// Fields shown in the diff, in order
+const FIELDS = [["title", "Title"], ["problem", "Problem"], ["solution", "Solution"]]
+
+// Picks of a timeline that is being replaced, by element id, until its replacement connects
+const keptPicks = new Map()
+
+export default class extends Controller {
+  static targets = ["from", "to", "diff"]
+  static values = { url: String }
+
+  connect() {
+    logger.debug("Connected with", this.fromTargets.length, "revisions")
+    this.requests = 0
+    this.restorePicks()
+    this.compare()
+  }
+
+  // Keep the picks for a replacement connecting right after, e.g. from the update action's Turbo Stream
+  disconnect() {
+    const picks = { from: this.picked(this.fromTargets)?.id, to: this.picked(this.toTargets)?.id }
+    keptPicks.set(this.element.id, picks)
+    setTimeout(() => { if (keptPicks.get(this.element.id) === picks) keptPicks.delete(this.element.id) })
+  }
+
+  // Check the revisions the replaced timeline had picked, when they are still listed
+  restorePicks() {
+    const picks = keptPicks.get(this.element.id)
+    keptPicks.delete(this.element.id)
+    if (!picks) return
+
+    const from = this.fromTargets.find(radio => radio.value === picks.from)
+    const to = this.toTargets.find(radio => radio.value === picks.to)
+    if (from) from.checked = true
+    if (to) to.checked = true
+  }
+
+  // Diff the two picked revisions
+  async compare() {
+    if (!this.hasDiffTarget) return
+
+    const a = this.picked(this.fromTargets)
+    const b = this.picked(this.toTargets)
+    if (!a || !b) {
+      this.diffTarget.innerHTML = ""
+      return
+    }
+
+    if (this.fromTargets.length < 2) {
+      this.diffTarget.innerHTML = '<p class="small text-muted fst-italic mb-0">There is only one revision so far - save a change to compare revisions.</p>'
+      return
+    }
+
+    if (a.id === b.id) {
+      this.diffTarget.innerHTML = `<p class="small text-muted fst-italic mb-0">Revision ${a.number} is picked on both sides - pick another revision to compare.</p>`
+      return
+    }
+
+    // Only the latest pick is shown when the user picks faster than the text arrives
+    const request = ++this.requests
+    let revisions
+    try {
+      revisions = await this.fetchRevisions([a.id, b.id])
+    } catch (error) {
+      logger.error("Could not load revisions", error)
+      if (request === this.requests) this.diffTarget.innerHTML = '<p class="small text-danger mb-0">Could not load the revisions. Pick them again to retry.</p>'
+      return
+    }
+    if (request !== this.requests) return
+
+    const [older, newer] = (a.number < b.number ? [a, b] : [b, a]).map(pick => revisions.find(revision => revision.id === pick.id))
+    if (!older || !newer) {
+      this.diffTarget.innerHTML = '<p class="small text-muted fst-italic mb-0">One of these revisions no longer exists - pick another one.</p>'
+      return
+    }
+    logger.debug("Comparing revisions", older.number, "and", newer.number)
+
+    const sections = FIELDS.map(([field, label]) => this.renderField(field, label, older, newer))
+    this.diffTarget.innerHTML = `
+      <h3 class="h6 mb-2">Revision ${older.number} → Revision ${newer.number}</h3>
+      ${sections.join("")}
+    `
+  }
+
+  // The id and number of the checked radio button in a column
+  picked(radios) {
+    const checked = radios.find(radio => radio.checked)
+    return checked && { id: checked.value, number: Number(checked.dataset.number) }
+  }
+
+  // The revisions with these ids, with their fields: [{ id, number, fields }]
+  async fetchRevisions(ids) {
+    const url = new URL(this.urlValue, window.location.origin)
+    ids.forEach(id => url.searchParams.append("ids[]", id))
+
+    const response = await fetch(url, { headers: { "Accept": "application/json" }, credentials: "same-origin" })
+    if (!response.ok) throw new Error(`Request failed with status ${response.status}`)
+
+    return (await response.json()).revisions || []
+  }
+
+  // Diff of one field, or a note that it is unchanged
+  renderField(field, label, older, newer) {
+    const before = older.fields?.[field] || ""
+    const after = newer.fields?.[field] || ""
+
+    if (before === after) {
+      return `<p class="small text-muted mb-2"><span class="fw-semibold">${label}:</span> unchanged</p>`
+    }
+
+    const parts = diffText(before, after, "word")
+    const changes = countChanges(parts)
+    const body = parts.map(part => {
+      if (part.type === "equal") return this.escapeHTML(part.text)
+
+      return (part.removed ? `<del>${this.escapeHTML(part.removed)}</del>` : "") +
+        (part.added ? `<ins>${this.escapeHTML(part.added)}</ins>` : "")
+    }).join("")
+
+    return `
+      <div class="mb-3">
+        <p class="small fw-semibold mb-1">${label} <span class="text-muted fw-normal">(${changes} ${changes === 1 ? "change" : "changes"})</span></p>
+        <div class="diff-preview revision-diff-body small p-2 rounded-3 border bg-white">${body}</div>
+      </div>
+    `
+  }
+
+  // Escape text for use in HTML
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  }
+}
@@ -0,0 +1,271 @@
+// app/javascript/controllers/terminology_controller.js
+//
+// Stimulus controller for the terminology check on the patent form (lib/terminology.js)
+//
+// Attached to the form next to the patent form controller. After every edit it looks for
+// key terms named in more than one way across the title, problem, solution and the AI
+// suggestions on display that are not in the form yet (ai-suggestions outlets), then:
+// - highlights the variants in place: on a backdrop drawn behind each field, and in the
+//   text of the suggestions
+// - lists each group of variants under the solution, with a button per variant that
+//   uses it everywhere
+//
+// Normalizing rewrites the fields as a single undo step, and the suggestions on display too,
+// so they agree with the form once applied.
+//
+// Each field is moved into a div.term-field that also holds its backdrop, so the children of
+// the title's input group stay as Bootstrap's corner rules expect them.
+
+import { Controller } from "@hotwired/stimulus"
+import { findInconsistentTerms, termRanges, normalizeTerm } from "lib/terminology"
+import { announce } from "lib/announcer"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("TerminologyController")
+
+// Highlight colors, used by the groups in turn (.term-variant-0 to -3 in patent_application.css)
+const COLORS = 4
+
+// Styles the backdrop copies from its field, so its text lines up with the field's
+const MIRRORED_STYLES = ["fontFamily", "fontSize", "fontWeight", "fontStyle", "lineHeight", "letterSpacing", "wordSpacing", "textIndent", "textTransform", "paddingTop", "paddingBottom", "paddingLeft", "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth", "borderRadius"]
+
+export default class extends Controller {
+  static targets = ["field", "panel"]
+  static outlets = ["ai-suggestions"]
+
+  connect() {
+    this.groups = []
+    this.backdrops = new Map()
+    this.syncScroll = event => this.scrollBackdrop(event.target)
+    this.resizeObserver = new ResizeObserver(() => this.positionBackdrops())
+
+    this.fieldTargets.forEach(field => this.attachBackdrop(field))
+    this.refresh()
+  }
+
+  disconnect() {
+    this.resizeObserver.disconnect()
+    this.backdrops.forEach((backdrop, field) => {
+      field.removeEventListener("scroll", this.syncScroll)
+      field.classList.remove("term-highlighted")
+      backdrop.parentElement.replaceWith(field)
+    })
+    this.backdrops.clear()
+  }
+
+  // Suggestions arrive and go with the assistant's panel
+  aiSuggestionsOutletConnected() {
+    if (this.groups) this.refresh()
+  }
+
+  aiSuggestionsOutletDisconnected() {
+    if (this.groups) this.refresh()
+  }
+
+  // Look for inconsistent terms again and redraw the highlights and the list
+  // (after typing, undo/redo and changed suggestions)
+  refresh() {
+    const sources = this.sources()
+    this.groups = findInconsistentTerms(sources)
+
+    this.highlightFields(sources)
+    this.highlightSuggestions(sources)
+    this.renderPanel(sources)
+  }
+
+  // Use one variant of a group everywhere it has another name
+  normalize({ params }) {
+    // Stimulus would read a term like "true" as a boolean
+    const key = String(params.key)
+    const term = String(params.term)
+    const sources = this.sources()
+    const group = findInconsistentTerms(sources).find(found => found.key === key)
+    if (!group) return
+
+    const changedFields = []
+    sources.forEach(source => {
+      const text = normalizeTerm(source.text, group, term, source.id)
+      if (text === source.text) return
+
+      if (source.outlet) {
+        source.outlet.replaceSuggestion(source.field, text)
+      } else {
+        source.element.value = text
+        changedFields.push(source.element)
+      }
+    })
+
+    logger.debug("Normalized term", { key, replaced: group.variants.length - 1, fields: changedFields.length })
+
+    // An input event per changed field, for validation, autosave and the stored draft; every
+    // field is already rewritten, so the patent form records them as a single undo step
+    changedFields.forEach(field => {
+      field.dispatchEvent(new CustomEvent("input", { bubbles: true, detail: { source: "terminology", label: `use "${term}"` } }))
+    })
+    this.refresh()
+    announce(`"${term}" is now used everywhere.${changedFields.length ? " Undo with Ctrl+Z, or Cmd+Z on a Mac." : ""}`)
+  }
+
+  // The text that is checked: { id, label, text } per form field and suggestion on display
+  sources() {
+    const fields = this.fieldTargets.map(element => ({
+      id: this.fieldName(element),
+      label: this.fieldName(element),
+      text: element.value,
+      element
+    }))
+
+    const suggestions = this.aiSuggestionsOutlets.flatMap((outlet, index) => outlet.unappliedFields().map(field => ({
+      id: `suggestion-${index}-${field}`,
+      label: `${field} suggestion`,
+      text: outlet.suggestionText(field),
+      outlet,
+      field
+    })))
+
+    return [...fields, ...suggestions]
+  }
+
+  // "problem" for patent_application[problem]
+  fieldName(element) {
+    return element.name.match(/\[(\w+)\]$/)?.[1] || element.name
+  }
+
+  // The backdrop sits behind a field that is made transparent, and shows its text with the
+  // variants marked; the text itself is transparent, so only the marks show through
+  attachBackdrop(field) {
+    // A page restored from the Turbo cache already has the wrapper, and an old backdrop in it
+    let wrapper = field.parentElement
+    if (wrapper.classList.contains("term-field")) {
+      wrapper.querySelector(".term-backdrop")?.remove()
+    } else {
+      wrapper = document.createElement("div")
+      wrapper.className = "term-field"
+      field.before(wrapper)
+      wrapper.append(field)
+    }
+
+    const backdrop = document.createElement("div")
+    backdrop.className = "term-backdrop"
+    backdrop.setAttribute("aria-hidden", "true")
+    backdrop.style.whiteSpace = field.tagName === "TEXTAREA" ? "pre-wrap" : "pre"
+    wrapper.append(backdrop)
+
+    field.classList.add("term-highlighted")
+    field.addEventListener("scroll", this.syncScroll)
+    this.resizeObserver.observe(field)
+    this.backdrops.set(field, backdrop)
+  }
+
+  // Keep each backdrop over its field, with the same box and font
+  positionBackdrops() {
+    this.backdrops.forEach((backdrop, field) => {
+      const style = getComputedStyle(field)
+      MIRRORED_STYLES.forEach(name => { backdrop.style[name] = style[name] })
+
+      // A scrollbar narrows the field's text, so the backdrop wraps at the same width
+      const scrollbar = field.offsetWidth - field.clientWidth - parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth)
+      backdrop.style.paddingRight = `${parseFloat(style.paddingRight) + scrollbar}px`
+
+      backdrop.style.top = `${field.offsetTop}px`
+      backdrop.style.left = `${field.offsetLeft}px`
+      backdrop.style.width = `${field.offsetWidth}px`
+      backdrop.style.height = `${field.offsetHeight}px`
+      this.scrollBackdrop(field)
+    })
+  }
+
+  scrollBackdrop(field) {
+    const backdrop = this.backdrops.get(field)
+    if (!backdrop) return
+
+    backdrop.scrollTop = field.scrollTop
+    backdrop.scrollLeft = field.scrollLeft
+  }
+
+  highlightFields(sources) {
+    sources.filter(source => source.element).forEach(source => {
+      const backdrop = this.backdrops.get(source.element)
+      if (!backdrop) return
+
+      // The trailing space keeps a final line break as tall as it is in the field
+      backdrop.innerHTML = this.markedHTML(source.text, termRanges(this.groups, source.id)) + " "
+    })
+    this.positionBackdrops()
+  }
+
+  // Mark the variants in the suggestions on display, and clear the marks of the others
+  highlightSuggestions(sources) {
+    this.aiSuggestionsOutlets.forEach(outlet => ["problem", "solution"].forEach(field => {
+      const element = outlet.suggestionElement(field)
+      if (!element) return
+
+      const source = sources.find(candidate => candidate.outlet === outlet && candidate.field === field)
+      const ranges = source ? termRanges(this.groups, source.id) : []
+      element.innerHTML = this.markedHTML(outlet.suggestionText(field), ranges)
+    }))
+  }
+
+  markedHTML(text, ranges) {
+    let html = ""
+    let position = 0
+
+    ranges.forEach(range => {
+      const others = this.groups[range.group].variants.map(variant => variant.term).filter(term => term !== range.term)
+      html += this.escapeHTML(text.slice(position, range.start))
+      html += `<mark class="term-variant term-variant-${range.group % COLORS}" title="Also called ${this.escapeHTML(others.join(", "))}">${this.escapeHTML(text.slice(range.start, range.end))}</mark>`
+      position = range.end
+    })
+
+    return html + this.escapeHTML(text.slice(position))
+  }
+
+  // List each group with where its variants are used and a button to use one of them everywhere
+  renderPanel(sources) {
+    if (!this.hasPanelTarget) return
+
+    const labels = Object.fromEntries(sources.map(source => [source.id, source.label]))
+    const count = this.groups.length
+
+    this.panelTarget.innerHTML = count === 0 ? "" : `
+      <div class="d-flex gap-2 small text-warning-emphasis">
+        <i class="bi bi-signpost-split mt-1" aria-hidden="true"></i>
+        <div class="flex-grow-1">
+          <div class="fw-medium">${count === 1 ? "A term is" : `${count} terms are`} named in more than one way</div>
+          <div class="text-muted mb-2">Each name reads as a different element of the invention. Choose one and use it everywhere.</div>
+          <ul class="list-unstyled mb-0">
+            ${this.groups.map((group, index) => `
+              <li class="term-group mb-2">
+                ${group.variants.map(variant => `
+                  <div class="d-flex flex-wrap align-items-center gap-2">
+                    <mark class="term-variant term-variant-${index % COLORS}">${this.escapeHTML(variant.term)}</mark>
+                    <span class="text-muted">${variant.count}× in ${variant.sources.map(id => this.escapeHTML(labels[id])).join(", ")}</span>
+                    <button type="button" class="btn btn-link btn-sm p-0" data-action="terminology#normalize" data-terminology-key-param="${this.escapeHTML(group.key)}" data-terminology-term-param="${this.escapeHTML(variant.term)}">
+                      Use “${this.escapeHTML(variant.term)}” everywhere
+                    </button>
+                  </div>
+                `).join("")}
+              </li>
+            `).join("")}
+          </ul>
+        </div>
+      </div>
+    `
+  }
+
+  // State included in "Download diagnostics" (lib/diagnostics.js); the terms are left out
+  diagnostics() {
+    return {
+      groups: this.groups?.length || 0,
+      variants: this.groups?.map(group => group.variants.length) || [],
+      suggestionsChecked: this.aiSuggestionsOutlets.length
+    }
+  }
+
+  // Helper method to escape HTML to prevent XSS
+  escapeHTML(text) {
+    const div = document.createElement("div")
+    div.textContent = text
+    return div.innerHTML
+  }
+}
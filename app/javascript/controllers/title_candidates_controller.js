@@ -0,0 +1,146 @@
+// app/javascript/controllers/title_candidates_controller.js
+//
+// Stimulus controller for the title suggestions dropdown next to a title field
+//
+// Each time the dropdown opens it lists candidates built from the current problem and
+// solution (see lib/title_generator.js) - read from the surrounding form when it has
+// those fields, otherwise from the problem and solution values. "Ask AI for suggestions"
+// adds candidates from the title_candidates route (posted as JSON).
+//
+// This controller:
+// - Renders local candidates into the menu target (refresh, when the toggle is clicked)
+// - Fetches AI candidates on request (requestAi)
+// - Puts the chosen candidate into the input target and fires an input event, so the
+//   patent form tracks it like typing (choose)
+
+import { Controller } from "@hotwired/stimulus"
+import { generateTitles } from "lib/title_generator"
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("TitleCandidatesController")
+
+export default class extends Controller {
+  static targets = ["input", "menu", "toggle"]
+  static values = { url: String, problem: String, solution: String }
+
+  connect() {
+    logger.debug("Connected")
+    this.aiTitles = []
+  }
+
+  // Rebuild the candidate list from the current problem and solution
+  refresh() {
+    const { problem, solution } = this.statements()
+    this.localTitles = generateTitles(problem, solution)
+    logger.debug("Local candidates", { titles: this.localTitles })
+    this.render()
+  }
+
+  // Ask the server for AI-generated candidates
+  async requestAi(event) {
+    event.preventDefault()
+    if (!this.hasUrlValue || this.loading) return
+
+    // Posted as JSON, so the unsaved text stays out of the URL (request logs, browser history)
+    const { problem, solution } = this.statements()
+
+    this.loading = true
+    this.error = null
+    this.render()
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        credentials: "same-origin",
+        body: JSON.stringify({ problem, solution })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}`)
+
+      this.aiTitles = data.titles || []
+      if (this.aiTitles.length === 0) this.error = "The AI did not suggest any titles."
+      logger.debug("AI candidates", { titles: this.aiTitles })
+    } catch (error) {
+      logger.error("Could not get AI candidates", error)
+      this.error = error.message
+    } finally {
+      this.loading = false
+      this.render()
+    }
+  }
+
+  // Use the clicked candidate as the title
+  choose(event) {
+    event.preventDefault()
+    const title = event.currentTarget.dataset.title
+    if (!title || !this.hasInputTarget) return
+
+    logger.debug("Chose title", { title })
+    this.inputTarget.value = title
+    this.inputTarget.dispatchEvent(new CustomEvent("input", { bubbles: true, detail: { source: "title-candidates", label: "choose title" } }))
+    this.inputTarget.focus()
+
+    if (this.hasToggleTarget) window.bootstrap?.Dropdown.getOrCreateInstance(this.toggleTarget).hide()
+  }
+
+  // Problem and solution from the surrounding form, falling back to the values
+  statements() {
+    const form = this.hasInputTarget ? this.inputTarget.form : null
+    const field = name => form?.querySelector(`[name="patent_application[${name}]"]`)?.value
+
+    return {
+      problem: field("problem") ?? this.problemValue,
+      solution: field("solution") ?? this.solutionValue
+    }
+  }
+
+  // Local candidates, AI candidates and the AI request item
+  render() {
+    if (!this.hasMenuTarget) return
+
+    const local = this.localTitles || []
+    const items = []
+
+    items.push('<li><h6 class="dropdown-header">Suggested titles</h6></li>')
+    if (local.length === 0) {
+      items.push('<li><span class="dropdown-item-text small text-muted fst-italic">Describe the problem to get suggestions.</span></li>')
+    }
+    local.forEach(title => items.push(this.renderCandidate(title)))
+
+    if (this.aiTitles.length > 0) {
+      items.push('<li><hr class="dropdown-divider"></li>', '<li><h6 class="dropdown-header">AI suggestions</h6></li>')
+      this.aiTitles.forEach(title => items.push(this.renderCandidate(title)))
+    }
+
+    if (this.hasUrlValue) {
+      items.push('<li><hr class="dropdown-divider"></li>')
+      if (this.error) items.push(`<li><span class="dropdown-item-text small text-danger">${this.escapeHTML(this.error)}</span></li>`)
+      items.push(this.loading
+        ? '<li><span class="dropdown-item-text small text-muted"><span class="spinner-border spinner-border-sm me-2" aria-hidden="true"></span>Asking the AI…</span></li>'
+        : '<li><button type="button" class="dropdown-item small" data-action="title-candidates#requestAi"><i class="bi bi-stars me-2"></i>Ask AI for suggestions</button></li>')
+    }
+
+    this.menuTarget.innerHTML = items.join("")
+  }
+
+  // One menu item that chooses the title
+  renderCandidate(title) {
+    const escaped = this.escapeHTML(title)
+    return `<li><button type="button" class="dropdown-item text-wrap" data-title="${escaped}" data-action="title-candidates#choose">${escaped}</button></li>`
+  }
+
+  // Escape text for use in HTML content and attributes
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
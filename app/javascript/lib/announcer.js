@@ -0,0 +1,28 @@
+// app/javascript/lib/announcer.js
+//
+// Screen reader announcements through the live regions in the layout
+// (#announcer_polite and #announcer_assertive)
+//
+// Used for changes that are otherwise only visual: a chat reply arriving, the patent
+// form being saved, a suggestion being applied. Polite announcements wait until the
+// screen reader is idle; assertive ones interrupt it, so they are kept for failures.
+
+// Time between clearing a region and filling it, so a repeated message is read again
+const ANNOUNCE_DELAY = 100
+
+const timers = new Map()
+
+// Read message out to screen reader users
+export function announce(message, { assertive = false } = {}) {
+  const region = document.getElementById(assertive ? "announcer_assertive" : "announcer_polite")
+  if (!region || !message) return
+
+  clearTimeout(timers.get(region))
+  region.textContent = ""
+  timers.set(region, setTimeout(() => { region.textContent = message }, ANNOUNCE_DELAY))
+}
+
+// Plain text of an element, on one line, for announcing rendered content
+export function textForAnnouncement(element) {
+  return (element?.textContent || "").replace(/\s+/g, " ").trim()
+}
@@ -0,0 +1,124 @@
+// app/javascript/lib/diagnostics.js
+//
+// The bundle behind "Download diagnostics" in the account menu (diagnostics_controller.js),
+// a JSON file users can attach when they report a problem. It holds:
+// - Recent log entries from lib/logger.js, already redacted
+// - Each connected Stimulus controller: its identifier, its element and, for controllers
+//   with a diagnostics() method, the state they report
+// - Timings of recent Turbo requests (form submissions, frame loads) and visits
+// - The browser, the viewport and whether it is online
+//
+// Turbo requests are timed from when application.js calls trackTurboRequests, across visits.
+
+import { recentLogs, redact, describeElement } from "lib/logger"
+
+// Turbo requests and visits kept, oldest dropped first
+const TIMING_LIMIT = 100
+
+const timings = []
+
+// Requests waiting for a response, per element that started them
+const pendingRequests = new WeakMap()
+
+// Start timing the requests Turbo makes
+export function trackTurboRequests() {
+  document.addEventListener("turbo:before-fetch-request", event => {
+    const { url, fetchOptions } = event.detail
+    const pending = pendingRequests.get(event.target) || []
+    pending.push({
+      path: new URL(url).pathname,
+      method: (fetchOptions.method || "GET").toUpperCase(),
+      at: new Date().toISOString(),
+      start: performance.now()
+    })
+    pendingRequests.set(event.target, pending)
+  })
+
+  document.addEventListener("turbo:before-fetch-response", event => {
+    const response = event.detail.fetchResponse?.response
+    finishRequest(event.target, { status: response?.status, redirected: response?.redirected || false })
+  })
+
+  document.addEventListener("turbo:fetch-request-error", event => {
+    finishRequest(event.target, { error: event.detail.error?.message || "Request failed" })
+  })
+
+  // Turbo reports the timing of each visit once the new page has loaded
+  document.addEventListener("turbo:load", event => {
+    const { visitStart, requestStart, requestEnd, visitEnd } = event.detail.timing || {}
+    if (!visitStart) return
+
+    record({
+      type: "visit",
+      path: new URL(event.detail.url).pathname,
+      request: requestStart && requestEnd ? requestEnd - requestStart : null,
+      duration: visitEnd ? visitEnd - visitStart : null,
+      at: new Date(visitStart).toISOString()
+    })
+  })
+}
+
+// Everything "Download diagnostics" saves
+export function buildDiagnostics() {
+  return {
+    generatedAt: new Date().toISOString(),
+    page: location.pathname,
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    online: navigator.onLine,
+    viewport: { width: window.innerWidth, height: window.innerHeight, pixelRatio: window.devicePixelRatio },
+    serviceWorker: Boolean(navigator.serviceWorker?.controller),
+    pageLoad: pageLoadTiming(),
+    controllers: controllerStates(),
+    turboRequests: timings.map(timing => ({ ...timing })),
+    logs: recentLogs()
+  }
+}
+
+function finishRequest(target, result) {
+  const request = pendingRequests.get(target)?.shift()
+  if (!request) return
+
+  const { start, ...details } = request
+  record({
+    type: "request",
+    ...details,
+    ...result,
+    duration: Math.round(performance.now() - start)
+  })
+}
+
+function record(timing) {
+  timings.push(timing)
+  if (timings.length > TIMING_LIMIT) timings.shift()
+}
+
+// How long the first page of this tab took, from the browser's navigation timing
+function pageLoadTiming() {
+  const [navigation] = performance.getEntriesByType("navigation")
+  if (!navigation) return null
+
+  return {
+    type: navigation.type,
+    response: Math.round(navigation.responseEnd - navigation.requestStart),
+    domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+    load: Math.round(navigation.loadEventEnd)
+  }
+}
+
+// Connected controllers, with the state they report themselves, redacted like log data
+function controllerStates() {
+  const application = window.Stimulus
+  if (!application) return []
+
+  return application.controllers.map(controller => {
+    const state = { identifier: controller.identifier, element: describeElement(controller.element) }
+    if (typeof controller.diagnostics !== "function") return state
+
+    try {
+      return { ...state, state: redact(controller.diagnostics()) }
+    } catch (error) {
+      return { ...state, state: { error: error.message } }
+    }
+  })
+}
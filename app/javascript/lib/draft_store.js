@@ -0,0 +1,94 @@
+// app/javascript/lib/draft_store.js
+//
+// IndexedDB storage for unsaved patent form values ("local drafts")
+// Used by the patent form to keep edits that could not be saved yet, and by the
+// pending drafts indicators on the index page. The service worker reads the same
+// database (see app/views/pwa/service-worker.js) to replay drafts once the
+// browser is back online.
+//
+// Each draft is keyed by patent application id and holds:
+// - values: the title, problem and solution the user typed
+// - base: the values the form was loaded with, so the server can detect conflicts on replay
+// - url: the update URL the draft is saved to
+// - savedAt: when the draft was last written (milliseconds since epoch)
+//
+// No CSRF token is stored: the service worker reads the session's current one when it replays.
+
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("DraftStore")
+
+// Keep these in sync with app/views/pwa/service-worker.js
+const DB_NAME = "rightstree"
+const DB_VERSION = 1
+const DRAFTS_STORE = "drafts"
+
+// Background Sync tag the service worker listens for
+export const DRAFT_SYNC_TAG = "patent-drafts"
+
+// Open the database, creating the drafts store on first use
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: "id" })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Run a single request against the drafts store and resolve with its result
+async function withDraftsStore(mode, callback) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DRAFTS_STORE, mode)
+    const request = callback(transaction.objectStore(DRAFTS_STORE))
+
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  })
+}
+
+// Save (or replace) the draft for a patent application
+export function saveDraft(draft) {
+  return withDraftsStore("readwrite", store => store.put({ ...draft, id: Number(draft.id), savedAt: Date.now() }))
+}
+
+// Load the draft for a patent application, resolves with undefined when there is none
+export function loadDraft(id) {
+  return withDraftsStore("readonly", store => store.get(Number(id)))
+}
+
+// Remove the draft for a patent application
+export function deleteDraft(id) {
+  return withDraftsStore("readwrite", store => store.delete(Number(id)))
+}
+
+// All drafts that have not been saved to the server yet
+export function listDrafts() {
+  return withDraftsStore("readonly", store => store.getAll())
+}
+
+// Ask the service worker to replay drafts as soon as connectivity returns
+// Browsers without Background Sync rely on the patent form's online handler instead
+export async function requestDraftSync() {
+  if (!("serviceWorker" in navigator)) return
+
+  const registration = await navigator.serviceWorker.ready
+  if (registration.sync) {
+    await registration.sync.register(DRAFT_SYNC_TAG)
+    logger.debug("Registered background sync", DRAFT_SYNC_TAG)
+  }
+}
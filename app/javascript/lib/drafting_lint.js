@@ -0,0 +1,163 @@
+// app/javascript/lib/drafting_lint.js
+//
+// Patent-drafting checks for the problem and solution fields (see patent_form_controller.js)
+//
+// Each rule has:
+// - id: used in logging and to replace a rule registered under the same id
+// - severity: "error" blocks marking the application complete, "warning" only informs
+// - fields: the fields it checks
+// - explanation: why the issue matters, shown under the message
+// - check(text, values, field, options): returns a message for every issue found in text
+//   (values holds all field values, for rules that compare fields)
+//
+// Options:
+// - minWords: fewest words per field, e.g. { problem: 15, solution: 25 }; the patent form
+//   passes PublishChecklist::MIN_WORDS so the form and the server agree
+//
+// More rules can be added with registerLintRule.
+
+const VAGUE_WORDS = ["etc.", "etc", "and/or", "maybe", "perhaps", "possibly", "might", "somehow", "some kind of", "and so on", "or the like"]
+const RELATIVE_TERMS = ["about", "approximately", "substantially", "relatively", "roughly", "essentially", "generally"]
+const SUPERLATIVES = ["best", "optimal", "perfect", "ideal", "revolutionary", "unique", "fastest", "cheapest", "most efficient", "always", "never", "guaranteed"]
+
+// Words ignored when comparing the vocabulary of the problem and solution
+const STOPWORDS = new Set(["about", "above", "after", "again", "against", "being", "below", "between", "could", "during", "other", "should", "their", "there", "these", "those", "through", "under", "until", "which", "while", "would", "where", "because", "before", "further", "having", "itself", "within", "without", "using", "first", "second"])
+
+export const LINT_RULES = []
+
+// Add a rule, replacing any rule with the same id
+export function registerLintRule(rule) {
+  const index = LINT_RULES.findIndex(existing => existing.id === rule.id)
+  index === -1 ? LINT_RULES.push(rule) : LINT_RULES.splice(index, 1, rule)
+}
+
+// Issues for one field: [{ rule, severity, message, explanation }]
+export function lintField(field, values, options = {}) {
+  const text = values[field] || ""
+
+  return LINT_RULES
+    .filter(rule => rule.fields.includes(field))
+    .flatMap(rule => rule.check(text, values, field, options).map(message => ({
+      rule: rule.id,
+      severity: rule.severity,
+      message,
+      explanation: rule.explanation
+    })))
+}
+
+// Issues for several fields, by field name
+export function lintValues(values, fields = ["problem", "solution"], options = {}) {
+  return Object.fromEntries(fields.map(field => [field, lintField(field, values, options)]))
+}
+
+// Matches whole words or phrases, case-insensitive
+function phrasePattern(phrases) {
+  const alternatives = phrases.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"))
+  return new RegExp(`(?<![\\w/])(${alternatives.join("|")})(?![\\w/])`, "gi")
+}
+
+// Distinct phrases found in text, in the order they first appear
+function findPhrases(text, phrases) {
+  const found = [...text.matchAll(phrasePattern(phrases))].map(match => match[1].toLowerCase())
+  return [...new Set(found)]
+}
+
+function sentences(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).filter(sentence => sentence.trim())
+}
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || []).length
+}
+
+// Rough stem so "sensor" and "sensors" or "detects" and "detecting" compare equal
+function stem(word) {
+  return word.toLowerCase().replace(/(ing|ed|es|s)$/, "")
+}
+
+function significantWords(text) {
+  return (text.toLowerCase().match(/\p{L}{5,}/gu) || []).filter(word => !STOPWORDS.has(word))
+}
+
+registerLintRule({
+  id: "too-short",
+  severity: "error",
+  fields: ["problem", "solution"],
+  explanation: "A statement this short cannot describe the invention in enough technical detail to be examined.",
+  check(text, values, field, { minWords = {} }) {
+    const words = countWords(text)
+    const minimum = minWords[field] || 0
+    if (words === 0) return [`The ${field} statement is empty.`]
+    if (words < minimum) return [`Only ${words} words - describe the ${field} in at least ${minimum} words.`]
+    return []
+  }
+})
+
+registerLintRule({
+  id: "vague-wording",
+  severity: "warning",
+  fields: ["problem", "solution"],
+  explanation: "Open-ended or hedging words leave the scope unclear. List the alternatives explicitly and state what the invention does.",
+  check(text) {
+    return findPhrases(text, VAGUE_WORDS).map(phrase => `Vague wording: "${phrase}"`)
+  }
+})
+
+registerLintRule({
+  id: "undefined-relative-term",
+  severity: "warning",
+  fields: ["problem", "solution"],
+  explanation: "Relative terms are unclear unless the text says what they are measured against, e.g. \"substantially parallel (within 5°)\".",
+  check(text) {
+    // A term counts as defined when its sentence also gives a value, tolerance or definition
+    const definition = /\d|±|\+\/-|\bmeans\b|\bdefined as\b|\bi\.e\.|\bwithin\b/i
+
+    const undefinedTerms = sentences(text)
+      .filter(sentence => !definition.test(sentence))
+      .flatMap(sentence => findPhrases(sentence, RELATIVE_TERMS))
+
+    return [...new Set(undefinedTerms)].map(term => `Relative term "${term}" without a definition`)
+  }
+})
+
+registerLintRule({
+  id: "unsupported-superlative",
+  severity: "warning",
+  fields: ["problem", "solution"],
+  explanation: "Superlatives and absolutes are claims of advantage the application has to back up. State the measurable improvement instead.",
+  check(text) {
+    // Sentences with figures are taken to support their claim
+    const superlatives = sentences(text)
+      .filter(sentence => !/\d/.test(sentence))
+      .flatMap(sentence => findPhrases(sentence, SUPERLATIVES))
+
+    return [...new Set(superlatives)].map(word => `Unsupported superlative: "${word}"`)
+  }
+})
+
+registerLintRule({
+  id: "solution-terms-missing-from-problem",
+  severity: "warning",
+  fields: ["solution"],
+  explanation: "Key terms of the solution that never appear in the problem can mean the problem statement is missing context, or that the solution drifts away from the problem it should solve.",
+  check(text, values) {
+    if (!values.problem?.trim()) return []
+
+    const problemStems = new Set(significantWords(values.problem).map(stem))
+    const counts = new Map()
+    significantWords(text).forEach(word => {
+      const key = stem(word)
+      if (!counts.has(key)) counts.set(key, { word, count: 0 })
+      counts.get(key).count++
+    })
+
+    // Only terms the solution keeps coming back to
+    const missing = [...counts.entries()]
+      .filter(([key, { count }]) => count >= 2 && !problemStems.has(key))
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, 5)
+      .map(([, { word }]) => `"${word}"`)
+
+    return missing.length ? [`Not mentioned in the problem: ${missing.join(", ")}`] : []
+  }
+})
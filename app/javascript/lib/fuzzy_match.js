@@ -0,0 +1,83 @@
+// app/javascript/lib/fuzzy_match.js
+//
+// Fuzzy matching for the command palette (command_palette_controller.js)
+//
+// A query matches when its characters appear in the text in order, so "mkcmp"
+// finds "Mark complete". Matches score higher when they start words, run on
+// without gaps and start early, so the closest labels sort first.
+
+// Score and matched character positions of query in text, or null when it doesn't match
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "")
+  const haystack = text.toLowerCase()
+  if (!needle) return { score: 0, indices: [] }
+
+  const indices = []
+  let score = 0
+  let position = 0
+
+  for (let i = 0; i < needle.length; i++) {
+    const character = needle[i]
+    const next = haystack.indexOf(character, position)
+    if (next === -1) return null
+
+    // Unless it continues the previous match, prefer an occurrence that starts a word,
+    // as long as the rest of the query still fits after it
+    const continues = indices.length > 0 && indices[indices.length - 1] === next - 1
+    const wordStart = continues ? -1 : findWordStart(haystack, character, position)
+    const index = wordStart !== -1 && isSubsequence(needle.slice(i + 1), haystack, wordStart + 1) ? wordStart : next
+
+    score += 1
+    if (isWordStart(haystack, index)) score += 3
+    if (indices.length > 0 && indices[indices.length - 1] === index - 1) score += 2
+
+    indices.push(index)
+    position = index + 1
+  }
+
+  // Earlier and tighter matches are better; a plain substring is best of all
+  score -= indices[0] * 0.1 + (indices[indices.length - 1] - indices[0] - indices.length + 1) * 0.05
+  if (haystack.includes(query.toLowerCase().trim())) score += needle.length
+
+  return { score, indices }
+}
+
+// Text as HTML with the matched characters in <mark>, escaped for use in content
+export function highlightMatch(text, indices) {
+  const marked = new Set(indices)
+  return text.split("").map((character, index) => {
+    const escaped = escapeHTML(character)
+    return marked.has(index) ? `<mark>${escaped}</mark>` : escaped
+  }).join("").replace(/<\/mark><mark>/g, "")
+}
+
+// First position from start where character begins a word
+function findWordStart(haystack, character, start) {
+  for (let index = haystack.indexOf(character, start); index !== -1; index = haystack.indexOf(character, index + 1)) {
+    if (isWordStart(haystack, index)) return index
+  }
+  return -1
+}
+
+// Whether the characters of rest appear in order in haystack from start
+function isSubsequence(rest, haystack, start) {
+  let position = start
+  for (const character of rest) {
+    position = haystack.indexOf(character, position) + 1
+    if (position === 0) return false
+  }
+  return true
+}
+
+function isWordStart(haystack, index) {
+  return index === 0 || !/[a-z0-9]/.test(haystack[index - 1])
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
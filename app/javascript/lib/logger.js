@@ -0,0 +1,198 @@
+// app/javascript/lib/logger.js
+//
+// Shared client-side logger for the Stimulus controllers and lib modules
+//
+//   const logger = createLogger("PatentFormController")
+//   logger.debug("Autosave scheduled in", delay, "ms")
+//
+// Levels are debug, info, warn and error. Entries at or above the console level are
+// printed as "[Source] message"; the level comes from <meta name="log-level"> and a
+// browser can override it with localStorage["rightstree:log-level"] (e.g. "debug" while
+// tracking down a problem with a user).
+//
+// Every entry, whatever the console level, goes into a bounded in-memory buffer that
+// "Download diagnostics" bundles (lib/diagnostics.js). The buffer never holds the user's
+// invention: data under keys such as problem, solution or claims and any long string are
+// redacted before they are stored. The console keeps the full data, as it stays in the browser.
+//
+// Errors are also uploaded in batches to <meta name="client-log-endpoint">, when the page
+// names one, so they show up in the server log (ClientLogsController).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+// Console level when neither the page nor the browser chooses one
+const DEFAULT_LEVEL = "debug"
+
+const LEVEL_KEY = "rightstree:log-level"
+
+// Entries kept for diagnostics, oldest dropped first
+const BUFFER_SIZE = 500
+
+// Data under these keys is patent text or chat content and is never stored as is
+const REDACTED_KEYS = /^(problem|solution|claim|title|text|content|body|message|suggestion|original|draft|value|from|to)s?$/i
+
+// Longer strings are redacted wherever they appear, as they are usually patent text
+const MAX_STRING_LENGTH = 120
+
+// How far into nested data entries are kept
+const MAX_DEPTH = 4
+
+// Errors are sent once this many are waiting, or this long after the first one
+const UPLOAD_BATCH_SIZE = 20
+const UPLOAD_DELAY = 5000
+
+// Errors kept while the upload can't be sent, e.g. offline
+const MAX_QUEUED_UPLOADS = 100
+
+const buffer = []
+let uploadQueue = []
+let uploadTimer = null
+let consoleLevel = null
+
+// Logger for one controller or module, named as it appears in "[Name]" prefixes
+export function createLogger(source) {
+  return Object.fromEntries(Object.keys(LEVELS).map(level => [
+    level,
+    (message, ...data) => log(level, source, message, data)
+  ]))
+}
+
+// Redacted copies of the buffered entries, oldest first
+export function recentLogs() {
+  return buffer.map(entry => ({ ...entry }))
+}
+
+// Copy of value that is safe to store or send: patent text and long strings replaced by
+// their length, errors reduced to name, message and stack, DOM elements to a short description
+export function redact(value, key = null, depth = 0) {
+  if (value === null || value === undefined) return value ?? null
+
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack?.split("\n").slice(0, 8).join("\n") }
+  }
+
+  if (key && REDACTED_KEYS.test(key) && typeof value !== "boolean" && typeof value !== "number") {
+    return redacted(value)
+  }
+
+  switch (typeof value) {
+    case "string":
+      return value.length > MAX_STRING_LENGTH ? redacted(value) : value
+    case "number":
+    case "boolean":
+      return value
+    case "function":
+      return "[function]"
+    case "object":
+      break
+    default:
+      return String(value)
+  }
+
+  if (value instanceof Element) return describeElement(value)
+  if (value instanceof Date) return value.toISOString()
+  if (depth >= MAX_DEPTH) return "[nested]"
+
+  if (value instanceof Map) return redact(Object.fromEntries(value), key, depth)
+  if (value instanceof Set) return redact([...value], key, depth)
+  if (Array.isArray(value)) return value.slice(0, 50).map(item => redact(item, null, depth + 1))
+
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]))
+}
+
+// "textarea#patent_application_problem.form-control" for an element
+export function describeElement(element) {
+  const id = element.id ? `#${element.id}` : ""
+  const classes = [...element.classList].slice(0, 3).map(name => `.${name}`).join("")
+  return `${element.tagName.toLowerCase()}${id}${classes}`
+}
+
+// Send the waiting errors now, e.g. before the page goes away
+export function flushUploads() {
+  clearTimeout(uploadTimer)
+  uploadTimer = null
+
+  const endpoint = document.querySelector("meta[name='client-log-endpoint']")?.content
+  if (!endpoint || uploadQueue.length === 0 || !navigator.onLine) return
+
+  const entries = uploadQueue.splice(0, UPLOAD_BATCH_SIZE)
+  const token = document.querySelector("meta[name='csrf-token']")?.content
+  const body = JSON.stringify({
+    authenticity_token: token,
+    page: location.pathname,
+    entries: entries.map(entry => ({ ...entry, data: JSON.stringify(entry.data ?? null) }))
+  })
+
+  // A beacon survives the page unloading; fetch is the fallback where it is refused
+  const sent = navigator.sendBeacon?.(endpoint, new Blob([body], { type: "application/json" }))
+  if (!sent) {
+    fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": token },
+      body,
+      keepalive: true
+    }).catch(() => {
+      // Not logged, as that would queue another upload
+    })
+  }
+
+  if (uploadQueue.length > 0) scheduleUpload()
+}
+
+function log(level, source, message, data) {
+  if (LEVELS[level] >= LEVELS[currentConsoleLevel()]) {
+    console[level](`[${source}] ${message}`, ...data)
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    source,
+    message: redact(String(message)),
+    data: data.length > 0 ? data.map(item => redact(item)) : undefined
+  }
+
+  buffer.push(entry)
+  if (buffer.length > BUFFER_SIZE) buffer.shift()
+
+  if (level === "error") queueUpload(entry)
+}
+
+// The browser's override, the page's level or the default
+function currentConsoleLevel() {
+  if (consoleLevel) return consoleLevel
+
+  let level = null
+  try {
+    level = localStorage.getItem(LEVEL_KEY)
+  } catch {
+    // Storage can be blocked; the page's level applies
+  }
+  level ||= document.querySelector("meta[name='log-level']")?.content
+
+  consoleLevel = LEVELS[level] ? level : DEFAULT_LEVEL
+  return consoleLevel
+}
+
+function queueUpload(entry) {
+  uploadQueue.push(entry)
+  if (uploadQueue.length > MAX_QUEUED_UPLOADS) uploadQueue = uploadQueue.slice(-MAX_QUEUED_UPLOADS)
+
+  if (uploadQueue.length >= UPLOAD_BATCH_SIZE) {
+    flushUploads()
+  } else {
+    scheduleUpload()
+  }
+}
+
+function scheduleUpload() {
+  uploadTimer ||= setTimeout(flushUploads, UPLOAD_DELAY)
+}
+
+function redacted(value) {
+  return typeof value === "string" ? `[redacted: ${value.length} characters]` : "[redacted]"
+}
+
+// Errors waiting for the connection go out when it is back, the rest before the page is left
+window.addEventListener("online", flushUploads)
+window.addEventListener("pagehide", flushUploads)
@@ -0,0 +1,201 @@
+// app/javascript/lib/markdown.js
+//
+// Small Markdown renderer for assistant chat messages
+//
+// Safe by construction: the source is HTML-escaped before any formatting is
+// applied and only a fixed set of tags is ever produced, so nothing in a message
+// can inject markup, event handlers or scripts. Links are limited to http(s) and
+// mailto URLs and open in a new tab without access to this page.
+//
+// Supported: paragraphs and line breaks, headings, **bold**, *italic*, ~~strike~~,
+// `inline code`, fenced code blocks, bullet and numbered lists (nested by
+// indentation), blockquotes, horizontal rules, [links](https://...) and bare URLs.
+// Link labels keep their formatting, code spans included: [the `run` docs](https://...).
+// Unclosed code fences are rendered as code, so partial (streaming) text looks right.
+//
+// Code blocks get a copy button wired to the markdown controller (markdown#copyCode).
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/
+const QUOTE = /^\s{0,3}>\s?/
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/
+const SAFE_URL = /^(https?:\/\/|mailto:)/i
+
+// Render Markdown source to sanitized HTML
+export function renderMarkdown(source) {
+  const lines = String(source ?? "").replace(/\u0000/g, "").replace(/\r\n?/g, "\n").split("\n")
+  return renderBlocks(lines)
+}
+
+// Escape text for use in HTML content and attributes
+export function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// Whether a line starts a block other than a paragraph
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line)
+}
+
+function leadingSpaces(line) {
+  return line.match(/^\s*/)[0].length
+}
+
+// Render a list of lines as block elements
+function renderBlocks(lines) {
+  const html = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (!line.trim()) {
+      i++
+      continue
+    }
+
+    const fence = line.match(FENCE)
+    if (fence) {
+      const code = []
+      i++
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++])
+      i++ // closing fence
+      html.push(renderCodeBlock(code.join("\n"), fence[2]))
+      continue
+    }
+
+    const heading = line.match(HEADING)
+    if (heading) {
+      // Keep headings small inside chat bubbles
+      const level = Math.min(heading[1].length + 3, 6)
+      html.push(`<h${level} class="fw-semibold mt-2">${renderInline(heading[2])}</h${level}>`)
+      i++
+      continue
+    }
+
+    if (RULE.test(line)) {
+      html.push("<hr>")
+      i++
+      continue
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = []
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ""))
+      html.push(`<blockquote class="border-start ps-3 text-muted">${renderBlocks(quoted)}</blockquote>`)
+      continue
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i)
+      html.push(list.html)
+      i = list.next
+      continue
+    }
+
+    const paragraph = []
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i++].trim())
+    }
+    html.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`)
+  }
+
+  return html.join("")
+}
+
+// Parse a list starting at lines[start], returns { html, next }
+// Lines indented deeper than the list's markers belong to the item above them
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM)
+  const indent = first[1].length
+  const ordered = /\d/.test(first[2])
+  const items = []
+  let i = start
+
+  while (i < lines.length) {
+    const line = lines[i]
+    const item = line.match(LIST_ITEM)
+    const current = items[items.length - 1]
+
+    if (item && item[1].length <= indent && /\d/.test(item[2]) === ordered) {
+      items.push({ text: [item[3]], children: [] })
+    } else if (!line.trim()) {
+      // A blank line only continues the list when more of it follows
+      const next = lines[i + 1]
+      const nextItem = next?.match(LIST_ITEM)
+      const continues = next !== undefined && (leadingSpaces(next) > indent || (nextItem && nextItem[1].length <= indent && /\d/.test(nextItem[2]) === ordered))
+      if (!continues) break
+      current.children.push("")
+    } else if (leadingSpaces(line) > indent) {
+      current.children.push(line)
+    } else if (current.children.length === 0 && !startsBlock(line) && lines[i - 1].trim()) {
+      // Lazy continuation of the item's text
+      current.text.push(line.trim())
+    } else {
+      break
+    }
+    i++
+  }
+
+  const tag = ordered ? "ol" : "ul"
+  const startNumber = ordered ? parseInt(first[2], 10) : 1
+  const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : ""
+
+  const body = items.map(item => {
+    const childIndent = Math.min(...item.children.filter(line => line.trim()).map(leadingSpaces))
+    const children = item.children.map(line => line.slice(Math.min(leadingSpaces(line), childIndent)))
+    return `<li>${item.text.map(renderInline).join("<br>")}${children.length ? renderBlocks(children) : ""}</li>`
+  }).join("")
+
+  return { html: `<${tag}${startAttribute}>${body}</${tag}>`, next: i }
+}
+
+// Code block with a copy button
+function renderCodeBlock(code, language) {
+  const languageClass = language ? ` class="language-${escapeHTML(language)}"` : ""
+
+  return `<div class="code-block position-relative">` +
+    `<button type="button" class="btn btn-sm btn-light border code-copy-button" title="Copy code" aria-label="Copy code" data-action="markdown#copyCode"><i class="bi bi-clipboard"></i></button>` +
+    `<pre><code${languageClass}>${escapeHTML(code)}</code></pre>` +
+    `</div>`
+}
+
+// Render inline formatting within a line of text
+function renderInline(text) {
+  // Code spans and links are swapped for placeholders so no other formatting applies inside them
+  // A link's label can hold code spans, so placeholders are restored inside restored ones too
+  const tokens = []
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(tokens[Number(index)]))
+
+  let html = text.replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHTML(code)}</code>`))
+
+  html = html.replace(/\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/g, (match, label, url) => {
+    if (!SAFE_URL.test(url)) return hold(escapeHTML(match))
+    return hold(`<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer nofollow">${renderEmphasis(escapeHTML(label))}</a>`)
+  })
+
+  html = html.replace(/\bhttps?:\/\/[^\s<>"'\u0000]+[^\s<>"'.,;:!?)\u0000]/g, (url) => {
+    return hold(`<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHTML(url)}</a>`)
+  })
+
+  html = renderEmphasis(escapeHTML(html))
+
+  return restore(html)
+}
+
+// Bold, italic and strikethrough on already escaped text
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+}
@@ -0,0 +1,82 @@
+// app/javascript/lib/slash_commands.js
+//
+// Slash commands for the chat input (see chat_form_controller.js)
+//
+// Each command either:
+// - saves its argument through one of the patent application routes (route + param),
+//   e.g. "/problem Users forget to drink water" -> PATCH update_problem
+// - or, without an argument (or when it has no route), sends a structured prompt to the AI
+// - or runs a local action in the page (action)
+//
+// Prompts receive the current form values: { problem, solution, title }
+
+export const SLASH_COMMANDS = [
+  {
+    name: "problem",
+    args: "[text]",
+    description: "Set the problem statement, or ask the AI to suggest one",
+    route: "problem",
+    param: "problem",
+    prompt: () => "Please suggest a clear and specific problem statement for my invention, based on what we have discussed so far."
+  },
+  {
+    name: "solution",
+    args: "[text]",
+    description: "Set the solution, or ask what it is still missing",
+    route: "solution",
+    param: "solution",
+    prompt: ({ solution }) => solution
+      ? `Here is my current solution:\n\n${solution}\n\nWhat is still missing or unclear? Ask me the questions I need to answer to describe it completely.`
+      : "Help me describe my solution. Ask me the questions I need to answer to describe it completely."
+  },
+  {
+    name: "title",
+    args: "[text]",
+    description: "Set the title, or ask the AI to suggest one",
+    route: "title",
+    param: "title",
+    prompt: () => "Please suggest a concise, descriptive title for my patent application."
+  },
+  {
+    name: "summarize",
+    description: "Summarize the problem and solution so far",
+    prompt: ({ problem, solution }) => [
+      "Please summarize the problem and solution we have worked out so far in a few sentences.",
+      problem && `Current problem statement:\n${problem}`,
+      solution && `Current solution:\n${solution}`
+    ].filter(Boolean).join("\n\n")
+  },
+  {
+    name: "critique",
+    description: "Critique the current problem and solution statements",
+    prompt: ({ problem, solution }) => [
+      "Please critique my problem and solution statements as a patent examiner would: point out vague wording, missing technical detail and anything that may not be novel.",
+      `Problem statement:\n${problem || "(not written yet)"}`,
+      `Solution:\n${solution || "(not written yet)"}`
+    ].join("\n\n")
+  },
+  {
+    name: "clear-suggestions",
+    description: "Clear the AI suggestions panel",
+    action: "clearSuggestions"
+  }
+]
+
+// Commands whose name starts with what was typed after the slash
+// Returns an empty list once the input is more than a command name (e.g. has an argument)
+export function matchCommands(input) {
+  const match = input.match(/^\/([\w-]*)$/)
+  if (!match) return []
+
+  const typed = match[1].toLowerCase()
+  return SLASH_COMMANDS.filter(command => command.name.startsWith(typed))
+}
+
+// Parse "/name argument" into { command, argument }, or null for anything else
+export function parseCommand(text) {
+  const match = text.match(/^\/([\w-]+)(?:\s+([\s\S]*))?$/)
+  if (!match) return null
+
+  const command = SLASH_COMMANDS.find(candidate => candidate.name === match[1].toLowerCase())
+  return command ? { command, argument: (match[2] || "").trim() } : null
+}
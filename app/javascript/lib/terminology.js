@@ -0,0 +1,242 @@
+// app/javascript/lib/terminology.js
+//
+// Terminology consistency for the patent form (see terminology_controller.js)
+//
+// A patent should name each element the same way throughout: a "sensor module" in the
+// problem and a "sensing unit" in the solution read as two different parts. This finds the
+// key terms (phrases of up to three content words) in the title, problem, solution and
+// pending AI suggestions, and groups the ones that look like variants of the same term:
+// - the same words in another form ("sensor" / "sensing", "e-mail" / "email")
+// - near-synonyms ("module" / "unit", "device" / "apparatus")
+//
+// Plurals are not variants. Longer terms are compared first, and a shorter term inside a
+// reported one is not reported again, so "module" / "unit" is not repeated under
+// "sensor module" / "sensing unit".
+//
+// Sources are { id, text }, e.g. { id: "problem", text: "..." }; groups are
+//   { key, variants: [{ term, count, sources, occurrences: [{ source, start, end, surface }] }] }
+// with the most used variant first.
+//
+// More near-synonyms can be added with registerSynonyms.
+
+// Longest key terms looked for, in words
+const MAX_TERM_WORDS = 3
+
+// Words that are never part of a key term
+const STOPWORDS = new Set(["a", "an", "the", "and", "or", "but", "nor", "of", "to", "in", "on", "at", "by", "for", "with", "from", "into", "onto", "over", "under", "as", "is", "are", "was", "were", "be", "been", "being", "it", "its", "this", "that", "these", "those", "which", "who", "whom", "whose", "what", "when", "where", "while", "than", "then", "there", "their", "them", "they", "we", "our", "you", "your", "he", "she", "his", "her", "can", "could", "may", "might", "must", "shall", "should", "will", "would", "do", "does", "did", "has", "have", "had", "not", "no", "so", "such", "each", "every", "any", "all", "some", "more", "most", "less", "many", "much", "other", "same", "also", "only", "very", "both", "either", "neither", "between", "within", "without", "through", "during", "before", "after", "above", "below", "about", "via", "per", "if", "how", "why", "one", "two", "three", "first", "second", "third", "new", "said", "wherein", "thereby", "based", "use", "uses", "provide", "provides", "include", "includes", "comprise", "comprises", "allow", "allows", "make", "makes", "need", "needs", "problem", "solution", "invention", "present"])
+
+// Nouns ending in -ing, which can still end a key term (other -ing words are verbs)
+const ING_NOUNS = new Set(["housing", "casing", "bearing", "coating", "opening", "building", "ceiling", "wiring", "string", "ring", "spring", "thing", "fitting", "mounting", "lining", "tubing", "piping", "setting", "packaging"])
+
+// Words that name the same element in patent drafting
+const DEFAULT_SYNONYMS = [
+  ["device", "apparatus"],
+  ["module", "unit"],
+  ["sensor", "detector"],
+  ["housing", "casing", "enclosure"],
+  ["display", "screen"],
+  ["container", "receptacle", "vessel"],
+  ["cable", "wire", "cord"],
+  ["vehicle", "car", "automobile"],
+  ["method", "procedure"]
+]
+
+// Near-synonym classes, by singular word
+const SYNONYM_CLASSES = new Map()
+
+// Add words that name the same element, e.g. registerSynonyms(["pump", "compressor"])
+export function registerSynonyms(words) {
+  const normalized = words.map(word => singular(word.toLowerCase()))
+  const key = normalized.map(word => SYNONYM_CLASSES.get(word)).find(Boolean) || `=${normalized[0]}`
+  normalized.forEach(word => {
+    SYNONYM_CLASSES.set(word, key)
+    // Other forms of the word belong to the class too ("sensing" with "sensor")
+    if (!SYNONYM_CLASSES.has(root(word))) SYNONYM_CLASSES.set(root(word), key)
+  })
+}
+
+DEFAULT_SYNONYMS.forEach(registerSynonyms)
+
+// Groups of variants of the same term across the sources, most used first
+export function findInconsistentTerms(sources) {
+  const occurrences = sources.flatMap(termOccurrences)
+  const reported = []
+  const groups = []
+
+  for (let length = MAX_TERM_WORDS; length >= 1; length--) {
+    const candidates = occurrences.filter(occurrence =>
+      occurrence.length === length && !reported.some(other => overlaps(other, occurrence))
+    )
+
+    groupBy(candidates, occurrence => occurrence.concept).forEach((found, key) => {
+      const variants = [...groupBy(found, occurrence => occurrence.form).values()]
+      if (variants.length < 2) return
+
+      groups.push({ key, variants: variants.map(describeVariant).sort((a, b) => b.count - a.count) })
+      reported.push(...found)
+    })
+  }
+
+  return groups.sort((a, b) => total(b) - total(a))
+}
+
+// Reported occurrences in one source, in text order and without overlaps:
+// [{ start, end, group (index into groups), term }]
+export function termRanges(groups, sourceId) {
+  const ranges = groups.flatMap((group, index) => group.variants.flatMap(variant =>
+    variant.occurrences
+      .filter(occurrence => occurrence.source === sourceId)
+      .map(({ start, end }) => ({ start, end, group: index, term: variant.term }))
+  )).sort((a, b) => a.start - b.start)
+
+  return ranges.filter((range, index) => index === 0 || range.start >= ranges[index - 1].end)
+}
+
+// The source's text with the group's other variants replaced by term, keeping their
+// plural, capitalization and the article before them ("an apparatus" becomes "a device")
+export function normalizeTerm(text, group, term, sourceId) {
+  return group.variants
+    .filter(variant => variant.term !== term)
+    .flatMap(variant => variant.occurrences)
+    .filter(occurrence => occurrence.source === sourceId)
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, occurrence) => {
+      const replacement = matchForm(term, occurrence.surface)
+      return fixArticle(result.slice(0, occurrence.start), replacement) + replacement + result.slice(occurrence.end)
+    }, text)
+}
+
+// Every phrase of up to MAX_TERM_WORDS content words that ends in a noun-like word
+function termOccurrences(source) {
+  const words = [...(source.text || "").matchAll(/[\p{L}\p{N}]+(?:[-'][\p{L}\p{N}]+)*/gu)]
+    .map(match => ({ word: match[0], start: match.index, end: match.index + match[0].length }))
+  const occurrences = []
+
+  words.forEach((first, index) => {
+    for (let length = 1; length <= MAX_TERM_WORDS && index + length <= words.length; length++) {
+      const phrase = words.slice(index, index + length)
+      const last = phrase[phrase.length - 1]
+      if (!isTermWord(last.word)) break
+      // Terms don't run across punctuation or line breaks
+      if (length > 1 && !/^[^\S\n]+$/.test(source.text.slice(phrase[length - 2].end, last.start))) break
+      if (!isHeadWord(last.word)) continue
+
+      occurrences.push({
+        source: source.id,
+        start: first.start,
+        end: last.end,
+        length,
+        surface: source.text.slice(first.start, last.end),
+        form: phrase.map(({ word }) => singular(word.toLowerCase())).join(" "),
+        concept: phrase.map(({ word }) => conceptOf(word)).join(" ")
+      })
+    }
+  })
+
+  return occurrences
+}
+
+function isTermWord(word) {
+  const lower = word.toLowerCase()
+  if (STOPWORDS.has(lower) || !/\p{L}/u.test(word) || /ly$/.test(lower)) return false
+  return word.length >= 3 || /^[A-Z]{2}$/.test(word)
+}
+
+// Words a term can end on: not verb forms such as "sensing" or "heated"
+function isHeadWord(word) {
+  const lower = word.toLowerCase()
+  if (/ing$/.test(lower)) return ING_NOUNS.has(singular(lower))
+  return !(lower.length > 4 && /[^e]ed$/.test(lower))
+}
+
+// The same for every variant of a word: its near-synonym class, or its root
+function conceptOf(word) {
+  const form = singular(word.toLowerCase())
+  return SYNONYM_CLASSES.get(form) || SYNONYM_CLASSES.get(root(form)) || root(form)
+}
+
+// "sensors" -> "sensor", "batteries" -> "battery", "switches" -> "switch"
+function singular(word) {
+  if (word.length > 4 && /[^aeiou]ies$/.test(word)) return word.slice(0, -3) + "y"
+  if (/(ss|x|ch|sh|zz)es$/.test(word)) return word.slice(0, -2)
+  if (word.length > 3 && /[^siu]s$/.test(word)) return word.slice(0, -1)
+  return word
+}
+
+// "sensor", "sensing" and "sensed" -> "sens"; "e-mail" -> "email"
+function root(word) {
+  const joined = word.replace(/[-']/g, "")
+  const suffix = ["ing", "or", "er", "ed"].find(ending => joined.endsWith(ending) && joined.length - ending.length >= 4)
+  return suffix ? joined.slice(0, -suffix.length) : joined
+}
+
+function describeVariant(occurrences) {
+  const terms = groupBy(occurrences, occurrence => displayTerm(occurrence.surface))
+  const [term] = [...terms.entries()].sort((a, b) => b[1].length - a[1].length)[0]
+
+  return {
+    term,
+    count: occurrences.length,
+    sources: [...new Set(occurrences.map(occurrence => occurrence.source))],
+    occurrences: occurrences.map(({ source, start, end, surface }) => ({ source, start, end, surface }))
+  }
+}
+
+// How a variant is listed: lowercase and singular, acronyms kept ("GPS module")
+function displayTerm(surface) {
+  const words = surface.split(/\s+/)
+  return words.map((word, index) => {
+    const last = index === words.length - 1
+    if (/^[A-Z][A-Z0-9]+s?$/.test(word)) return last ? word.replace(/s$/, "") : word
+    return last ? singular(word.toLowerCase()) : word.toLowerCase()
+  }).join(" ")
+}
+
+// term in the form of the surface it replaces: plural, ALL CAPS, Title Case or Capitalized
+function matchForm(term, surface) {
+  const words = surface.split(/\s+/)
+  const last = words[words.length - 1].toLowerCase()
+  let replacement = singular(last) !== last ? term.replace(/\S+$/, pluralize) : term
+
+  if (surface.length > 3 && surface === surface.toUpperCase()) return replacement.toUpperCase()
+  if (words.length > 1 && words.every(word => /^\p{Lu}/u.test(word))) {
+    return replacement.replace(/\S+/g, word => word[0].toUpperCase() + word.slice(1))
+  }
+  if (/^\p{Lu}/u.test(surface)) replacement = replacement[0].toUpperCase() + replacement.slice(1)
+  return replacement
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) return word.slice(0, -1) + "ies"
+  if (/(s|x|z|ch|sh)$/i.test(word)) return word + "es"
+  return word + "s"
+}
+
+// "a" or "an" right before the replaced term, to suit the replacement
+function fixArticle(before, replacement) {
+  const match = before.match(/\b(a|an)(\s+)$/i)
+  if (!match) return before
+
+  const vowel = /^[aeiou]/i.test(replacement) && !/^(uni|use|usu|eu|one)/i.test(replacement)
+  let article = vowel ? "an" : "a"
+  if (/^A/.test(match[1])) article = article[0].toUpperCase() + article.slice(1)
+  return before.slice(0, match.index) + article + match[2]
+}
+
+function overlaps(a, b) {
+  return a.source === b.source && a.start < b.end && b.start < a.end
+}
+
+function total(group) {
+  return group.variants.reduce((sum, variant) => sum + variant.count, 0)
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map()
+  items.forEach(item => {
+    const key = keyOf(item)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(item)
+  })
+  return groups
+}
@@ -0,0 +1,151 @@
+// app/javascript/lib/text_diff.js
+//
+// Word and sentence level text diffing
+// Used to preview AI suggestions against the current field value so the user
+// can accept or reject individual changes ("hunks") instead of replacing the
+// whole text.
+//
+// A diff is returned as a list of parts:
+// - { type: "equal", text }
+// - { type: "change", removed, added, accepted }
+// Joining the equal parts with each change's removed text gives the original,
+// joining them with each added text gives the suggestion.
+
+// Above this many token comparisons the diff falls back to a single change
+const MAX_COMPARISONS = 4000000
+
+// Split text into words, whitespace runs and punctuation marks
+export function tokenizeWords(text) {
+  return text.match(/\s+|[\p{L}\p{N}'’-]+|[^\s\p{L}\p{N}]/gu) || []
+}
+
+// Split text into sentences (including their trailing whitespace) and line breaks
+export function tokenizeSentences(text) {
+  return text.match(/[^.!?\n]*[.!?]+["'”’)\]]*[^\S\n]*|[^.!?\n]+|\n+/g) || []
+}
+
+// Longest common subsequence diff of two token lists
+// Returns one operation per token: { type: "equal" | "delete" | "insert", text }
+function diffTokens(before, after) {
+  // Common prefix and suffix don't need the quadratic table
+  let start = 0
+  while (start < before.length && start < after.length && before[start] === after[start]) start++
+
+  let endBefore = before.length
+  let endAfter = after.length
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--
+    endAfter--
+  }
+
+  const ops = []
+  const push = (type, text) => ops.push({ type, text })
+
+  before.slice(0, start).forEach(token => push("equal", token))
+
+  const a = before.slice(start, endBefore)
+  const b = after.slice(start, endAfter)
+
+  if (a.length * b.length > MAX_COMPARISONS) {
+    // Too large to compare token by token - treat the middle as one change
+    if (a.length) push("delete", a.join(""))
+    if (b.length) push("insert", b.join(""))
+  } else {
+    // lengths[i][j] = length of the LCS of a[i..] and b[j..]
+    const width = b.length + 1
+    const lengths = new Uint32Array((a.length + 1) * width)
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push("equal", a[i++])
+        j++
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        push("delete", a[i++])
+      } else {
+        push("insert", b[j++])
+      }
+    }
+    while (i < a.length) push("delete", a[i++])
+    while (j < b.length) push("insert", b[j++])
+  }
+
+  before.slice(endBefore).forEach(token => push("equal", token))
+  return ops
+}
+
+// Group token operations into equal runs and changes
+// In word mode, spaces between two changes are absorbed so a rewritten phrase
+// becomes one hunk. In sentence mode, a run of replaced sentences is split into
+// one hunk per sentence when the counts match.
+function buildParts(ops, granularity) {
+  const parts = []
+
+  ops.forEach((op, index) => {
+    const last = parts[parts.length - 1]
+
+    if (op.type === "equal") {
+      const next = ops[index + 1]
+      const betweenChanges = last?.type === "change" && next && next.type !== "equal"
+
+      if (granularity === "word" && betweenChanges && /^[^\S\n]+$/.test(op.text)) {
+        last.removed.push(op.text)
+        last.added.push(op.text)
+      } else if (last?.type === "equal") {
+        last.text += op.text
+      } else {
+        parts.push({ type: "equal", text: op.text })
+      }
+      return
+    }
+
+    if (last?.type !== "change") {
+      parts.push({ type: "change", removed: [], added: [], accepted: true })
+    }
+
+    const change = parts[parts.length - 1]
+    if (op.type === "delete") {
+      change.removed.push(op.text)
+    } else {
+      change.added.push(op.text)
+    }
+  })
+
+  return parts.flatMap(part => {
+    if (part.type === "equal") return [part]
+
+    if (granularity === "sentence" && part.removed.length > 1 && part.removed.length === part.added.length) {
+      return part.removed.map((removed, index) => ({ type: "change", removed, added: part.added[index], accepted: true }))
+    }
+
+    return [{ type: "change", removed: part.removed.join(""), added: part.added.join(""), accepted: true }]
+  })
+}
+
+// Diff two texts at "word" or "sentence" granularity
+export function diffText(before, after, granularity = "word") {
+  const tokenize = granularity === "sentence" ? tokenizeSentences : tokenizeWords
+  return buildParts(diffTokens(tokenize(before), tokenize(after)), granularity)
+}
+
+// Number of changes in a diff
+export function countChanges(parts) {
+  return parts.filter(part => part.type === "change").length
+}
+
+// Build the resulting text, taking the suggested text for accepted changes
+// and keeping the original text for rejected ones
+export function applyDiff(parts) {
+  return parts.map(part => {
+    if (part.type === "equal") return part.text
+    return part.accepted ? part.added : part.removed
+  }).join("")
+}
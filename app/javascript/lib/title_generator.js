@@ -0,0 +1,200 @@
+// app/javascript/lib/title_generator.js
+//
+// Builds candidate patent titles from the problem (and solution) text, without the AI
+//
+// - Strips filler openings ("We have a problem where...", "The problem is that...")
+// - Extracts the key noun phrases: runs of words without stopwords or common verbs,
+//   ranked by how often their words occur across the problem and solution. Phrases of the
+//   problem say what the invention is about, phrases of the solution how it works.
+// - Title-cases the result, keeping acronyms and words like "iPhone" as written
+//
+// generateTitles returns up to count distinct candidates, titleFromStatement the single
+// best short title for a statement (used to prefill an empty title field).
+
+const MAX_TITLE_LENGTH = 100
+const MAX_TITLE_WORDS = 10
+
+// Openings that say nothing about the invention, removed from the start of a statement
+const FILLER_OPENINGS = [
+  /^(?:so,?\s+)?(?:we|i)\s+(?:have|had|face|see)\s+(?:a|an|the)\s+(?:problem|issue|challenge)\s+(?:where|that|with|in which|because)\s+/i,
+  /^(?:the|our|my|a|one)\s+(?:main\s+|key\s+|technical\s+)?(?:problem|issue|challenge)\s+(?:is|was)\s+(?:that\s+|how\s+)?/i,
+  /^there\s+is\s+(?:a|an)\s+(?:need|problem|lack)\s+(?:for|of|with|that|to)\s+/i,
+  /^(?:this|the)\s+(?:invention|disclosure|application)\s+(?:relates|is related|pertains)\s+to\s+/i,
+  /^(?:i|we)\s+(?:want|need|would like)\s+to\s+/i,
+  /^(?:currently|today|nowadays|basically|essentially),?\s+/i,
+  /^it\s+is\s+(?:hard|difficult|impossible|expensive|tedious)\s+(?:for\s+\w+\s+)?to\s+/i
+]
+
+// Words that never start, end or sit inside a key phrase
+const STOPWORDS = new Set(("a an the and or but if then than that this these those there their they them it its of in on at to for from by with without " +
+  "into onto over under inside outside within through across about after before during while when where which who whom whose what why how is are was were be been being " +
+  "has have had do does did can could should would may might must will shall not no nor so such very too also just only more most " +
+  "less least many much some any each every all both either neither other another same own our we us my me i you your he she his her " +
+  "one ones thing things way ways lot lots user users people person someone problem problems issue issues need needs want wants use uses used using " +
+  "make makes made get gets got keep keeps cannot often usually always never still even because due etc").split(" "))
+
+// Common verbs that would otherwise be read as part of a noun phrase
+const VERBS = new Set(("forget forgets forgot struggle struggles lead leads led cause causes caused allow allows allowed help helps helped " +
+  "require requires required take takes took provide provides provided include includes included send sends sent receive receives received " +
+  "measure measures measured detect detects detected track tracks tracked remind reminds reminded know knows knew find finds found " +
+  "become becomes became lose loses lost waste wastes wasted fail fails failed try tries tried drink drinks eat eats go goes went " +
+  "see sees saw let lets put puts run runs ran work works worked show shows showed give gives gave check checks checked " +
+  "open opens opened disturb disturbs disturbed report reports reported reduce reduces reduced improve improves improved " +
+  "prevent prevents prevented enable enables enabled spray sprays sprayed monitor monitors monitored control controls controlled " +
+  "manage manages managed collect collects collected notify notifies notified alert alerts alerted identify identifies identified " +
+  "determine determines determined analyze analyzes analyzed display displays displayed hard difficult easy expensive cheap slow fast").split(" "))
+
+// Words kept lower case inside a title
+const SMALL_WORDS = new Set("a an the and or nor but for of in on at to by via with per vs from into as".split(" "))
+
+// Up to count distinct candidate titles
+export function generateTitles(problem, solution = "", { count = 5 } = {}) {
+  const statement = stripFiller(firstSentence(problem || ""))
+  const frequency = wordFrequency(`${problem || ""}\n${solution || ""}`)
+  const what = keyPhrases(problem || "", frequency)
+  const solutionPhrases = keyPhrases(solution || "", frequency)
+
+  // The solution often names the subject more precisely ("water" -> "water intake")
+  const precise = what[0] && solutionPhrases.find(phrase => phrase.length > what[0].length && overlaps(phrase, what[0]))
+  if (precise) what[0] = precise
+
+  const how = solutionPhrases.filter(phrase => !what[0] || !overlaps(phrase, what[0]))
+
+  const candidates = [
+    what[0] && how[0] && `${how[0]} for ${what[0]}`,
+    (what[0] || how[0]) && `System and Method for ${what[0] || how[0]}`,
+    shortenStatement(statement),
+    how[0] && how[1] && `${how[0]} with ${how[1]}`,
+    what[0] && how[0] && `Method for ${what[0]} Using ${how[0]}`,
+    what[0] && `Apparatus for ${what[0]}`,
+    what[1] && `${what[0]} and ${what[1]}`
+  ]
+
+  const titles = []
+  candidates.filter(Boolean).map(titleCase).forEach(title => {
+    if (title.length <= MAX_TITLE_LENGTH && !titles.some(existing => existing.toLowerCase() === title.toLowerCase())) titles.push(title)
+  })
+
+  return titles.slice(0, count)
+}
+
+// One short title for a statement: its first sentence without filler, title-cased
+export function titleFromStatement(text) {
+  const title = shortenStatement(stripFiller(firstSentence(text || "")))
+  return title ? titleCase(title) : ""
+}
+
+// Capitalize each word except small words in the middle
+export function titleCase(text) {
+  const words = text.trim().replace(/\s+/g, " ").split(" ")
+
+  return words.map((word, index) => {
+    const lower = word.toLowerCase()
+    if (index > 0 && index < words.length - 1 && SMALL_WORDS.has(lower)) return lower
+
+    // Each part of a hyphenated word is capitalized on its own
+    return word.split("-").map(part => {
+      if (/[A-Z]/.test(part.slice(1)) || /\d/.test(part)) return part // acronyms, iPhone, 5G
+      return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
+    }).join("-")
+  }).join(" ")
+}
+
+// Remove filler openings, repeatedly ("Currently, the problem is that ...")
+export function stripFiller(text) {
+  let stripped = text.trim()
+  let previous
+
+  do {
+    previous = stripped
+    FILLER_OPENINGS.forEach(pattern => { stripped = stripped.replace(pattern, "") })
+  } while (stripped !== previous)
+
+  return stripped
+}
+
+function firstSentence(text) {
+  return text.trim().split(/(?<=[.!?])\s+|\n+/)[0] || ""
+}
+
+// Cut a statement to a title-sized phrase at a natural break (comma, "which", "so that" ...)
+function shortenStatement(text) {
+  const clause = text.replace(/[.!?]+$/, "").split(/,|;|:|\s[-–—]\s|\s(?:which|because|so that|since|while|whereas)\s/i)[0].trim()
+  const words = clause.split(/\s+/).filter(Boolean)
+  if (words.length === 0) return ""
+
+  // Don't end on a dangling small word ("... for the")
+  const kept = words.slice(0, MAX_TITLE_WORDS)
+  while (kept.length > 1 && (SMALL_WORDS.has(kept[kept.length - 1].toLowerCase()) || STOPWORDS.has(kept[kept.length - 1].toLowerCase()))) kept.pop()
+
+  return kept.join(" ")
+}
+
+function isPhraseWord(word) {
+  const lower = word.toLowerCase()
+  return word.length > 1 && !STOPWORDS.has(lower) && !VERBS.has(lower) && !/ly$/.test(lower)
+}
+
+// Words compare without a plural "s"
+function wordKey(word) {
+  return word.toLowerCase().replace(/s$/, "")
+}
+
+// True when one phrase contains the other
+function overlaps(a, b) {
+  const first = a.toLowerCase()
+  const second = b.toLowerCase()
+  return first.includes(second) || second.includes(first)
+}
+
+function wordsOf(fragment) {
+  return fragment.split(/\s+/).map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")).filter(Boolean)
+}
+
+// How often each phrase word occurs in text
+function wordFrequency(text) {
+  const frequency = new Map()
+  wordsOf(text).filter(isPhraseWord).forEach(word => {
+    frequency.set(wordKey(word), (frequency.get(wordKey(word)) || 0) + 1)
+  })
+  return frequency
+}
+
+// Key noun phrases (up to three words) of text, most relevant first
+function keyPhrases(text, frequency) {
+  const runs = []
+
+  text.split(/[.,;:!?()\n"]+/).forEach(fragment => {
+    let run = []
+    wordsOf(fragment).forEach(word => {
+      if (isPhraseWord(word)) {
+        run.push(word)
+      } else {
+        if (run.length) runs.push(run)
+        run = []
+      }
+    })
+    if (run.length) runs.push(run)
+  })
+
+  const scored = new Map()
+  runs.forEach((run, position) => {
+    // The head noun is usually at the end: keep the last three words and drop leading verbs in -ing
+    let words = run.slice(-3)
+    while (words.length > 1 && /ing$/i.test(words[0])) words = words.slice(1)
+
+    const phrase = words.join(" ")
+    const key = phrase.toLowerCase()
+    const score = words.reduce((sum, word) => sum + (frequency.get(wordKey(word)) || 1), 0) + words.length * 0.5 - position * 0.01
+
+    if (!scored.has(key) || scored.get(key).score < score) scored.set(key, { phrase, score })
+  })
+
+  // Skip phrases overlapping a better one ("water" when "water intake" ranks higher)
+  const phrases = []
+  Array.from(scored.values()).sort((a, b) => b.score - a.score).forEach(({ phrase }) => {
+    if (!phrases.some(existing => overlaps(existing, phrase))) phrases.push(phrase)
+  })
+
+  return phrases
+}
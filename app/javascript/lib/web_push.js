@@ -0,0 +1,105 @@
+// app/javascript/lib/web_push.js
+//
+// Browser side of Web Push notifications
+// Used by the notification settings in the navigation bar (push_subscription_controller.js)
+// and by the marketplace watchlist (marketplace_tray_controller.js), which tells the
+// server which patents this browser watches. The server knows the browser by its push
+// endpoint (PushSubscriptionsController); the notifications are shown by the service
+// worker (app/views/pwa/service-worker.js).
+
+import { createLogger } from "lib/logger"
+
+const logger = createLogger("WebPush")
+
+// Dispatched on window once this browser has subscribed, so the watchlist can be sent
+export const SUBSCRIBED_EVENT = "web-push:subscribed"
+
+// The watched patent ids last sent to the server, to skip repeating them
+const SYNCED_WATCHLIST_KEY = "rightstree:push-watchlist"
+
+// Whether this browser can receive push notifications at all
+export function pushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window
+}
+
+// This browser's push subscription, or null
+export async function currentSubscription() {
+  if (!pushSupported()) return null
+
+  const registration = await navigator.serviceWorker.ready
+  return registration.pushManager.getSubscription()
+}
+
+// Subscribe with the server's VAPID public key (asks for permission first)
+export async function subscribe(publicKey) {
+  const permission = await Notification.requestPermission()
+  if (permission !== "granted") throw new Error(`Notification permission ${permission}`)
+
+  const registration = await navigator.serviceWorker.ready
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: decodeBase64Url(publicKey)
+  })
+  forgetSyncedWatchlist()
+  return subscription
+}
+
+// Send the subscription with extra attributes (topics, watched_patent_ids) to the server
+// Resolves with the stored subscription as JSON, or null when there is nothing to return
+export async function sendSubscription(url, method, subscription, attributes = {}) {
+  const { endpoint, keys } = subscription.toJSON()
+  const body = method === "POST" ? { endpoint, keys, ...attributes } : { endpoint, ...attributes }
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+      "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+    },
+    body: JSON.stringify({ push_subscription: body })
+  })
+  if (!response.ok) throw new Error(`Push subscription request failed (${response.status})`)
+
+  return response.status === 204 || response.status === 202 ? null : response.json()
+}
+
+// Tell the server which patents this browser watches, when it is subscribed and the list changed
+export async function syncWatchlist(url, ids) {
+  const subscription = await currentSubscription()
+  if (!subscription) return
+
+  const key = `${subscription.endpoint} ${ids.join(",")}`
+  if (readSyncedWatchlist() === key) return
+
+  await sendSubscription(url, "PATCH", subscription, { watched_patent_ids: ids })
+  logger.debug("Synced watchlist", ids)
+  try {
+    localStorage.setItem(SYNCED_WATCHLIST_KEY, key)
+  } catch {
+    // Blocked storage only means the list is sent again next time
+  }
+}
+
+// Make the next syncWatchlist send the list, e.g. for a new subscription
+export function forgetSyncedWatchlist() {
+  try {
+    localStorage.removeItem(SYNCED_WATCHLIST_KEY)
+  } catch {
+    // Nothing was stored
+  }
+}
+
+function readSyncedWatchlist() {
+  try {
+    return localStorage.getItem(SYNCED_WATCHLIST_KEY)
+  } catch {
+    return null
+  }
+}
+
+// VAPID keys are base64url text, pushManager.subscribe wants the bytes
+function decodeBase64Url(text) {
+  const base64 = (text + "=".repeat((4 - text.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/")
+  return Uint8Array.from(atob(base64), character => character.charCodeAt(0))
+}
@@ -0,0 +1,18 @@
+# Delivers one Web Push notification to one browser (see PushNotifier)
+# Subscriptions the push service no longer knows are deleted; other failures are retried.
+class PushNotificationJob < ApplicationJob
+  queue_as :default
+
+  retry_on WebPushService::DeliveryError, wait: :polynomially_longer, attempts: 3
+
+  # The subscription was deleted (the browser unsubscribed) before the job ran
+  discard_on ActiveJob::DeserializationError
+
+  def perform(subscription, payload, urgency: "normal")
+    PushNotifier.push_client.deliver(subscription, payload, urgency: urgency)
+    subscription.update_column(:last_delivered_at, Time.current)
+  rescue WebPushService::ExpiredSubscription
+    Rails.logger.debug("[PushNotificationJob#perform] Subscription #{subscription.id} expired, deleting it")
+    subscription.destroy
+  end
+end
@@ -7,6 +7,11 @@
 # - problem: text - The technical problem statement
 # - solution: text - The proposed solution statement
 # - chat_history: jsonb - The history of AI chat interactions
+# - claims: jsonb - Ordered list of claims ({ "id", "text", "depends_on" }), see #claims=
+# - revisions: jsonb - Saved versions of the title, problem and solution, see #record_revision
+# - category: string - Marketplace category, one of CATEGORIES (optional)
+# - asking_price: integer - Marketplace asking price in whole dollars (optional)
+# - views_count: integer - How often the published application was viewed
 # - user_id: integer - Optional association with a user (if authentication is present)
 # - created_at, updated_at: timestamps
 
@@ -18,9 +23,43 @@ class PatentApplication < ApplicationRecord
     published: "published"    # Finalized and published
   }
 
+  # Text fields the user edits through the patent form
+  EDITABLE_FIELDS = %w[title problem solution].freeze
+
+  # Fields the patent form autosaves, and checks for edits made elsewhere (see #conflicting_fields)
+  TRACKED_FIELDS = (EDITABLE_FIELDS + %w[claims]).freeze
+
+  # Marketplace categories: parameter value => label
+  CATEGORIES = {
+    "software" => "Software",
+    "hardware" => "Hardware",
+    "biotech" => "Biotech",
+    "consumer_products" => "Consumer Products",
+    "industrial" => "Industrial"
+  }.freeze
+
+  # Where a revision came from, shown in the revision timeline
+  REVISION_SOURCES = {
+    original: "original",           # The text saved before revisions were recorded
+    edit: "edit",                   # Saved from the patent form
+    autosave: "autosave",           # Saved in the background by the patent form
+    ai_suggestion: "ai_suggestion", # An accepted AI suggestion
+    restore: "restore"              # A field restored from an older revision
+  }
+
+  # Consecutive autosaves within this window are folded into one revision, so typing
+  # doesn't produce a revision every few seconds
+  AUTOSAVE_REVISION_WINDOW = 10.minutes
+
+  # Only the most recent revisions are kept
+  MAX_REVISIONS = 200
+
   # Set default status to draft
   attribute :status, :string, default: STATUSES[:draft]
 
+  # Source of the revision the next save records (see REVISION_SOURCES), set by the controller
+  attr_accessor :revision_source
+
   # Title no longer needs to be unique
   # Removed uniqueness validation as per requirement
 
@@ -31,12 +70,23 @@ class PatentApplication < ApplicationRecord
     validates :solution, presence: true
   end
 
+  # Marketplace listing details are optional
+  normalizes :category, with: ->(category) { category.presence }
+  validates :category, inclusion: { in: CATEGORIES.keys }, allow_nil: true
+  validates :asking_price, numericality: { only_integer: true, greater_than_or_equal_to: 0 }, allow_nil: true
+
   # Debug logging for title validation
   after_validation :log_title_validation
 
   # Ensure chat_history is always an array of messages
   before_validation :ensure_chat_history_structure
 
+  # Record every change of the title, problem or solution as a revision
+  before_save :record_revision, if: :editable_fields_changed?
+
+  # Web Push notifications about publishing and about listing changes (see PushNotifier)
+  after_update_commit :send_push_notifications
+
   # Debug logging
   after_initialize :log_initialize
   after_save :log_save
@@ -54,6 +104,141 @@ class PatentApplication < ApplicationRecord
     }
   end
 
+  # Returns the tracked fields that were changed elsewhere since the client loaded them.
+  # A field conflicts when the stored value no longer matches the client's base value
+  # and the incoming value would replace it with something different.
+  # Params:
+  #   base: Hash of field => value the client last received from the server (see #form_value)
+  #   incoming: Hash of field => value the client wants to save
+  def conflicting_fields(base, incoming)
+    base = base.to_h.stringify_keys
+    incoming = incoming.to_h.stringify_keys
+
+    conflicts = TRACKED_FIELDS.select do |field|
+      next false unless base.key?(field) && incoming.key?(field)
+
+      stored = comparable_value(field, self[field])
+      stored != comparable_value(field, base[field]) && stored != comparable_value(field, incoming[field])
+    end
+
+    Rails.logger.debug("[PatentApplication#conflicting_fields] Conflicting fields for #{id}: #{conflicts.inspect}")
+    conflicts
+  end
+
+  # Replaces the conversation from the user message at index onwards with a new user message.
+  # The replaced messages are kept as an alternative branch of that message, so editing an
+  # earlier message never loses a conversation. chat_history always holds the active branch;
+  # the user message where branches diverge stores the others under "branches" (the active
+  # slot is nil) and the position of the active one under "branch".
+  # Returns false when index does not point at a user message.
+  def branch_chat_history(index, message)
+    return false unless chat_user_message?(index)
+
+    replaced = chat_history.slice!(index..)
+    branches, active = take_chat_branches(replaced.first)
+    branches[active] = replaced
+
+    chat_history << message.merge("branches" => branches + [ nil ], "branch" => branches.size)
+    Rails.logger.debug("[PatentApplication#branch_chat_history] Branched chat at #{index} (#{branches.size + 1} branches)")
+    true
+  end
+
+  # Makes another branch of the edited user message at index the active conversation
+  # Returns false when there is no such branch
+  def switch_chat_branch(index, branch)
+    return false unless chat_user_message?(index)
+
+    entry = chat_history[index]
+    branches = entry["branches"] || entry[:branches]
+    active = (entry["branch"] || entry[:branch]).to_i
+    return false unless branches.is_a?(Array) && branch.between?(0, branches.size - 1) && branch != active && branches[branch].present?
+
+    current = chat_history.slice!(index..)
+    branches, active = take_chat_branches(current.first)
+    branches[active] = current
+
+    selected = branches[branch]
+    branches[branch] = nil
+    chat_history << selected.first.merge("branches" => branches, "branch" => branch)
+    chat_history.concat(selected.drop(1))
+
+    Rails.logger.debug("[PatentApplication#switch_chat_branch] Switched chat at #{index} to branch #{branch}")
+    true
+  end
+
+  # The problems and solutions the assistant suggested in the active conversation, oldest
+  # first and each text once (where it was suggested last), for the suggestion history of
+  # the AI suggestions panel:
+  # [{ "field" => "problem", "text" => "...", "timestamp" => 1718000000 }, ...]
+  def suggestion_history
+    Array(chat_history).each_with_object([]) do |entry, suggestions|
+      next unless entry.is_a?(Hash) && (entry["role"] || entry[:role]).to_s == "assistant"
+
+      content = entry["content"] || entry[:content]
+      next unless content.is_a?(Hash)
+
+      %w[problem solution].each do |field|
+        text = (content[field] || content[field.to_sym]).to_s.strip
+        next if text.empty?
+
+        suggestions.reject! { |suggestion| suggestion["field"] == field && suggestion["text"] == text }
+        suggestions << { "field" => field, "text" => text, "timestamp" => entry["timestamp"] || entry[:timestamp] }
+      end
+    end
+  end
+
+  # Claims are stored in order and numbered by position, dependent claims point at the
+  # id of the claim they refer to, so moving or deleting claims renumbers them without
+  # rewriting references. The patent form sends the list as a JSON string
+  # (see claims_editor_controller.js).
+  def claims=(value)
+    super(normalize_claims(value))
+  end
+
+  # A tracked field's value as the patent form holds it, claims as a JSON string
+  # Options:
+  #   in_database: the stored value rather than an unsaved one, e.g. for the form's base values
+  def form_value(field, in_database: false)
+    value = in_database ? attribute_in_database(field) : self[field]
+    field.to_s == "claims" ? JSON.generate(value || []) : value.to_s
+  end
+
+  # Claims with their numbers, for display
+  # Returns [{ number:, text:, depends_on: number of the parent claim or nil }]
+  def numbered_claims
+    numbers = (claims || []).each_with_index.to_h { |claim, index| [ claim["id"], index + 1 ] }
+
+    (claims || []).each_with_index.map do |claim, index|
+      { number: index + 1, text: claim["text"], depends_on: numbers[claim["depends_on"]] }
+    end
+  end
+
+  # Whether the last save added a revision, rather than folding an autosave into the latest one
+  # (see #record_revision) or leaving the revisions as they were
+  def revision_added?
+    revisions_before_last_save.to_a.last&.dig("id") != revisions.to_a.last&.dig("id")
+  end
+
+  # The revision with the given id, or nil
+  def find_revision(revision_id)
+    (revisions || []).find { |revision| revision["id"] == revision_id.to_s }
+  end
+
+  # Puts the text a field had in an older revision back and saves it as a new revision
+  # Returns false when the revision or field doesn't exist or the save fails
+  def restore_revision(revision_id, field)
+    revision = find_revision(revision_id)
+    field = field.to_s
+    return false unless revision && EDITABLE_FIELDS.include?(field)
+
+    Rails.logger.debug("[PatentApplication#restore_revision] Restoring #{field} of #{id} from revision #{revision["number"]}")
+    self.revision_source = REVISION_SOURCES[:restore]
+    @restored_from = revision["number"]
+    update(field => revision.dig("fields", field))
+  ensure
+    @restored_from = nil
+  end
+
   # Status management methods
   def draft?
     status == STATUSES[:draft]
@@ -67,8 +252,118 @@ class PatentApplication < ApplicationRecord
     status == STATUSES[:published]
   end
 
+  # Status transitions, called by the mark_complete and publish actions
+  def mark_as_complete
+    update(status: STATUSES[:complete])
+  end
+
+  def publish
+    if valid?
+      update(status: STATUSES[:published])
+    else
+      errors.add(:base, "Cannot publish incomplete application")
+      false
+    end
+  end
+
   private
 
+  # True when the chat history entry at index is a user message
+  def chat_user_message?(index)
+    entry = chat_history[index] if index.between?(0, chat_history.size - 1)
+    entry.is_a?(Hash) && (entry["role"] || entry[:role]).to_s == "user"
+  end
+
+  # Removes the branch list from a user message, returning [branches, active branch position]
+  # Messages that were never edited have a single (active) branch
+  def take_chat_branches(entry)
+    branches = entry.delete("branches") || entry.delete(:branches) || [ nil ]
+    active = entry.delete("branch") || entry.delete(:branch) || 0
+    [ branches, active.to_i ]
+  end
+
+  def editable_fields_changed?
+    EDITABLE_FIELDS.any? { |field| will_save_change_to_attribute?(field) }
+  end
+
+  # Appends a revision with the values about to be saved. Each revision holds all editable
+  # fields, so any two can be compared and a field restored without replaying history.
+  # Records saved before revisions existed get their stored text as a first revision.
+  def record_revision
+    history = (revisions || []).map(&:dup)
+    source = revision_source.presence || REVISION_SOURCES[:edit]
+    changed = EDITABLE_FIELDS.select { |field| will_save_change_to_attribute?(field) }
+
+    if history.empty? && persisted?
+      original = EDITABLE_FIELDS.index_with { |field| attribute_in_database(field) }
+      history << build_revision(1, REVISION_SOURCES[:original], [], original, updated_at_in_database) if original.values.any?(&:present?)
+    end
+
+    last = history.last
+    if source == REVISION_SOURCES[:autosave] && last && last["source"] == source && Time.zone.parse(last["created_at"].to_s)&.after?(AUTOSAVE_REVISION_WINDOW.ago)
+      history[-1] = build_revision(last["number"], source, (last["changed"] | changed), current_editable_values, Time.current, id: last["id"])
+    else
+      history << build_revision((last&.dig("number") || 0) + 1, source, changed, current_editable_values, Time.current)
+    end
+
+    self.revisions = history.last(MAX_REVISIONS)
+    Rails.logger.debug("[PatentApplication#record_revision] Recorded #{source} revision #{revisions.last["number"]} of #{id || "(new)"}: #{changed.join(", ")}")
+  end
+
+  def build_revision(number, source, changed, fields, created_at, id: SecureRandom.hex(4))
+    {
+      "id" => id,
+      "number" => number,
+      "created_at" => created_at&.iso8601,
+      "source" => source,
+      "changed" => changed,
+      "restored_from" => (@restored_from if source == REVISION_SOURCES[:restore]),
+      "fields" => fields
+    }.compact
+  end
+
+  def current_editable_values
+    EDITABLE_FIELDS.index_with { |field| self[field] }
+  end
+
+  # A field's value as conflicts are detected on: text without surrounding whitespace,
+  # claims as their cleaned-up list whether they come stored or as the form's JSON
+  def comparable_value(field, value)
+    field == "claims" ? normalize_claims(value) : value.to_s.strip
+  end
+
+  # Parses and cleans up claims coming from the form
+  # Unparseable input keeps the stored claims
+  def normalize_claims(value)
+    value = JSON.parse(value) if value.is_a?(String)
+
+    Array(value).filter_map do |claim|
+      next unless claim.is_a?(Hash)
+
+      claim = claim.stringify_keys
+      {
+        "id" => claim["id"].presence&.to_s || SecureRandom.hex(4),
+        "text" => claim["text"].to_s,
+        "depends_on" => claim["depends_on"].presence&.to_s
+      }
+    end
+  rescue JSON::ParserError => e
+    Rails.logger.error("[PatentApplication#normalize_claims] Invalid claims for #{id}: #{e.message}")
+    claims
+  end
+
+  # Announces publishing to subscribed browsers, and later changes of a published
+  # application to the browsers watching it
+  def send_push_notifications
+    return unless published?
+
+    if saved_change_to_status?
+      PushNotifier.application_published(self)
+    else
+      PushNotifier.watched_patent_updated(self, saved_changes.slice(*PushNotifier::WATCHED_FIELDS.keys))
+    end
+  end
+
   # Ensures chat_history is properly structured as an array
   def ensure_chat_history_structure
     self.chat_history ||= []
@@ -92,19 +387,6 @@ class PatentApplication < ApplicationRecord
     status.to_s == STATUSES[:complete] || status.to_s == STATUSES[:published]
   end
 
-  def mark_as_complete
-    update(status: STATUSES[:complete])
-  end
-
-  def publish
-    if valid?
-      update(status: STATUSES[:published])
-    else
-      errors.add(:base, "Cannot publish incomplete application")
-      false
-    end
-  end
-
   # Debug logging methods
   def log_initialize
     Rails.logger.debug("[PatentApplication] Initialized: #{attributes.inspect}")
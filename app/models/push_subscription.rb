@@ -0,0 +1,83 @@
+# app/models/push_subscription.rb
+#
+# A browser that allowed Web Push notifications (see WebPushService and
+# push_subscription_controller.js). There are no user accounts, so a subscription
+# stands for one browser; it is saved again whenever the browser renews it.
+#
+# Schema:
+# - endpoint: string - The push service URL notifications are posted to, unique per browser
+# - p256dh_key: string - The browser's public key the payload is encrypted for (base64url)
+# - auth_key: string - The browser's authentication secret (base64url)
+# - topics: jsonb - Which notifications the browser wants, see TOPICS
+# - watched_patent_ids: jsonb - Marketplace patents starred in the browser's watchlist
+# - user_agent: string - Browser that subscribed, to tell subscriptions apart in the logs
+# - last_delivered_at: datetime - When a notification was last accepted by the push service
+# - created_at, updated_at: timestamps
+
+class PushSubscription < ApplicationRecord
+  # Notifications a browser can subscribe to: topic => label
+  TOPICS = {
+    "published" => "An application was published",
+    "ai_reply" => "A long AI reply finished",
+    "watchlist" => "Activity on watched marketplace patents"
+  }.freeze
+
+  # Hosts of the push services browsers hand out endpoints on; a leading dot allows any subdomain
+  # (Chrome and other Chromium browsers, Firefox, Safari, Edge on Windows)
+  PUSH_SERVICE_HOSTS = [
+    "fcm.googleapis.com",
+    "updates.push.services.mozilla.com",
+    ".push.apple.com",
+    ".notify.windows.com"
+  ].freeze
+
+  # The server posts to every endpoint, so only the push services' own are accepted
+  validates :endpoint, presence: true, uniqueness: true
+  validate :endpoint_must_be_push_service
+  validates :p256dh_key, :auth_key, presence: true
+  validate :topics_must_be_known
+
+  attribute :topics, :jsonb, default: -> { TOPICS.keys }
+
+  # Subscriptions that want notifications of a topic
+  scope :subscribed_to, ->(topic) { where("topics @> ?", [ topic.to_s ].to_json) }
+
+  # Subscriptions with the patent in their watchlist
+  scope :watching, ->(patent_application) { where("watched_patent_ids @> ?", [ patent_application.id ].to_json) }
+
+  # Keeps the topics in TOPICS order without duplicates
+  def topics=(values)
+    values = Array(values).map(&:to_s)
+    super(TOPICS.keys.select { |topic| values.include?(topic) } + (values - TOPICS.keys))
+  end
+
+  # The watchlist comes from the browser's storage as strings
+  def watched_patent_ids=(ids)
+    super(Array(ids).map(&:to_i).select(&:positive?).uniq)
+  end
+
+  # Whether a URL is an https endpoint on one of the PUSH_SERVICE_HOSTS
+  def self.push_service_endpoint?(endpoint)
+    uri = URI.parse(endpoint.to_s)
+    return false unless uri.is_a?(URI::HTTPS) && uri.port == URI::HTTPS::DEFAULT_PORT && uri.userinfo.nil?
+
+    host = uri.host.to_s.downcase
+    PUSH_SERVICE_HOSTS.any? { |allowed| allowed.start_with?(".") ? host.end_with?(allowed) : host == allowed }
+  rescue URI::InvalidURIError
+    false
+  end
+
+  private
+
+  def endpoint_must_be_push_service
+    return if endpoint.blank? || self.class.push_service_endpoint?(endpoint)
+
+    Rails.logger.debug("[PushSubscription#endpoint_must_be_push_service] Rejected endpoint on #{endpoint[%r{\A\w+://([^/:?#]*)}, 1].inspect}")
+    errors.add(:endpoint, "must be a URL of a known push service")
+  end
+
+  def topics_must_be_known
+    unknown = topics - TOPICS.keys
+    errors.add(:topics, "include unknown topics: #{unknown.join(', ')}") if unknown.any?
+  end
+end
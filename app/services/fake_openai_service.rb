@@ -0,0 +1,49 @@
+# app/services/fake_openai_service.rb
+# Stand-in for OpenaiService used when FAKE_AI is set (see config/environments).
+# Answers every chat with a canned patent assistant reply in the same ```json
+# format as the real model, streamed in small pieces, so the chat UI and the
+# streaming endpoint can be exercised locally and in tests without an API key.
+
+class FakeOpenaiService
+  # Pause between streamed pieces, in seconds (FAKE_AI_DELAY overrides it)
+  DEFAULT_DELAY = 0.05
+
+  def initialize(delay: ENV.fetch("FAKE_AI_DELAY", DEFAULT_DELAY).to_f)
+    @delay = delay
+    Rails.logger.debug("[FakeOpenaiService] Initialized with delay: #{@delay}")
+  end
+
+  # Same response shape as OpenaiService#chat
+  def chat(messages, **_options)
+    { "choices" => [ { "message" => { "role" => "assistant", "content" => reply_for(messages) } } ] }
+  end
+
+  # Same interface as OpenaiService#chat_stream - yields the reply a few characters at a time
+  def chat_stream(messages, **_options)
+    response = chat(messages)
+
+    response.dig("choices", 0, "message", "content").scan(/\S+\s*|\s+/).each do |piece|
+      sleep(@delay) if @delay.positive?
+      yield piece
+    end
+
+    response
+  end
+
+  private
+
+  # Canned reply that echoes the latest user message
+  def reply_for(messages)
+    last_user = messages.reverse.find { |m| (m[:role] || m["role"]).to_s == "user" }
+    user_text = (last_user && (last_user[:content] || last_user["content"])).to_s.strip
+
+    reply = {
+      problem: "Users struggle with: #{user_text.truncate(120)}",
+      solution: "",
+      title: "System for #{user_text.truncate(40, omission: '')}".strip,
+      message: "Thanks, this is a fake reply for testing.\n\nYou said: \"#{user_text}\". What is the main technical problem you want to solve?"
+    }
+
+    "```json\n#{JSON.pretty_generate(reply)}\n```"
+  end
+end
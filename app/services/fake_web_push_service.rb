@@ -0,0 +1,38 @@
+# app/services/fake_web_push_service.rb
+# Stand-in for WebPushService used when FAKE_PUSH is set (see config/environments).
+# Nothing leaves the app: every notification is logged and kept in .deliveries, so
+# the notification flows can be exercised locally and in tests without VAPID keys
+# or a browser push service.
+
+class FakeWebPushService
+  # Only the most recent deliveries are kept
+  MAX_DELIVERIES = 100
+
+  @deliveries = []
+  @lock = Mutex.new
+
+  class << self
+    # Notifications "sent" so far, as { endpoint:, payload:, urgency:, delivered_at: }
+    def deliveries
+      @lock.synchronize { @deliveries.dup }
+    end
+
+    def clear_deliveries
+      @lock.synchronize { @deliveries.clear }
+    end
+
+    def record(delivery)
+      @lock.synchronize do
+        @deliveries << delivery
+        @deliveries.shift while @deliveries.size > MAX_DELIVERIES
+      end
+    end
+  end
+
+  # Same interface as WebPushService#deliver
+  def deliver(subscription, payload, urgency: "normal", **_options)
+    Rails.logger.info("[FakeWebPushService] Notification for #{subscription.endpoint}: #{payload.to_json}")
+    self.class.record(endpoint: subscription.endpoint, payload: payload.deep_stringify_keys, urgency: urgency, delivered_at: Time.current)
+    true
+  end
+end
@@ -0,0 +1,109 @@
+# app/services/marketplace_search.rb
+# Search, category filter, sort order and pagination of the patent marketplace.
+# Everything comes from the query string, so a search can be bookmarked and shared:
+#   /patent_applications/marketplace?q=beehive+sensor&category=hardware&sort=price_asc&page=2
+#
+# The search box takes web search syntax ("quoted phrases", -excluded, or) and matches
+# word stems in the title, problem and solution using Postgres full-text search.
+#
+# Usage:
+#   search = MarketplaceSearch.new(params.permit(:q, :category, :sort, :page))
+#   search.results      # the published applications on the current page
+#   search.total_count  # matches across all pages
+
+class MarketplaceSearch
+  PER_PAGE = 12
+
+  # Sort orders: parameter value => label
+  SORTS = {
+    "newest" => "Newest First",
+    "oldest" => "Oldest First",
+    "price_asc" => "Price (Low to High)",
+    "price_desc" => "Price (High to Low)",
+    "popular" => "Most Popular"
+  }.freeze
+
+  DEFAULT_SORT = "newest"
+
+  # Searched text - must match the expression of index_patent_applications_on_search_vector
+  SEARCH_VECTOR = "to_tsvector('english', coalesce(title, '') || ' ' || coalesce(problem, '') || ' ' || coalesce(solution, ''))"
+
+  attr_reader :query, :category, :sort
+
+  def initialize(params = {})
+    params = params.to_h.symbolize_keys
+
+    @query = params[:q].to_s.squish.first(200)
+    @category = params[:category].to_s if PatentApplication::CATEGORIES.key?(params[:category].to_s)
+    @sort = SORTS.key?(params[:sort].to_s) ? params[:sort].to_s : DEFAULT_SORT
+    @requested_page = [ params[:page].to_i, 1 ].max
+
+    Rails.logger.debug("[MarketplaceSearch] query: #{@query.inspect}, category: #{@category.inspect}, sort: #{@sort}, page: #{@requested_page}")
+  end
+
+  # Published applications matching the search and category
+  def scope
+    @scope ||= begin
+      scope = PatentApplication.where(status: PatentApplication::STATUSES[:published])
+      scope = scope.where(category: category) if category
+      scope = scope.where("#{SEARCH_VECTOR} @@ websearch_to_tsquery('english', ?)", query) if query.present?
+      scope
+    end
+  end
+
+  # The matches on the current page, in the chosen order
+  def results
+    @results ||= scope.order(order_clause).limit(PER_PAGE).offset((page - 1) * PER_PAGE).to_a
+  end
+
+  def total_count
+    @total_count ||= scope.count
+  end
+
+  def total_pages
+    [ (total_count.to_f / PER_PAGE).ceil, 1 ].max
+  end
+
+  # The requested page, at most the last page
+  def page
+    [ @requested_page, total_pages ].min
+  end
+
+  # True when a search or category narrows the listing
+  def filtered?
+    query.present? || category.present?
+  end
+
+  # Words of the search to highlight in the results (excluded words and operators left out)
+  def terms
+    query.split(/\s+/)
+         .reject { |word| word.start_with?("-") || word.casecmp?("or") }
+         .map { |word| word.gsub(/\A[^\p{L}\p{N}]+|[^\p{L}\p{N}]+\z/, "") }
+         .reject(&:blank?)
+         .uniq(&:downcase)
+  end
+
+  # Query string of this search with some parameters changed, leaving out defaults
+  # e.g. to_params(page: 3) for a pagination link, to_params(category: nil) to clear the category
+  def to_params(changes = {})
+    {
+      q: query.presence,
+      category: category,
+      sort: (sort unless sort == DEFAULT_SORT),
+      page: (page if page > 1)
+    }.merge(changes).compact
+  end
+
+  private
+
+  # Ties are broken by id so pages never overlap
+  def order_clause
+    case sort
+    when "oldest" then { updated_at: :asc, id: :asc }
+    when "price_asc" then Arel.sql("asking_price ASC NULLS LAST, updated_at DESC, id DESC")
+    when "price_desc" then Arel.sql("asking_price DESC NULLS LAST, updated_at DESC, id DESC")
+    when "popular" then { views_count: :desc, updated_at: :desc, id: :desc }
+    else { updated_at: :desc, id: :desc }
+    end
+  end
+end
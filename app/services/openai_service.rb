@@ -28,6 +28,32 @@ class OpenaiService
     raise
   end
 
+  # Streaming chat completion
+  # Yields each piece of content as it arrives and returns a response shaped like #chat
+  # so callers can treat both the same once the stream is done
+  def chat_stream(messages, **options)
+    Rails.logger.debug("[OpenaiService] Sending streaming chat request: #{messages.inspect}, opts: #{options.inspect}")
+    content = +""
+
+    @client.chat(parameters: {
+      model: @model,
+      messages: messages,
+      stream: proc do |chunk, _bytesize|
+        delta = chunk.dig("choices", 0, "delta", "content")
+        next if delta.nil? || delta.empty?
+
+        content << delta
+        yield delta
+      end
+    }.merge(options))
+
+    Rails.logger.debug("[OpenaiService] Streamed response: #{content.inspect}")
+    { "choices" => [ { "message" => { "role" => "assistant", "content" => content } } ] }
+  rescue => e
+    Rails.logger.error("[OpenaiService] Streaming error: #{e.class}: #{e.message}")
+    raise
+  end
+
   private
 
   def fetch_api_key
@@ -16,8 +16,9 @@ class PatentService
   #   current_solution: String (current canonical solution, or nil)
   #   update_problem: Boolean (explicit user request to update problem)
   #   update_solution: Boolean (explicit user request to update solution)
+  #   &on_token: optional block - when given the reply is streamed and each raw piece of it is yielded as it arrives
   # Returns: Hash with :problem, :solution, :messages, :ai_message, :raw_response, :ai_suggested_problem, :ai_suggested_solution
-  def self.guide_problem_solution(messages:, user_input:, current_problem: nil, current_solution: nil, update_problem: false, update_solution: false)
+  def self.guide_problem_solution(messages:, user_input:, current_problem: nil, current_solution: nil, update_problem: false, update_solution: false, &on_token)
     Rails.logger.debug("[PatentService] Received user_input: #{user_input.inspect}")
     messages ||= []
 
@@ -61,7 +62,11 @@ class PatentService
     end
 
     # Send to OpenAI
-    response = OpenaiService.new.chat(standardized_messages, temperature: 0.6, max_tokens: 500)
+    response = if on_token
+      ai_client.chat_stream(standardized_messages, temperature: 0.6, max_tokens: 500, &on_token)
+    else
+      ai_client.chat(standardized_messages, temperature: 0.6, max_tokens: 500)
+    end
     Rails.logger.debug("[PatentService] OpenAI response: #{response.inspect}")
     ai_message = response.dig("choices", 0, "message", "content")
     messages << { role: "assistant", content: ai_message }
@@ -93,6 +98,63 @@ class PatentService
     }
   end
 
+  # Asks the AI for candidate titles for an application
+  # Params:
+  #   problem: String (the problem statement, required)
+  #   solution: String (optional)
+  #   count: Integer (number of titles to ask for)
+  # Returns: Array of distinct title strings, empty when the AI gave nothing usable
+  def self.suggest_titles(problem:, solution: nil, count: 5)
+    Rails.logger.debug("[PatentService] Suggesting #{count} titles for problem: #{problem.to_s.truncate(80)}")
+    return [] if problem.blank?
+
+    statements = [ "Problem:\n#{problem}" ]
+    statements << "Solution:\n#{solution}" if solution.present?
+    messages = [
+      { role: "system", content: title_prompt(count) },
+      { role: "user", content: statements.join("\n\n") }
+    ]
+
+    response = ai_client.chat(messages, temperature: 0.7, max_tokens: 300)
+    titles = parse_titles(response.dig("choices", 0, "message", "content")).first(count)
+    Rails.logger.debug("[PatentService] Suggested titles: #{titles.inspect}")
+    titles
+  end
+
+  # Prompt asking for titles only, as a JSON object
+  def self.title_prompt(count)
+    <<~PROMPT.strip
+      You are a patent expert. Suggest #{count} alternative titles for the patent application described by the user.
+      - Each title is concise (under 15 words), specific and descriptive of the invention
+      - Use the style of patent titles, e.g. "System and Method for Remote Beehive Monitoring"
+      - Do not start with filler such as "A way to" or "The problem of"
+      - Use title case and no quotes or trailing punctuation
+      Respond with a JSON object only: {"titles": ["...", "..."]}
+    PROMPT
+  end
+
+  # Titles from an AI reply - a JSON object or array (optionally in a code block), or one title per line
+  def self.parse_titles(content)
+    text = content.to_s.strip.sub(/\A```(?:json)?\s*/, "").sub(/\s*```\z/, "")
+
+    list = begin
+      parsed = JSON.parse(text)
+      parsed.is_a?(Hash) ? Array(parsed["titles"] || parsed["title"]) : Array(parsed)
+    rescue JSON::ParserError
+      text.lines.map { |line| line.sub(/\A\s*(?:[-*•]|\d+[.)])\s*/, "") }
+    end
+
+    list.grep(String)
+        .map { |title| title.squish.delete_prefix('"').delete_suffix('"').sub(/[.;:]\z/, "").truncate(100, separator: " ", omission: "") }
+        .reject(&:blank?)
+        .uniq { |title| title.downcase }
+  end
+
+  # The chat client - a canned stand-in when FAKE_AI is set (development and test only)
+  def self.ai_client
+    Rails.configuration.x.fake_ai ? FakeOpenaiService.new : OpenaiService.new
+  end
+
   # System prompt for the AI
   def self.system_prompt
     <<~PROMPT.strip
@@ -0,0 +1,87 @@
+# app/services/publish_checklist.rb
+# The checks a patent application has to pass before it is marked complete or published.
+# They are shown step by step in the pre-publish checklist (_publish_checklist.html.slim)
+# and enforced again by PatentApplicationsController#mark_complete and #publish.
+# The patent form's drafting checks (lib/drafting_lint.js) take MIN_WORDS from here too.
+#
+# - title: set, and not a temporary placeholder such as "[Temporary Title ...]" or "Untitled"
+# - problem and solution: enough substance for a buyer to follow, counted in words
+#
+# Unsaved form changes and pending AI suggestions only exist in the browser, so
+# publish_checklist_controller.js checks those itself.
+#
+# Usage:
+#   checklist = PublishChecklist.new(patent_application)
+#   checklist.passed?   # true when every check passes
+#   checklist.failures  # the messages of the failing checks
+
+class PublishChecklist
+  # Titles that only hold the place of a real one
+  PLACEHOLDER_TITLES = [
+    /\A\[temporary title/i,
+    /\Auntitled\b/i,
+    /\Anew (patent )?application\z/i,
+    /\A(tbd|todo|test|title|draft)\z/i
+  ].freeze
+
+  # Fewest words for a problem or solution a buyer can follow
+  MIN_WORDS = { "problem" => 15, "solution" => 25 }.freeze
+
+  Check = Data.define(:key, :label, :passed, :message) do
+    def passed? = passed
+  end
+
+  attr_reader :patent_application
+
+  def initialize(patent_application)
+    @patent_application = patent_application
+  end
+
+  # Every check, in the order the checklist shows them
+  def checks
+    @checks ||= [ title_check, *MIN_WORDS.keys.map { |field| substance_check(field) } ]
+  end
+
+  def passed?
+    checks.all?(&:passed?)
+  end
+
+  def failures
+    checks.reject(&:passed?).map(&:message)
+  end
+
+  # True for blank titles and temporary ones
+  def self.placeholder_title?(title)
+    title.to_s.strip.empty? || PLACEHOLDER_TITLES.any? { |pattern| pattern.match?(title.to_s.strip) }
+  end
+
+  private
+
+  def title_check
+    title = patent_application.title.to_s.strip
+    passed = !self.class.placeholder_title?(title)
+    message = if passed
+      "The title is \"#{title}\"."
+    elsif title.empty?
+      "Add a title that names the invention."
+    else
+      "Replace the temporary title \"#{title}\" with one that names the invention."
+    end
+
+    Check.new(key: "title", label: "Title", passed: passed, message: message)
+  end
+
+  def substance_check(field)
+    words = patent_application.public_send(field).to_s.scan(/[[:alnum:]][[:alnum:]'-]*/).size
+    minimum = MIN_WORDS.fetch(field)
+    passed = words >= minimum
+    message = if passed
+      "The #{field} has #{words} words."
+    else
+      "Describe the #{field} in at least #{minimum} words (it has #{words})."
+    end
+
+    Rails.logger.debug("[PublishChecklist#substance_check] #{field}: #{words} words, minimum #{minimum}")
+    Check.new(key: field, label: field.capitalize, passed: passed, message: message)
+  end
+end
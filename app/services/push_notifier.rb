@@ -0,0 +1,107 @@
+# app/services/push_notifier.rb
+# Builds the Web Push notifications the app sends and queues one PushNotificationJob
+# per subscription. The payload is what the service worker shows:
+#   { title:, options: { body:, tag:, icon:, data: { path: } } }
+# where path is the application page the service worker focuses or opens on click.
+#
+# There are no user accounts yet, so notifications about "your" applications go to
+# every browser subscribed to the topic; watchlist activity only to the browsers
+# that starred the patent.
+
+class PushNotifier
+  ICON_PATH = "/icon.png".freeze
+
+  # Chat replies that take at least this long are worth a notification - the user has
+  # probably switched to another tab or app by then
+  LONG_REPLY_SECONDS = 20
+
+  # Fields whose changes on a published application are reported to its watchers
+  WATCHED_FIELDS = {
+    "asking_price" => "asking price",
+    "category" => "category",
+    "title" => "title",
+    "problem" => "problem",
+    "solution" => "solution"
+  }.freeze
+
+  # "Your application was published"
+  def self.application_published(patent_application)
+    notify(
+      PushSubscription.subscribed_to(:published),
+      title: "Application published",
+      body: "\"#{patent_application.title}\" is now listed in the marketplace.",
+      tag: "published-#{patent_application.id}",
+      path: patent_application_path(patent_application)
+    )
+  end
+
+  # A chat reply finished after the user had been waiting for a while
+  def self.ai_reply_finished(patent_application, reply_text)
+    notify(
+      PushSubscription.subscribed_to(:ai_reply),
+      title: "AI reply ready: #{patent_application.title.presence || "Untitled application"}",
+      body: reply_text.to_s.squish.truncate(140),
+      tag: "ai-reply-#{patent_application.id}",
+      path: patent_application_path(patent_application)
+    )
+  end
+
+  # A watched marketplace patent changed its listing or text
+  # changes are the saved changes of the application, e.g. { "asking_price" => [ 900, 750 ] }
+  def self.watched_patent_updated(patent_application, changes)
+    labels = WATCHED_FIELDS.slice(*changes.keys).values
+    return if labels.empty?
+
+    body = if changes.key?("asking_price") && changes["asking_price"].last
+      "Asking price is now #{ActiveSupport::NumberHelper.number_to_currency(changes["asking_price"].last, precision: 0)}."
+    else
+      "The #{labels.to_sentence} changed."
+    end
+
+    notify(
+      PushSubscription.subscribed_to(:watchlist).watching(patent_application),
+      title: "Watched patent updated: #{patent_application.title}",
+      body: body,
+      tag: "watchlist-#{patent_application.id}",
+      path: patent_application_path(patent_application),
+      urgency: "low"
+    )
+  end
+
+  # A notification to check that a browser's subscription works
+  def self.test_notification(subscription)
+    notify(
+      PushSubscription.where(id: subscription.id),
+      title: "Notifications are on",
+      body: "This browser will be notified about your applications and watched patents.",
+      tag: "test",
+      path: "/"
+    )
+  end
+
+  # Queues the notification for each subscription and returns how many were queued
+  def self.notify(subscriptions, title:, body:, tag:, path:, urgency: "normal")
+    payload = {
+      title: title,
+      options: { body: body, tag: tag, icon: ICON_PATH, data: { path: path } }
+    }
+
+    count = 0
+    subscriptions.find_each do |subscription|
+      PushNotificationJob.perform_later(subscription, payload, urgency: urgency)
+      count += 1
+    end
+    Rails.logger.debug("[PushNotifier.notify] Queued \"#{title}\" for #{count} subscription(s)")
+    count
+  end
+
+  # The push client - a recording stand-in when FAKE_PUSH is set (development and test only)
+  def self.push_client
+    Rails.configuration.x.fake_push ? FakeWebPushService.new : WebPushService.new
+  end
+
+  def self.patent_application_path(patent_application)
+    Rails.application.routes.url_helpers.patent_application_path(patent_application)
+  end
+  private_class_method :patent_application_path
+end
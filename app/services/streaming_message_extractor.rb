@@ -0,0 +1,126 @@
+# app/services/streaming_message_extractor.rb
+# Pulls the conversational "message" out of an AI reply while it is being streamed.
+# The assistant answers with a JSON object in a ```json code block (see
+# PatentService.system_prompt), so the raw stream is not fit to show the user.
+# This decodes just the "message" string value as its characters arrive.
+# Replies that do not start with JSON are passed through as plain text.
+#
+# Usage:
+#   extractor = StreamingMessageExtractor.new
+#   service.chat_stream(messages) { |chunk| text = extractor.push(chunk) }
+
+class StreamingMessageExtractor
+  # Start of the message value; older prompts used "chat" for the same field
+  FIELD_PATTERN = /"(?:message|chat)"\s*:\s*"/
+
+  JSON_ESCAPES = {
+    '"' => '"', "\\" => "\\", "/" => "/",
+    "b" => "\b", "f" => "\f", "n" => "\n", "r" => "\r", "t" => "\t"
+  }.freeze
+
+  def initialize
+    @buffer = +""
+    @mode = nil
+    @position = nil
+    @finished = false
+  end
+
+  # Adds the next piece of the raw reply and returns the message text it completed
+  # (an empty string while waiting for more input)
+  def push(chunk)
+    @buffer << chunk.to_s
+    detect_mode if @mode.nil?
+
+    case @mode
+    when :plain then take_plain
+    when :json then take_json
+    else ""
+    end
+  end
+
+  # True once the closing quote of the message value has been seen
+  def finished?
+    @finished
+  end
+
+  private
+
+  # Decide from the first non-blank character whether the reply is JSON
+  def detect_mode
+    first = @buffer.lstrip[0]
+    return if first.nil?
+
+    @mode = [ "`", "{" ].include?(first) ? :json : :plain
+    Rails.logger.debug("[StreamingMessageExtractor] Detected #{@mode} reply")
+  end
+
+  def take_plain
+    text = @buffer.dup
+    @buffer.clear
+    text
+  end
+
+  # Decode as much of the message value as the buffer holds
+  def take_json
+    return "" if @finished
+
+    if @position.nil?
+      match = FIELD_PATTERN.match(@buffer)
+      return "" unless match
+
+      @position = match.end(0)
+    end
+
+    decoded = +""
+    while @position < @buffer.length
+      char = @buffer[@position]
+
+      if char == '"'
+        @finished = true
+        break
+      elsif char == "\\"
+        text, length = decode_escape(@position)
+        break if text.nil? # escape sequence split across chunks
+
+        decoded << text
+        @position += length
+      else
+        decoded << char
+        @position += 1
+      end
+    end
+
+    decoded
+  end
+
+  # Decode the escape sequence starting at index
+  # Returns [text, consumed length], or nil when the sequence is not complete yet
+  def decode_escape(index)
+    code = @buffer[index + 1]
+    return nil if code.nil?
+    return [ JSON_ESCAPES.fetch(code, code), 2 ] unless code == "u"
+
+    codepoint = unicode_escape(index)
+    return nil if codepoint.nil?
+
+    # Characters outside the BMP arrive as a surrogate pair of \u escapes
+    if codepoint.between?(0xD800, 0xDBFF)
+      low = unicode_escape(index + 6)
+      return nil if low.nil?
+
+      return [ (0x10000 + ((codepoint - 0xD800) << 10) + (low - 0xDC00)).chr(Encoding::UTF_8), 12 ]
+    end
+
+    [ codepoint.chr(Encoding::UTF_8), 6 ]
+  rescue RangeError
+    [ "", 6 ]
+  end
+
+  # Code point of the \uXXXX escape at index, nil until all four digits are buffered
+  def unicode_escape(index)
+    hex = @buffer[index + 2, 4]
+    return nil if hex.nil? || hex.length < 4
+
+    hex.to_i(16)
+  end
+end
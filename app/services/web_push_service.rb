@@ -0,0 +1,166 @@
+# app/services/web_push_service.rb
+# Sends Web Push notifications to browsers through their push service (RFC 8030).
+# The payload is encrypted for the subscription (RFC 8291, aes128gcm) and the server
+# identifies itself with VAPID (RFC 8292), using only OpenSSL and Net::HTTP.
+# Loads the VAPID keys from Rails credentials (web_push.public_key / web_push.private_key)
+# or VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY. Generate a pair with:
+#   bin/rails runner 'puts WebPushService.generate_vapid_keys.to_json'
+
+require "net/http"
+require "openssl"
+
+class WebPushService
+  # Raised when the push service no longer knows the subscription - it should be deleted
+  class ExpiredSubscription < StandardError; end
+
+  # Raised when the push service rejects or fails a notification for any other reason
+  class DeliveryError < StandardError; end
+
+  CURVE = "prime256v1".freeze
+
+  # The whole notification is sent as one encrypted record of at most this size
+  RECORD_SIZE = 4096
+
+  # Push services accept 4096 bytes of encrypted body: the 86 byte header, the
+  # 16 byte authentication tag and the padding delimiter leave this for the JSON
+  MAX_PAYLOAD_BYTES = RECORD_SIZE - 86 - 16 - 1
+
+  # How long the push service keeps a notification for an offline browser, in seconds
+  DEFAULT_TTL = 24.hours.to_i
+
+  # VAPID tokens may be valid for 24 hours at most; stay well under that
+  TOKEN_LIFETIME = 12.hours
+
+  def initialize(public_key: self.class.vapid_public_key, private_key: self.class.vapid_private_key, subject: self.class.vapid_subject)
+    unless public_key && private_key
+      Rails.logger.error("[WebPushService] VAPID keys missing! Set credentials or ENV.")
+      raise "VAPID keys missing!"
+    end
+
+    @public_key = public_key
+    @signing_key = self.class.signing_key(public_key, private_key)
+    @subject = subject
+    Rails.logger.debug("[WebPushService] Initialized with subject: #{@subject.inspect}")
+  end
+
+  # Posts a notification payload (a Hash, sent as JSON) to the subscription's endpoint
+  # Urgency is one of very-low, low, normal and high
+  def deliver(subscription, payload, ttl: DEFAULT_TTL, urgency: "normal")
+    uri = URI(subscription.endpoint)
+    Rails.logger.debug("[WebPushService] Delivering to #{uri.host}: #{payload.inspect}")
+
+    request = Net::HTTP::Post.new(uri)
+    request["Content-Type"] = "application/octet-stream"
+    request["Content-Encoding"] = "aes128gcm"
+    request["TTL"] = ttl.to_s
+    request["Urgency"] = urgency
+    request["Authorization"] = vapid_authorization(uri)
+    request.body = encrypt(payload.to_json, subscription.p256dh_key, subscription.auth_key)
+
+    response = Net::HTTP.start(uri.host, uri.port, use_ssl: uri.scheme == "https", open_timeout: 5, read_timeout: 10) do |http|
+      http.request(request)
+    end
+    Rails.logger.debug("[WebPushService] Push service answered #{response.code}")
+
+    case response
+    when Net::HTTPSuccess
+      true
+    when Net::HTTPNotFound, Net::HTTPGone
+      raise ExpiredSubscription, "Subscription expired (#{response.code})"
+    else
+      raise DeliveryError, "Push service answered #{response.code}: #{response.body.to_s.truncate(200)}"
+    end
+  rescue Net::OpenTimeout, Net::ReadTimeout, SocketError, SystemCallError, OpenSSL::SSL::SSLError => e
+    Rails.logger.error("[WebPushService] Error: #{e.class}: #{e.message}")
+    raise DeliveryError, "#{e.class}: #{e.message}"
+  end
+
+  # Encrypts a payload for the browser's keys (RFC 8291) as a single aes128gcm record (RFC 8188)
+  def encrypt(payload, p256dh_key, auth_key)
+    payload = payload.b
+    raise ArgumentError, "Payload too large for a push message (#{payload.bytesize} bytes)" if payload.bytesize > MAX_PAYLOAD_BYTES
+
+    browser_public = self.class.decode64(p256dh_key)
+    auth_secret = self.class.decode64(auth_key)
+
+    # A new key pair per message; its public key goes into the record header
+    server_key = OpenSSL::PKey::EC.generate(CURVE)
+    server_public = server_key.public_key.to_octet_string(:uncompressed)
+    shared_secret = server_key.dh_compute_key(OpenSSL::PKey::EC::Point.new(server_key.group, browser_public))
+
+    input_key = hkdf(shared_secret, salt: auth_secret, info: "WebPush: info\0".b + browser_public + server_public, length: 32)
+    salt = OpenSSL::Random.random_bytes(16)
+    content_key = hkdf(input_key, salt: salt, info: "Content-Encoding: aes128gcm\0".b, length: 16)
+    nonce = hkdf(input_key, salt: salt, info: "Content-Encoding: nonce\0".b, length: 12)
+
+    cipher = OpenSSL::Cipher.new("aes-128-gcm").encrypt
+    cipher.key = content_key
+    cipher.iv = nonce
+    # "\x02" marks the last (and only) record, without padding
+    ciphertext = cipher.update(payload + "\x02".b) + cipher.final + cipher.auth_tag
+
+    salt + [ RECORD_SIZE, server_public.bytesize ].pack("NC") + server_public + ciphertext
+  end
+
+  # Authorization header with a signed VAPID token for the push service's origin
+  def vapid_authorization(uri)
+    origin = "#{uri.scheme}://#{uri.host}#{":#{uri.port}" unless uri.port == uri.default_port}"
+    claims = { aud: origin, exp: TOKEN_LIFETIME.from_now.to_i, sub: @subject }.compact
+    signing_input = [ { typ: "JWT", alg: "ES256" }, claims ].map { |part| self.class.encode64(part.to_json) }.join(".")
+
+    # JWTs carry the raw r and s values, OpenSSL signs in DER
+    der = @signing_key.sign("SHA256", signing_input)
+    signature = OpenSSL::ASN1.decode(der).value.map { |number| number.value.to_s(2).rjust(32, "\0".b) }.join
+
+    "vapid t=#{signing_input}.#{self.class.encode64(signature)}, k=#{@public_key}"
+  end
+
+  # The public key browsers subscribe with, nil when push is not set up
+  def self.vapid_public_key
+    Rails.application.credentials.dig(:web_push, :public_key) || ENV["VAPID_PUBLIC_KEY"]
+  end
+
+  def self.vapid_private_key
+    Rails.application.credentials.dig(:web_push, :private_key) || ENV["VAPID_PRIVATE_KEY"]
+  end
+
+  # Contact for the push service operators, a mailto: or https: URL (optional)
+  def self.vapid_subject
+    Rails.application.credentials.dig(:web_push, :subject) || ENV["VAPID_SUBJECT"]
+  end
+
+  # A new VAPID key pair, base64url encoded as browsers and the credentials expect them
+  def self.generate_vapid_keys
+    key = OpenSSL::PKey::EC.generate(CURVE)
+    {
+      public_key: encode64(key.public_key.to_octet_string(:uncompressed)),
+      private_key: encode64(key.private_key.to_s(2).rjust(32, "\0".b))
+    }
+  end
+
+  # EC key from the raw base64url keys (OpenSSL 3 keys can't be assembled in place)
+  def self.signing_key(public_key, private_key)
+    der = OpenSSL::ASN1::Sequence([
+      OpenSSL::ASN1::Integer(1),
+      OpenSSL::ASN1::OctetString(decode64(private_key)),
+      OpenSSL::ASN1::ObjectId(CURVE, 0, :EXPLICIT),
+      OpenSSL::ASN1::BitString(decode64(public_key), 1, :EXPLICIT)
+    ]).to_der
+    OpenSSL::PKey::EC.new(der)
+  end
+
+  def self.encode64(bytes)
+    Base64.urlsafe_encode64(bytes, padding: false)
+  end
+
+  # Browsers send base64url, with or without padding
+  def self.decode64(text)
+    Base64.urlsafe_decode64(text.to_s.delete("="))
+  end
+
+  private
+
+  def hkdf(input, salt:, info:, length:)
+    OpenSSL::KDF.hkdf(input, salt: salt, info: info, length: length, hash: "SHA256")
+  end
+end
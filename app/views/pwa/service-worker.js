@@ -1,26 +1,373 @@
-// Add a service worker for processing Web Push notifications:
+// app/views/pwa/service-worker.js
 //
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
+// Service worker for Rightstree
 //
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
-//
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// This worker provides:
+// - Replay of patent form drafts that were saved locally while offline
+//   (see app/javascript/lib/draft_store.js) once the browser is back online
+// - Notifications to open pages when a draft has been synced or rejected
+// - Web Push notifications, focusing or opening the application page they are about
+// - Offline reading: the app shell (scripts, styles, fonts) and the last seen copies of
+//   the home page, the application list and recently viewed applications, with a
+//   fallback page listing what can be read when a page isn't saved
+
+// Keep these in sync with app/javascript/lib/draft_store.js
+const DB_NAME = "rightstree"
+const DB_VERSION = 1
+const DRAFTS_STORE = "drafts"
+const DRAFT_SYNC_TAG = "patent-drafts"
+
+// Bump to drop every cached asset and page, e.g. when the page markup changes incompatibly
+const CACHE_VERSION = "v1"
+const ASSETS_CACHE = `rightstree-assets-${CACHE_VERSION}`
+const PAGES_CACHE = `rightstree-pages-${CACHE_VERSION}`
+
+// Pages saved when the worker installs, so they can be read offline without a visit
+const SHELL_PAGES = ["/", "/patent_applications"]
+
+// Pages saved for offline reading whenever they are loaded
+const CACHEABLE_PAGES = [/^\/$/, /^\/patent_applications$/, /^\/patent_applications\/\d+$/]
+const APPLICATION_PAGE = /^\/patent_applications\/\d+$/
+
+// Recently viewed applications kept, the least recently viewed are dropped first
+const MAX_CACHED_APPLICATIONS = 30
+
+// Hosts of the stylesheets, scripts and fonts the layout loads, all at versioned URLs
+const STATIC_HOSTS = ["cdn.jsdelivr.net", "fonts.googleapis.com", "fonts.gstatic.com"]
+
+self.addEventListener("install", (event) => {
+  self.skipWaiting()
+  // Installing while offline is fine, the pages are saved on the next visit instead
+  event.waitUntil(Promise.all(SHELL_PAGES.map(path => savePage(path).catch(() => {}))))
+})
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(deleteOldCaches().then(() => self.clients.claim()))
+})
+
+// Serve assets from the cache, and pages from the network with the saved copy as fallback
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  if (request.method !== "GET") return
+
+  const url = new URL(request.url)
+  if (isStaticAsset(url)) {
+    event.respondWith(cacheFirst(request))
+  } else if (url.origin === self.location.origin && isPageRequest(request)) {
+    event.respondWith(networkFirstPage(event, url))
+  }
+})
+
+// Pages send the assets they loaded before this worker controlled them (see application.js)
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "cache-shell") {
+    event.waitUntil(cacheShell(event.data.assets || [], event.data.page))
+  }
+})
+
+// Replay local drafts when the browser regains connectivity
+self.addEventListener("sync", (event) => {
+  if (event.tag === DRAFT_SYNC_TAG) {
+    event.waitUntil(replayDrafts())
+  }
+})
+
+// Remove the caches of earlier versions
+async function deleteOldCaches() {
+  const names = await caches.keys()
+  const current = [ASSETS_CACHE, PAGES_CACHE]
+  await Promise.all(names.filter(name => name.startsWith("rightstree-") && !current.includes(name)).map(name => caches.delete(name)))
+}
+
+// Digested app assets, the icons and the layout's third-party styles and fonts
+function isStaticAsset(url) {
+  if (url.origin === self.location.origin) {
+    return url.pathname.startsWith("/assets/") || url.pathname.startsWith("/icon.")
+  }
+  return STATIC_HOSTS.includes(url.hostname)
+}
+
+// Full page loads and Turbo Drive visits, but not Turbo Frame or Turbo Stream requests
+function isPageRequest(request) {
+  if (request.mode === "navigate") return true
+
+  const accept = request.headers.get("Accept") || ""
+  return accept.includes("text/html") && !accept.includes("turbo-stream") && !request.headers.has("Turbo-Frame")
+}
+
+function isCacheablePage(url) {
+  return !url.search && CACHEABLE_PAGES.some(pattern => pattern.test(url.pathname))
+}
+
+// Asset URLs change with their content, so a cached copy never goes stale
+async function cacheFirst(request) {
+  const cache = await caches.open(ASSETS_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+// Always try the network first, so online users never see an old page
+async function networkFirstPage(event, url) {
+  try {
+    const response = await fetch(event.request)
+    if (isCacheablePage(url) && response.ok && !response.redirected) {
+      event.waitUntil(storePage(url.pathname, response.clone()))
+    }
+    return response
+  } catch (error) {
+    const cache = await caches.open(PAGES_CACHE)
+    const saved = isCacheablePage(url) && await cache.match(url.pathname)
+    console.debug("[ServiceWorker] Offline,", saved ? "serving saved copy of" : "no saved copy of", url.pathname)
+    return saved || offlinePage()
+  }
+}
+
+// Fetch a page and save it
+// Marked as a prefetch like Turbo's, so the server doesn't count it as a view
+async function savePage(path) {
+  const response = await fetch(path, { credentials: "same-origin", headers: { "X-Sec-Purpose": "prefetch" } })
+  if (response.ok && !response.redirected) await storePage(path, response)
+}
+
+// Save a page with the time it was saved, which the page shows when it is served
+// from the cache (see offline_status_controller.js)
+async function storePage(path, response) {
+  const savedAt = new Date().toISOString()
+  const html = (await response.text()).replace(/<\/head>/i, `<meta name="offline-saved-at" content="${savedAt}">\n</head>`)
+  const title = decodeEntities(html.match(/<title>([^<]*)<\/title>/i)?.[1]?.trim() || path)
+
+  const cache = await caches.open(PAGES_CACHE)
+  // Deleting first moves the page to the end, so the keys stay in order of last view
+  await cache.delete(path)
+  await cache.put(path, new Response(html, {
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "X-Saved-At": savedAt,
+      "X-Page-Title": encodeURIComponent(title)
+    }
+  }))
+  await trimApplications(cache)
+  console.debug("[ServiceWorker] Saved page for offline reading:", path)
+}
+
+// Keep only the most recently viewed applications
+async function trimApplications(cache) {
+  const applications = (await cache.keys()).filter(request => APPLICATION_PAGE.test(new URL(request.url).pathname))
+  const excess = applications.slice(0, Math.max(0, applications.length - MAX_CACHED_APPLICATIONS))
+  await Promise.all(excess.map(request => cache.delete(request)))
+}
+
+// Cache what a page loaded before this worker controlled it, and the page itself
+async function cacheShell(assets, page) {
+  const cache = await caches.open(ASSETS_CACHE)
+  const urls = assets.filter(url => isStaticAsset(new URL(url)))
+
+  // A new deploy changes the digests - drop the older versions of the same files
+  const current = new Set(urls)
+  const names = new Set(urls.map(assetName))
+  const outdated = (await cache.keys()).filter(request => !current.has(request.url) && names.has(assetName(request.url)))
+  await Promise.all(outdated.map(request => cache.delete(request)))
+
+  await Promise.all(urls.map(async url => {
+    if (!(await cache.match(url))) await cache.add(url).catch(() => {})
+  }))
+
+  if (page && isCacheablePage(new URL(page, self.location.origin))) {
+    const pages = await caches.open(PAGES_CACHE)
+    if (!(await pages.match(page))) await savePage(page).catch(() => {})
+  }
+}
+
+// An asset URL without its digest, e.g. /assets/application.css for /assets/application-1f2e3d4c.css
+function assetName(url) {
+  return url.replace(/-[0-9a-f]{7,}(?=\.[^./]+$)/, "")
+}
+
+// Shown for pages that aren't saved: lists the pages that can be read offline
+async function offlinePage() {
+  const cache = await caches.open(PAGES_CACHE)
+  const responses = await Promise.all((await cache.keys()).map(async request => [request, await cache.match(request)]))
+  const items = responses.reverse().map(([request, response]) => {
+    const savedAt = new Date(response.headers.get("X-Saved-At"))
+    return `<li class="list-group-item d-flex justify-content-between gap-3">
+      <a href="${escapeHTML(new URL(request.url).pathname)}">${escapeHTML(decodeURIComponent(response.headers.get("X-Page-Title") || ""))}</a>
+      <small class="text-muted text-nowrap">saved ${escapeHTML(savedAt.toLocaleString())}</small>
+    </li>`
+  })
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <title>Offline | Rightstree</title>
+    <style>body { font-family: system-ui, sans-serif; max-width: 40rem; margin: 3rem auto; padding: 0 1rem; } li { margin: 0.5rem 0; }</style>
+  </head>
+  <body>
+    <main class="container py-4">
+      <h1 class="h3">You're offline</h1>
+      <p class="text-muted">This page wasn't saved for offline reading. ${items.length ? "These pages were:" : "Pages you open while online are saved here for later."}</p>
+      <ul class="list-group">${items.join("")}</ul>
+    </main>
+  </body>
+</html>`
+
+  return new Response(html, { status: 503, headers: { "Content-Type": "text/html; charset=utf-8" } })
+}
+
+// Page titles come from the HTML, with entities
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+}
+
+// Escape text for use in HTML content and attributes
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// Open the drafts database (created by the page on first use)
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: "id" })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Run a single request against the drafts store and resolve with its result
+async function withDraftsStore(mode, callback) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DRAFTS_STORE, mode)
+    const request = callback(transaction.objectStore(DRAFTS_STORE))
+
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  })
+}
+
+// Tell every open page about a draft's sync result
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({ type: "window" })
+  clientList.forEach(client => client.postMessage(message))
+}
+
+// Send every pending draft to the server, oldest first
+async function replayDrafts() {
+  const drafts = await withDraftsStore("readonly", store => store.getAll())
+  console.debug("[ServiceWorker] Replaying drafts:", drafts.length)
+  if (drafts.length === 0) return
+
+  const token = await currentCsrfToken()
+  drafts.sort((a, b) => a.savedAt - b.savedAt)
+  for (const draft of drafts) {
+    await replayDraft(draft, token)
+  }
+}
+
+// The session's CSRF token, read from the meta tag of a fresh page: drafts don't store one,
+// as it would sit on the device and go stale when the session changes
+async function currentCsrfToken() {
+  const response = await fetch("/", { credentials: "same-origin", headers: { "Accept": "text/html" } })
+  const match = (await response.text()).match(/<meta name="csrf-token" content="([^"]*)"/)
+  return match ? decodeEntities(match[1]) : ""
+}
+
+// Save a single draft through the update route, exactly like the form's autosave
+// Network errors are thrown so the browser retries the sync later
+async function replayDraft(draft, token) {
+  const body = new FormData()
+  body.append("_method", "patch")
+  body.append("autosave", "1")
+
+  Object.entries(draft.values).forEach(([field, value]) => {
+    body.append(`patent_application[${field}]`, value)
+    body.append(`base[${field}]`, draft.base?.[field] ?? "")
+  })
+
+  const response = await fetch(draft.url, {
+    method: "POST",
+    body,
+    credentials: "same-origin",
+    headers: {
+      "Accept": "text/vnd.turbo-stream.html",
+      "X-CSRF-Token": token
+    }
+  })
+
+  if (response.ok) {
+    await withDraftsStore("readwrite", store => store.delete(draft.id))
+    await notifyClients({ type: "draft-synced", id: draft.id })
+    console.debug("[ServiceWorker] Draft synced:", draft.id)
+  } else {
+    // Conflicts and validation errors are kept for the user to resolve in the form
+    await notifyClients({ type: "draft-sync-failed", id: draft.id, status: response.status })
+    console.debug("[ServiceWorker] Draft rejected:", draft.id, response.status)
+  }
+}
+
+// Show a notification sent by the server (see app/services/push_notifier.rb)
+self.addEventListener("push", (event) => {
+  const { title, options } = readPushMessage(event)
+  console.debug("[ServiceWorker] Push received:", title)
+  event.waitUntil(self.registration.showNotification(title, options))
+})
+
+// Focus the page the notification is about, or open it
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
+  event.waitUntil(focusPage(event.notification.data?.path || "/"))
+})
+
+// The notification in a push message: { title, options: { body, tag, icon, data: { path } } }
+function readPushMessage(event) {
+  try {
+    return event.data.json()
+  } catch (error) {
+    // Browsers show something for every push, so fall back to the plain text
+    return { title: "Rightstree", options: { body: event.data?.text() || "" } }
+  }
+}
+
+// Prefer a window showing the page, then one showing another page of the same
+// application (e.g. its edit page), before opening a new window
+async function focusPage(path) {
+  const clientList = await self.clients.matchAll({ type: "window", includeUncontrolled: true })
+  const pathOf = client => new URL(client.url).pathname
+
+  const client = clientList.find(client => pathOf(client) === path) ||
+    clientList.find(client => path !== "/" && pathOf(client).startsWith(`${path}/`))
+
+  if (client) return client.focus()
+  return self.clients.openWindow(path)
+}
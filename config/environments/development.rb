@@ -67,6 +67,12 @@ Rails.application.configure do
   # Raise error when a before_action's only/except options reference missing actions.
   config.action_controller.raise_on_missing_callback_actions = true
 
+  # Answer chat messages with a canned, streamed reply instead of calling OpenAI (FAKE_AI=1 bin/dev).
+  config.x.fake_ai = ENV["FAKE_AI"].present?
+
+  # Log Web Push notifications instead of posting them to browser push services (FAKE_PUSH=1 bin/dev).
+  config.x.fake_push = ENV["FAKE_PUSH"].present?
+
   # Apply autocorrection by RuboCop to files generated by `bin/rails generate`.
   # config.generators.apply_rubocop_autocorrect_after_generate!
 end
@@ -50,4 +50,10 @@ Rails.application.configure do
 
   # Raise error when a before_action's only/except options reference missing actions.
   config.action_controller.raise_on_missing_callback_actions = true
+
+  # Answer chat messages with a canned, streamed reply instead of calling OpenAI (FAKE_AI=1 bundle exec rspec).
+  config.x.fake_ai = ENV["FAKE_AI"].present?
+
+  # Record Web Push notifications instead of posting them to browser push services (see FakeWebPushService).
+  config.x.fake_push = true
 end
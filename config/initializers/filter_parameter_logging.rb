@@ -6,3 +6,6 @@
 Rails.application.config.filter_parameters += [
   :passw, :email, :secret, :token, :_key, :crypt, :salt, :certificate, :otp, :ssn, :cvv, :cvc
 ]
+
+# Unpublished invention text, e.g. the unsaved problem and solution posted for title candidates
+Rails.application.config.filter_parameters += [ :problem, :solution ]
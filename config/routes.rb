@@ -8,9 +8,22 @@ Rails.application.routes.draw do
   # Default Rails asset handling
   # Let Propshaft handle assets through the standard Rails public file server
 
-  # Render dynamic PWA files from app/views/pwa/* (remember to link manifest in application.html.erb)
-  # get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
-  # get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  # Render dynamic PWA files from app/views/pwa/*
+  # Web app manifest that makes Rightstree installable
+  get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
+
+  # Service worker that replays patent form drafts saved while offline, shows push
+  # notifications and keeps recently viewed applications readable offline
+  get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+
+  # Web Push subscription of this browser, identified by its push endpoint
+  resource :push_subscription, only: [ :create, :update, :destroy ] do
+    # Route for sending a test notification to this browser
+    post :test
+  end
+
+  # Errors logged in the browser, uploaded in batches by app/javascript/lib/logger.js
+  resources :client_logs, only: [ :create ]
 
   # Patent Application routes
   # These routes handle the patent application web form with AI chat integration
@@ -22,24 +35,45 @@ Rails.application.routes.draw do
 
       # Route for the patent marketplace (published patents)
       get :marketplace
+
+      # Route for comparing marketplace patents side by side
+      get :compare
     end
 
     member do
       # Route for setting the title of a patent application
       get :set_title
 
+      # Route for AI title candidates, posted so unsaved text stays out of the URL
+      post :title_candidates
+
       # Route for updating the title of a patent application
       patch :update_title
 
       # Route for AI chat interactions with existing applications only
       post :chat
 
+      # Route for AI chat replies streamed as Server-Sent Events
+      post :chat_stream, to: "chat_streams#create"
+
+      # Route for switching between versions of an edited chat message
+      patch :switch_chat_branch
+
       # Route for updating problem statement from AI suggestions
       patch :update_problem
 
       # Route for updating solution from AI suggestions
       patch :update_solution
 
+      # Route for the text of revisions picked in the revision timeline
+      get :revisions
+
+      # Route for restoring a field from an older revision
+      patch :restore_revision
+
+      # Route for the server checks and marketplace preview of the pre-publish checklist
+      get :checklist
+
       # Route for marking an application as complete (ready for publishing)
       patch :mark_complete
 
@@ -0,0 +1,7 @@
+class AddClaimsToPatentApplications < ActiveRecord::Migration[8.0]
+  def change
+    # Ordered list of claims: [{ "id", "text", "depends_on" }]
+    # A claim's number is its position, dependent claims refer to the id of their parent claim
+    add_column :patent_applications, :claims, :jsonb, default: [], null: false
+  end
+end
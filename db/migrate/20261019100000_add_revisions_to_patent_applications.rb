@@ -0,0 +1,7 @@
+class AddRevisionsToPatentApplications < ActiveRecord::Migration[8.0]
+  def change
+    # Saved versions of the editable fields, oldest first:
+    # [{ "id", "number", "created_at", "source", "changed", "fields" => { "title", "problem", "solution" } }]
+    add_column :patent_applications, :revisions, :jsonb, default: [], null: false
+  end
+end
@@ -0,0 +1,15 @@
+class AddMarketplaceFieldsToPatentApplications < ActiveRecord::Migration[8.0]
+  def change
+    # Marketplace listing details, see PatentApplication::CATEGORIES and MarketplaceSearch
+    add_column :patent_applications, :category, :string
+    add_column :patent_applications, :asking_price, :integer, comment: "Whole dollars, optional"
+    add_column :patent_applications, :views_count, :integer, default: 0, null: false
+    add_index :patent_applications, :category
+
+    # Full-text search over the title, problem and solution - must match MarketplaceSearch::SEARCH_VECTOR
+    add_index :patent_applications,
+              "to_tsvector('english', coalesce(title, '') || ' ' || coalesce(problem, '') || ' ' || coalesce(solution, ''))",
+              using: :gin,
+              name: "index_patent_applications_on_search_vector"
+  end
+end
@@ -0,0 +1,18 @@
+class CreatePushSubscriptions < ActiveRecord::Migration[8.0]
+  def change
+    # One row per browser that allowed Web Push notifications, see PushSubscription and WebPushService
+    create_table :push_subscriptions do |t|
+      t.string :endpoint, null: false
+      t.string :p256dh_key, null: false
+      t.string :auth_key, null: false
+      t.jsonb :topics, default: [], null: false
+      t.jsonb :watched_patent_ids, default: [], null: false
+      t.string :user_agent
+      t.datetime :last_delivered_at
+
+      t.timestamps
+    end
+    add_index :push_subscriptions, :endpoint, unique: true
+    add_index :push_subscriptions, :watched_patent_ids, using: :gin
+  end
+end
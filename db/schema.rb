@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_05_06_223448) do
+ActiveRecord::Schema[8.0].define(version: 2026_10_19_120000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -23,8 +23,29 @@ ActiveRecord::Schema[8.0].define(version: 2025_05_06_223448) do
     t.datetime "updated_at", null: false
     t.string "status", default: "draft"
     t.string "title", comment: "Optional in draft status, required when finalizing"
+    t.jsonb "claims", default: [], null: false
+    t.jsonb "revisions", default: [], null: false
+    t.string "category"
+    t.integer "asking_price", comment: "Whole dollars, optional"
+    t.integer "views_count", default: 0, null: false
+    t.index "to_tsvector('english'::regconfig, (((((COALESCE(title, ''::character varying))::text || ' '::text) || COALESCE(problem, ''::text)) || ' '::text) || COALESCE(solution, ''::text)))", name: "index_patent_applications_on_search_vector", using: :gin
+    t.index ["category"], name: "index_patent_applications_on_category"
     t.index ["status"], name: "index_patent_applications_on_status"
     t.index ["user_id", "title"], name: "index_patent_applications_on_user_id_and_title", unique: true
     t.index ["user_id"], name: "index_patent_applications_on_user_id"
   end
+
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.string "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.string "auth_key", null: false
+    t.jsonb "topics", default: [], null: false
+    t.jsonb "watched_patent_ids", default: [], null: false
+    t.string "user_agent"
+    t.datetime "last_delivered_at"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["watched_patent_ids"], name: "index_push_subscriptions_on_watched_patent_ids", using: :gin
+  end
 end
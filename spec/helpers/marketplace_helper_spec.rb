@@ -0,0 +1,24 @@
+# spec/helpers/marketplace_helper_spec.rb
+require "rails_helper"
+
+RSpec.describe MarketplaceHelper, type: :helper do
+  describe "#highlight_matches" do
+    it "marks the searched words, whatever their case" do
+      expect(helper.highlight_matches("Wireless hive sensors", [ "HIVE" ])).to eq("Wireless <mark>hive</mark> sensors")
+    end
+
+    it "escapes the text around and inside the marks" do
+      expect(helper.highlight_matches("Bees & <b>hives</b>", [ "hives" ])).to eq("Bees &amp; &lt;b&gt;<mark>hives</mark>&lt;/b&gt;")
+    end
+
+    it "does not match inside the entities of escaped text" do
+      expect(helper.highlight_matches("Sample & hold", [ "amp" ])).to eq("S<mark>amp</mark>le &amp; hold")
+      expect(helper.highlight_matches("Q&A", [ "amp" ])).to eq("Q&amp;A")
+    end
+
+    it "only shortens the text without searched words" do
+      expect(helper.highlight_matches("Bees & hives", [])).to eq("Bees &amp; hives")
+      expect(helper.highlight_matches("a" * 150, [ "" ], length: 20)).to eq("#{"a" * 17}...")
+    end
+  end
+end
@@ -0,0 +1,307 @@
+# spec/models/patent_application_spec.rb
+require "rails_helper"
+
+RSpec.describe PatentApplication do
+  let(:application) do
+    described_class.create!(title: "Remote Beehive Monitoring", problem: "Beekeepers cannot check hive temperature remotely.",
+                            solution: "Wireless sensors report the temperature.")
+  end
+
+  describe "#claims=" do
+    it "parses the form's JSON and keeps only the known keys" do
+      application.claims = JSON.generate([
+        { id: "a1", text: "A hive monitor comprising a sensor.", depends_on: nil, extra: "dropped" },
+        { id: "b2", text: "The hive monitor of claim 1, wherein the sensor measures weight.", depends_on: "a1" }
+      ])
+
+      expect(application.claims).to eq([
+        { "id" => "a1", "text" => "A hive monitor comprising a sensor.", "depends_on" => nil },
+        { "id" => "b2", "text" => "The hive monitor of claim 1, wherein the sensor measures weight.", "depends_on" => "a1" }
+      ])
+    end
+
+    it "gives claims without an id one and skips entries that are not claims" do
+      application.claims = [ { "text" => "A hive monitor." }, "not a claim", nil ]
+
+      expect(application.claims.size).to eq(1)
+      expect(application.claims.first["id"]).to match(/\A\h{8}\z/)
+      expect(application.claims.first["depends_on"]).to be_nil
+    end
+
+    it "keeps the stored claims when the JSON cannot be parsed" do
+      application.update!(claims: [ { "id" => "a1", "text" => "A hive monitor." } ])
+
+      application.claims = "[{"
+      expect(application.claims).to eq([ { "id" => "a1", "text" => "A hive monitor.", "depends_on" => nil } ])
+    end
+  end
+
+  describe "#numbered_claims" do
+    it "numbers claims by position and refers to parents by number" do
+      application.claims = [
+        { "id" => "b2", "text" => "A hive monitor." },
+        { "id" => "c3", "text" => "The monitor of claim 1, with a scale.", "depends_on" => "b2" },
+        { "id" => "a1", "text" => "The monitor of claim 2, with a LoRa radio.", "depends_on" => "c3" }
+      ]
+
+      expect(application.numbered_claims).to eq([
+        { number: 1, text: "A hive monitor.", depends_on: nil },
+        { number: 2, text: "The monitor of claim 1, with a scale.", depends_on: 1 },
+        { number: 3, text: "The monitor of claim 2, with a LoRa radio.", depends_on: 2 }
+      ])
+    end
+
+    it "renumbers dependent claims when their parent moves" do
+      application.claims = [
+        { "id" => "a1", "text" => "A hive monitor." },
+        { "id" => "b2", "text" => "The monitor of claim 1, with a scale.", "depends_on" => "a1" }
+      ]
+      application.claims = application.claims.reverse
+
+      expect(application.numbered_claims.map { |claim| [ claim[:number], claim[:depends_on] ] }).to eq([ [ 1, 2 ], [ 2, nil ] ])
+    end
+
+    it "is empty without claims" do
+      expect(described_class.new(claims: nil).numbered_claims).to eq([])
+    end
+  end
+
+  describe "#record_revision" do
+    include ActiveSupport::Testing::TimeHelpers
+
+    def autosave(**changes)
+      application.revision_source = described_class::REVISION_SOURCES[:autosave]
+      application.update!(**changes)
+    end
+
+    it "records every change of the title, problem or solution with all fields" do
+      application.update!(problem: "Beekeepers cannot check hive humidity remotely.")
+
+      expect(application.revisions.map { |revision| revision.values_at("number", "source", "changed") }).to eq([
+        [ 1, "edit", %w[title problem solution] ],
+        [ 2, "edit", %w[problem] ]
+      ])
+      expect(application.revisions.last["fields"]).to eq(
+        "title" => "Remote Beehive Monitoring",
+        "problem" => "Beekeepers cannot check hive humidity remotely.",
+        "solution" => "Wireless sensors report the temperature."
+      )
+      expect(application).to be_revision_added
+    end
+
+    it "does not record a revision when no editable field changes" do
+      expect { application.update!(category: "hardware") }.not_to change { application.revisions.size }
+      expect(application).not_to be_revision_added
+    end
+
+    it "keeps the text saved before revisions existed as the original revision" do
+      application.update_columns(revisions: [])
+
+      application.update!(solution: "Wireless sensors report temperature and humidity.")
+
+      original, edit = application.revisions
+      expect(original).to include("number" => 1, "source" => "original", "changed" => [])
+      expect(original["fields"]).to include("solution" => "Wireless sensors report the temperature.")
+      expect(edit).to include("number" => 2, "source" => "edit", "changed" => %w[solution])
+    end
+
+    it "folds autosaves within the window into one revision" do
+      autosave(problem: "Beekeepers cannot check")
+      first = application.revisions.last
+
+      travel(5.minutes) do
+        autosave(problem: "Beekeepers cannot check hive humidity.", title: "Hive Monitor")
+      end
+
+      folded = application.revisions.last
+      expect(application.revisions.size).to eq(2)
+      expect(folded.values_at("id", "number", "source")).to eq(first.values_at("id", "number", "source"))
+      expect(folded["changed"]).to eq(%w[problem title])
+      expect(folded["fields"]).to include("title" => "Hive Monitor", "problem" => "Beekeepers cannot check hive humidity.")
+      expect(application).not_to be_revision_added
+    end
+
+    it "starts a new revision for an autosave after the window or after another kind of save" do
+      autosave(problem: "Beekeepers cannot check")
+
+      travel(described_class::AUTOSAVE_REVISION_WINDOW + 1.minute) do
+        autosave(problem: "Beekeepers cannot check hive humidity.")
+      end
+      expect(application.revisions.map { |revision| revision["source"] }).to eq(%w[edit autosave autosave])
+
+      application.revision_source = nil
+      application.update!(problem: "Beekeepers cannot check hive humidity remotely.")
+      autosave(problem: "Beekeepers cannot check hive humidity or weight remotely.")
+      expect(application.revisions.map { |revision| revision["source"] }).to eq(%w[edit autosave autosave edit autosave])
+    end
+
+    it "keeps only the most recent revisions" do
+      stub_const("PatentApplication::MAX_REVISIONS", 3)
+
+      %w[one two three].each { |word| application.update!(problem: "Problem #{word}.") }
+
+      expect(application.revisions.map { |revision| revision["number"] }).to eq([ 2, 3, 4 ])
+      expect(application.revisions.last["fields"]["problem"]).to eq("Problem three.")
+    end
+  end
+
+  describe "#restore_revision" do
+    before { application.update!(problem: "Beekeepers cannot check hive humidity remotely.") }
+
+    let(:first) { application.revisions.first }
+
+    it "puts a field's old text back as a new revision" do
+      expect(application.restore_revision(first["id"], :problem)).to be(true)
+
+      expect(application.reload.problem).to eq("Beekeepers cannot check hive temperature remotely.")
+      expect(application.revisions.last).to include("number" => 3, "source" => "restore", "restored_from" => 1, "changed" => %w[problem])
+    end
+
+    it "leaves the other fields as they are" do
+      application.update!(title: "Hive Monitor")
+
+      application.restore_revision(first["id"], "problem")
+      expect(application.reload.title).to eq("Hive Monitor")
+    end
+
+    it "refuses unknown revisions and fields that are not editable" do
+      expect(application.restore_revision("missing", :problem)).to be(false)
+      expect(application.restore_revision(first["id"], :status)).to be(false)
+      expect(application.reload.problem).to eq("Beekeepers cannot check hive humidity remotely.")
+      expect(application.revisions.size).to eq(2)
+    end
+  end
+
+  describe "#branch_chat_history and #switch_chat_branch" do
+    def user(text)
+      { "role" => "user", "message" => text }
+    end
+
+    def reply(text)
+      { "role" => "assistant", "content" => { "message" => text } }
+    end
+
+    # The texts of the active conversation
+    def transcript
+      application.chat_history.map { |entry| entry["message"] || entry.dig("content", "message") }
+    end
+
+    before { application.chat_history = [ user("Beehives"), reply("Tell me more.") ] }
+
+    it "keeps every earlier version when the same message is edited twice" do
+      application.branch_chat_history(0, user("Hive sensors"))
+      application.chat_history << reply("Which sensors?")
+      expect(application.branch_chat_history(0, user("Hive scales"))).to be(true)
+
+      edited = application.chat_history.first
+      expect(transcript).to eq([ "Hive scales" ])
+      expect(edited["branch"]).to eq(2)
+      expect(edited["branches"]).to eq([
+        [ user("Beehives"), reply("Tell me more.") ],
+        [ user("Hive sensors"), reply("Which sensors?") ],
+        nil
+      ])
+    end
+
+    it "switches back and forth between the versions of a message" do
+      application.branch_chat_history(0, user("Hive sensors"))
+      application.chat_history << reply("Which sensors?")
+      edited = application.chat_history.deep_dup
+
+      expect(application.switch_chat_branch(0, 0)).to be(true)
+      expect(transcript).to eq([ "Beehives", "Tell me more." ])
+      expect(application.chat_history.first.values_at("branch", "branches")).to eq([ 0, [ nil, [ user("Hive sensors"), reply("Which sensors?") ] ] ])
+
+      expect(application.switch_chat_branch(0, 1)).to be(true)
+      expect(application.chat_history).to eq(edited)
+    end
+
+    it "keeps the branches of later messages when an earlier message is edited" do
+      application.chat_history += [ user("They overheat"), reply("How often?") ]
+      application.branch_chat_history(2, user("They swarm"))
+      application.chat_history << reply("When?")
+
+      application.branch_chat_history(0, user("Hive sensors"))
+      expect(transcript).to eq([ "Hive sensors" ])
+
+      application.switch_chat_branch(0, 0)
+      expect(transcript).to eq([ "Beehives", "Tell me more.", "They swarm", "When?" ])
+      expect(application.chat_history[2]["branch"]).to eq(1)
+
+      application.switch_chat_branch(2, 0)
+      expect(transcript).to eq([ "Beehives", "Tell me more.", "They overheat", "How often?" ])
+      expect(application.chat_history.first["branches"].last).to eq([ user("Hive sensors") ])
+    end
+
+    it "refuses entries that are not user messages and branches that don't exist or are active" do
+      application.branch_chat_history(0, user("Hive sensors"))
+      application.chat_history << reply("Which sensors?")
+      edited = application.chat_history.deep_dup
+
+      expect(application.branch_chat_history(1, user("Hive scales"))).to be(false)
+      expect(application.branch_chat_history(5, user("Hive scales"))).to be(false)
+      expect(application.switch_chat_branch(0, 1)).to be(false)
+      expect(application.switch_chat_branch(0, 2)).to be(false)
+      expect(application.switch_chat_branch(0, -1)).to be(false)
+      expect(application.switch_chat_branch(1, 0)).to be(false)
+      expect(application.chat_history).to eq(edited)
+    end
+
+    it "refuses to switch a message that was never edited" do
+      expect(application.switch_chat_branch(0, 0)).to be(false)
+      expect(application.switch_chat_branch(0, 1)).to be(false)
+      expect(transcript).to eq([ "Beehives", "Tell me more." ])
+    end
+  end
+
+  describe "#conflicting_fields" do
+    let(:claims) { [ { "id" => "a1", "text" => "A hive monitor.", "depends_on" => nil } ] }
+    # What the form was loaded with, taken before an example changes the record elsewhere
+    let!(:loaded) { { title: application.title, problem: application.problem, solution: application.solution } }
+
+    before { application.update!(claims: claims) }
+
+    it "finds no conflict when nothing changed since the form loaded" do
+      incoming = loaded.merge(problem: "Beekeepers cannot check hive temperature and humidity remotely.")
+
+      expect(application.conflicting_fields(loaded, incoming)).to be_empty
+    end
+
+    it "reports fields changed elsewhere that the save would overwrite" do
+      application.update!(problem: "Changed in another tab.", solution: "Also changed in another tab.")
+      incoming = loaded.merge(problem: "Changed in this tab.")
+
+      expect(application.conflicting_fields(loaded, incoming)).to eq(%w[problem solution])
+    end
+
+    it "finds no conflict when the save makes the same change" do
+      application.update!(problem: "The same edit in both tabs.")
+
+      expect(application.conflicting_fields(loaded, loaded.merge(problem: "The same edit in both tabs.  "))).to be_empty
+    end
+
+    it "ignores whitespace around the base value" do
+      expect(application.conflicting_fields(loaded.merge(title: "  #{application.title}\n"), loaded.merge(title: "New title"))).to be_empty
+    end
+
+    it "only checks fields sent with both a base and a new value" do
+      application.update!(problem: "Changed in another tab.")
+
+      expect(application.conflicting_fields(loaded.except(:problem), loaded.merge(problem: "Changed here."))).to be_empty
+      expect(application.conflicting_fields(loaded, loaded.except(:problem))).to be_empty
+    end
+
+    it "reports claims changed elsewhere since the form loaded them" do
+      base = JSON.generate(claims)
+      application.update!(claims: claims + [ { "id" => "b2", "text" => "The monitor of claim 1, with a scale.", "depends_on" => "a1" } ])
+
+      expect(application.conflicting_fields({ claims: base }, { claims: JSON.generate([]) })).to eq([ "claims" ])
+    end
+
+    it "compares claims by content, not by how the JSON is written" do
+      base = JSON.pretty_generate(claims.map { |claim| claim.slice("text", "id") })
+
+      expect(application.conflicting_fields({ claims: base }, { claims: JSON.generate([]) })).to be_empty
+    end
+  end
+end
@@ -0,0 +1,125 @@
+# spec/requests/chat_streams_spec.rb
+require "rails_helper"
+
+RSpec.describe "Chat streams", type: :request do
+  let(:application) do
+    PatentApplication.create!(title: "Remote Beehive Monitoring", problem: "Beekeepers cannot check hive temperature remotely.",
+                              solution: "Wireless sensors report the temperature.")
+  end
+  let(:reply_message) do
+    "Thanks, this is a fake reply for testing.\n\nYou said: \"Hive sensors\". What is the main technical problem you want to solve?"
+  end
+
+  before { allow(PatentService).to receive(:ai_client).and_return(FakeOpenaiService.new(delay: 0)) }
+
+  # The Server-Sent Events of the response as [event, data] pairs
+  def events
+    response.body.split("\n\n").map do |block|
+      event, data = block.lines(chomp: true)
+      [ event.delete_prefix("event: "), JSON.parse(data.delete_prefix("data: ")) ]
+    end
+  end
+
+  def event_names
+    events.map(&:first)
+  end
+
+  def streamed_text
+    events.select { |event, _| event == "token" }.map { |_, data| data["text"] }.join
+  end
+
+  it "streams the reply's message as tokens and stores both messages once it completes" do
+    post chat_stream_patent_application_path(application), params: { message: "Hive sensors" }
+
+    expect(response.media_type).to eq("text/event-stream")
+    expect(event_names.uniq).to eq(%w[token complete])
+    expect(streamed_text).to eq(reply_message)
+
+    user, assistant = application.reload.chat_history
+    expect(application.chat_history.size).to eq(2)
+    expect(user).to include("role" => "user", "message" => "Hive sensors")
+    expect(assistant["content"]).to include("message" => reply_message, "problem" => "Users struggle with: Hive sensors")
+
+    turbo_stream = events.last.last["turbo_stream"]
+    expect(turbo_stream).to include(%(action="append" target="chat_messages"), %(target="ai_suggestions"))
+    expect(turbo_stream).to include("this is a fake reply for testing")
+  end
+
+  it "sends an error for an empty message without storing it" do
+    post chat_stream_patent_application_path(application), params: { message: "  " }
+
+    expect(events).to eq([ [ "error", { "message" => "Please enter a message." } ] ])
+    expect(application.reload.chat_history).to be_blank
+  end
+
+  it "removes the user's message again and sends an error when the reply fails" do
+    failing = instance_double(FakeOpenaiService)
+    allow(failing).to receive(:chat_stream).and_raise(Faraday::ConnectionFailed, "connection refused")
+    allow(PatentService).to receive(:ai_client).and_return(failing)
+
+    post chat_stream_patent_application_path(application), params: { message: "Hive sensors" }
+
+    expect(events).to eq([ [ "error", { "message" => "Sorry, something went wrong while generating the reply. Please try again." } ] ])
+    expect(application.reload.chat_history).to eq([])
+  end
+
+  it "keeps what was streamed as a stopped reply when the browser goes away" do
+    written = 0
+    allow_any_instance_of(ChatStreamsController).to receive(:write_event).and_wrap_original do |original, event, data|
+      # The browser drops the connection when the user presses Stop
+      raise ActionController::Live::ClientDisconnected if event == "token" && (written += 1) > 3
+
+      original.call(event, data)
+    end
+
+    post chat_stream_patent_application_path(application), params: { message: "Hive sensors" }
+
+    expect(event_names).to eq(%w[token token token])
+    stopped = application.reload.chat_history.last
+    expect(stopped).to include("role" => "assistant", "stopped" => true)
+    expect(stopped.dig("content", "message")).to eq(streamed_text)
+    expect(reply_message).to start_with(streamed_text)
+  end
+
+  describe "editing an earlier message" do
+    before do
+      application.update!(chat_history: [
+        { "role" => "user", "message" => "Beehives", "timestamp" => 1 },
+        { "role" => "assistant", "content" => { "message" => "Tell me more about the hives." }, "timestamp" => 2 },
+        { "role" => "user", "message" => "They overheat", "timestamp" => 3 }
+      ])
+    end
+
+    it "regenerates the conversation from the edited message as a new branch" do
+      post chat_stream_patent_application_path(application), params: { message: "Hive sensors", edit_index: 0 }
+
+      expect(event_names.last).to eq("complete")
+      expect(events.last.last["turbo_stream"]).to include(%(action="update" target="chat_messages"))
+
+      edited, reply = application.reload.chat_history
+      expect(application.chat_history.size).to eq(2)
+      expect(edited).to include("message" => "Hive sensors", "branch" => 1)
+      expect(edited["branches"].first.map { |message| message["timestamp"] }).to eq([ 1, 2, 3 ])
+      expect(edited["branches"].last).to be_nil
+      expect(reply.dig("content", "message")).to eq(reply_message)
+    end
+
+    it "refuses to edit an entry that is not a user message" do
+      post chat_stream_patent_application_path(application), params: { message: "Hive sensors", edit_index: 1 }
+
+      expect(events).to eq([ [ "error", { "message" => "That message can no longer be edited." } ] ])
+      expect(application.reload.chat_history.size).to eq(3)
+    end
+
+    it "puts the conversation back when the reply to the edit fails" do
+      failing = instance_double(FakeOpenaiService)
+      allow(failing).to receive(:chat_stream).and_raise(Faraday::ConnectionFailed, "connection refused")
+      allow(PatentService).to receive(:ai_client).and_return(failing)
+
+      expect {
+        post chat_stream_patent_application_path(application), params: { message: "Hive sensors", edit_index: 0 }
+      }.not_to change { application.reload.chat_history }
+      expect(event_names).to eq([ "error" ])
+    end
+  end
+end
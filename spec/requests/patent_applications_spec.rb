@@ -0,0 +1,187 @@
+# spec/requests/patent_applications_spec.rb
+require "rails_helper"
+
+RSpec.describe "Patent applications", type: :request do
+  let(:application) do
+    PatentApplication.create!(title: "Remote Beehive Monitoring", problem: "Beekeepers cannot check hive temperature remotely.",
+                              solution: "Wireless sensors report the temperature.")
+  end
+  let(:turbo_stream) { { "Accept" => "text/vnd.turbo-stream.html" } }
+
+  # Saves values the way the patent form does, with base: the values it was loaded with
+  def save(values, base:, headers: turbo_stream, **extra)
+    patch patent_application_path(application), params: { patent_application: values, base: base, **extra }, headers: headers
+  end
+
+  describe "PATCH /patent_applications/:id" do
+    let!(:loaded) { { title: application.title, problem: application.problem, solution: application.solution } }
+
+    it "saves an edit when nothing changed elsewhere" do
+      save(loaded.merge(problem: "Beekeepers cannot check hive temperature or humidity remotely."), base: loaded, autosave: "1")
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).not_to include("This application was changed elsewhere")
+      expect(application.reload.problem).to eq("Beekeepers cannot check hive temperature or humidity remotely.")
+    end
+
+    it "saves an edit that matches the change made elsewhere" do
+      application.update!(solution: "Wireless sensors report temperature and humidity.")
+
+      save(loaded.merge(solution: "Wireless sensors report temperature and humidity."), base: loaded, autosave: "1")
+
+      expect(response).to have_http_status(:ok)
+    end
+
+    it "replaces the revision timeline only when an autosave adds a revision" do
+      save(loaded.merge(problem: "Beekeepers cannot check"), base: loaded, autosave: "1")
+      expect(response.body).to include(%(target="patent_application_#{application.id}_revisions"))
+
+      saved = loaded.merge(problem: "Beekeepers cannot check")
+      save(saved.merge(problem: "Beekeepers cannot check hive humidity."), base: saved, autosave: "1")
+      expect(response).to have_http_status(:ok)
+      expect(response.body).not_to include(%(target="patent_application_#{application.id}_revisions"))
+    end
+
+    it "refuses to overwrite a field changed elsewhere and sends the conflict notice" do
+      application.update!(problem: "Changed in another tab.")
+
+      save(loaded.merge(problem: "Changed in this tab."), base: loaded, autosave: "1")
+
+      expect(response).to have_http_status(:conflict)
+      expect(response.media_type).to eq("text/vnd.turbo-stream.html")
+      expect(response.body).to include(%(action="update" target="patent_application_#{application.id}_conflict"))
+      expect(response.body).to include("This application was changed elsewhere")
+      expect(response.body).to include(%(data-conflict-field="problem" data-server-value="Changed in another tab."))
+      expect(response.body).not_to include(%(data-conflict-field="title"))
+      expect(application.reload.problem).to eq("Changed in another tab.")
+    end
+
+    it "lists every conflicting field, claims included" do
+      application.update!(title: "Hive Monitor", claims: [ { "id" => "a1", "text" => "A hive monitor." } ])
+
+      save(loaded.merge(title: "Beehive Monitor", claims: "[]"), base: loaded.merge(claims: "[]"))
+
+      expect(response).to have_http_status(:conflict)
+      expect(response.body).to include(%(data-conflict-field="title"), %(data-conflict-field="claims"))
+      expect(response.body).to include("A hive monitor.")
+      expect(application.reload.title).to eq("Hive Monitor")
+    end
+
+    it "asks to review the conflicting fields when the form is submitted without Turbo" do
+      application.update!(problem: "Changed in another tab.")
+
+      save(loaded.merge(problem: "Changed in this tab."), base: loaded, headers: { "Accept" => "text/html" })
+
+      expect(response).to have_http_status(:conflict)
+      expect(response.body).to include("This application was changed elsewhere. Please review the problem before saving.")
+      expect(application.reload.problem).to eq("Changed in another tab.")
+    end
+  end
+
+  describe "GET /patent_applications/:id" do
+    before { application.update_columns(status: PatentApplication::STATUSES[:published]) }
+
+    it "counts a visit to a published application as a view" do
+      expect { get patent_application_path(application) }.to change { application.reload.views_count }.by(1)
+      expect(response).to have_http_status(:ok)
+    end
+
+    it "does not count prefetches by Turbo, the browser or the service worker" do
+      [ { "X-Sec-Purpose" => "prefetch" }, { "Sec-Purpose" => "prefetch;prerender" } ].each do |headers|
+        expect { get patent_application_path(application), headers: headers }.not_to change { application.reload.views_count }
+        expect(response).to have_http_status(:ok)
+      end
+    end
+
+    it "does not count views of applications that are not published" do
+      application.update_columns(status: PatentApplication::STATUSES[:draft])
+
+      expect { get patent_application_path(application) }.not_to change { application.reload.views_count }
+    end
+  end
+
+  describe "GET /patent_applications/compare" do
+    let(:patents) do
+      %w[Beehive Scale Feeder Smoker Gate].map do |name|
+        patent = PatentApplication.create!(title: "#{name} Monitor", problem: "Problem of the #{name.downcase}.", solution: "Solution.")
+        patent.update_columns(status: PatentApplication::STATUSES[:published])
+        patent
+      end
+    end
+
+    # Titles of the compared patents, in the order of the columns
+    def compared_titles
+      response.body.scan(/aria-label="Remove (.+?) from comparison"/).flatten
+    end
+
+    it "shows the published patents in the order of the ids" do
+      get compare_patent_applications_path(ids: patents.values_at(2, 0, 1).map(&:id).join(","))
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("3 patents side by side")
+      expect(compared_titles).to eq([ "Feeder Monitor", "Beehive Monitor", "Scale Monitor" ])
+    end
+
+    it "drops unknown ids, duplicates and patents that are not published" do
+      draft = PatentApplication.create!(title: "Draft Monitor", problem: "Problem.", solution: "Solution.")
+
+      get compare_patent_applications_path(ids: [ patents[1].id, 0, draft.id, "x", patents[1].id, -4, patents[0].id, 999_999 ].join(","))
+
+      expect(compared_titles).to eq([ "Scale Monitor", "Beehive Monitor" ])
+      expect(response.body).not_to include("Draft Monitor")
+    end
+
+    it "compares at most COMPARE_LIMIT patents" do
+      get compare_patent_applications_path(ids: patents.map(&:id).join(","))
+
+      expect(compared_titles).to eq(patents.first(PatentApplicationsController::COMPARE_LIMIT).map(&:title))
+    end
+
+    it "asks for at least two patents when fewer are left" do
+      get compare_patent_applications_path(ids: [ patents[0].id, 999_999 ].join(","))
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("Pick at least two patents")
+      expect(compared_titles).to be_empty
+    end
+  end
+
+  describe "PATCH /patent_applications/:id/switch_chat_branch" do
+    before do
+      application.chat_history = [ { "role" => "user", "message" => "Beehives", "timestamp" => 1 } ]
+      application.branch_chat_history(0, { "role" => "user", "message" => "Hive sensors", "timestamp" => 2 })
+      application.save!
+    end
+
+    it "re-renders the conversation with the selected version" do
+      patch switch_chat_branch_patent_application_path(application), params: { index: 0, branch: 0 }, headers: turbo_stream
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("text/vnd.turbo-stream.html")
+      expect(response.body).to include(%(action="update" target="chat_messages"), "Beehives", "1/2")
+      expect(response.body).not_to include("Hive sensors", "no longer available")
+      expect(application.reload.chat_history.first).to include("message" => "Beehives", "branch" => 0)
+    end
+
+    it "keeps the conversation and shows an alert when the version is not available" do
+      patch switch_chat_branch_patent_application_path(application), params: { index: 0, branch: 3 }, headers: turbo_stream
+
+      expect(response.body).to include(%(action="replace" target="flash"), "That version of the conversation is no longer available.")
+      expect(response.body).to include("Hive sensors", "2/2")
+      expect(application.reload.chat_history.first).to include("message" => "Hive sensors", "branch" => 1)
+    end
+  end
+
+  describe "GET /patent_applications/:id/revisions" do
+    it "sends the fields of the requested revisions only" do
+      application.update!(problem: "Beekeepers cannot check hive humidity remotely.")
+      first, second = application.revisions
+
+      get revisions_patent_application_path(application, format: :json), params: { ids: [ second["id"], "missing" ] }
+
+      expect(response).to have_http_status(:ok)
+      expect(response.parsed_body["revisions"]).to eq([ second.slice("id", "number", "fields") ])
+      expect(response.body).not_to include(first["id"])
+    end
+  end
+end
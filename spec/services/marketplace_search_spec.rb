@@ -0,0 +1,66 @@
+# spec/services/marketplace_search_spec.rb
+require "rails_helper"
+
+RSpec.describe MarketplaceSearch do
+  def publish(title, problem:, solution: "A solution described in enough detail.", **attributes)
+    PatentApplication.create!(title: title, problem: problem, solution: solution, status: "published", **attributes)
+  end
+
+  let!(:beehive) do
+    publish("Remote Beehive Monitoring", problem: "Beekeepers cannot check hive temperature remotely.",
+            category: "hardware", asking_price: 8000, views_count: 5, updated_at: 3.days.ago)
+  end
+  let!(:hydration) do
+    publish("Hydration Reminder App", problem: "People forget to drink water during the day.",
+            category: "software", asking_price: 3000, views_count: 40, updated_at: 1.day.ago)
+  end
+  let!(:unpriced) do
+    publish("Smart Irrigation Controller", problem: "Gardens are watered on a fixed schedule.",
+            category: "hardware", updated_at: 2.days.ago)
+  end
+
+  before do
+    PatentApplication.create!(title: "Draft Beehive Scale", problem: "Hives are weighed by hand.", status: "draft")
+  end
+
+  it "lists published applications only, newest first" do
+    expect(described_class.new.results).to eq([ hydration, unpriced, beehive ])
+  end
+
+  it "matches word stems in the title, problem and solution" do
+    expect(described_class.new(q: "beehives").results).to eq([ beehive ])
+    expect(described_class.new(q: "drinking water").results).to eq([ hydration ])
+    expect(described_class.new(q: "hive -temperature").results).to be_empty
+  end
+
+  it "filters by category and ignores unknown categories" do
+    expect(described_class.new(category: "hardware").results).to contain_exactly(beehive, unpriced)
+    expect(described_class.new(category: "toys").category).to be_nil
+  end
+
+  it "sorts by price with unpriced applications last, and by views" do
+    expect(described_class.new(sort: "price_asc").results).to eq([ hydration, beehive, unpriced ])
+    expect(described_class.new(sort: "price_desc").results).to eq([ beehive, hydration, unpriced ])
+    expect(described_class.new(sort: "popular").results.first).to eq(hydration)
+    expect(described_class.new(sort: "bogus").sort).to eq("newest")
+  end
+
+  it "paginates and keeps the page within range" do
+    stub_const("MarketplaceSearch::PER_PAGE", 2)
+
+    expect(described_class.new(page: 2).results).to eq([ beehive ])
+    expect(described_class.new(page: 9).page).to eq(2)
+    expect(described_class.new(page: 2).total_pages).to eq(2)
+  end
+
+  it "builds the query string without defaults" do
+    search = described_class.new(q: " beehive  sensor ", category: "hardware", sort: "newest")
+
+    expect(search.to_params).to eq(q: "beehive sensor", category: "hardware")
+    expect(search.to_params(category: nil, sort: "popular")).to eq(q: "beehive sensor", sort: "popular")
+  end
+
+  it "highlights the searched words, not excluded ones" do
+    expect(described_class.new(q: '"remote beehive" or -drafts').terms).to eq([ "remote", "beehive" ])
+  end
+end
@@ -17,6 +17,19 @@ describe OpenaiService do
     expect(response["choices"].first["message"]["content"]).to eq("Hello from OpenAI!")
   end
 
+  it "yields streamed content and returns the full response" do
+    allow_any_instance_of(OpenAI::Client).to receive(:chat) do |_client, parameters:|
+      [ "Hello", " from", " OpenAI!" ].each do |delta|
+        parameters[:stream].call({ "choices" => [ { "delta" => { "content" => delta } } ] }, 0)
+      end
+    end
+
+    deltas = []
+    response = service.chat_stream(messages) { |delta| deltas << delta }
+    expect(deltas).to eq([ "Hello", " from", " OpenAI!" ])
+    expect(response["choices"].first["message"]["content"]).to eq("Hello from OpenAI!")
+  end
+
   it "raises if API key is missing" do
     allow(Rails.application.credentials).to receive(:OPENAI_API_TOKEN).and_return(nil)
     allow(ENV).to receive(:[]).with("OPENAI_API_TOKEN").and_return(nil)
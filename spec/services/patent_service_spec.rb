@@ -50,4 +50,29 @@ RSpec.describe PatentService do
     expect(result[:solution]).to include("An app that sends reminders")
     expect(result[:messages].last[:role]).to eq("assistant")
   end
+
+  describe ".suggest_titles" do
+    def stub_reply(content)
+      allow_any_instance_of(OpenAI::Client).to receive(:chat).and_return({
+        "choices" => [ { "message" => { "content" => content } } ]
+      })
+    end
+
+    it "returns the titles of a JSON reply" do
+      stub_reply('```json\n{"titles": ["Smart Water Bottle Reminder System", "Hydration Tracking Method"]}\n```')
+      titles = described_class.suggest_titles(problem: "Users forget to drink water regularly.")
+      expect(titles).to eq([ "Smart Water Bottle Reminder System", "Hydration Tracking Method" ])
+    end
+
+    it "falls back to one title per line and drops duplicates" do
+      stub_reply("1. Hydration Reminder App\n2. hydration reminder app\n- \"Water Intake Logger.\"")
+      titles = described_class.suggest_titles(problem: "Users forget to drink water regularly.", count: 3)
+      expect(titles).to eq([ "Hydration Reminder App", "Water Intake Logger" ])
+    end
+
+    it "does not ask the AI without a problem" do
+      expect_any_instance_of(OpenAI::Client).not_to receive(:chat)
+      expect(described_class.suggest_titles(problem: " ")).to eq([])
+    end
+  end
 end
@@ -0,0 +1,43 @@
+# spec/services/publish_checklist_spec.rb
+require "rails_helper"
+
+RSpec.describe PublishChecklist do
+  let(:problem) { "Beekeepers cannot check the temperature and humidity of their hives without opening them, which disturbs the colony." }
+  let(:solution) do
+    "A battery powered sensor sits under the hive lid and measures temperature, humidity and weight every ten minutes. " \
+    "It sends the readings over LoRa to a gateway, which alerts the beekeeper when a hive gets too cold or loses weight quickly."
+  end
+
+  def checklist(**attributes)
+    described_class.new(PatentApplication.new(title: "Remote Beehive Monitoring", problem: problem, solution: solution, **attributes))
+  end
+
+  it "passes a titled application with a substantial problem and solution" do
+    expect(checklist).to be_passed
+    expect(checklist.failures).to be_empty
+    expect(checklist.checks.map(&:key)).to eq(%w[title problem solution])
+  end
+
+  it "rejects missing and temporary titles" do
+    expect(checklist(title: "").failures).to eq([ "Add a title that names the invention." ])
+    expect(checklist(title: "[Temporary Title 42]")).not_to be_passed
+    expect(checklist(title: "Untitled Patent Application")).not_to be_passed
+    expect(checklist(title: "TBD")).not_to be_passed
+  end
+
+  it "keeps real titles that start with a placeholder word" do
+    expect(described_class.placeholder_title?("Draft Beer Cooler")).to be(false)
+    expect(described_class.placeholder_title?("Test Strip Reader")).to be(false)
+    expect(described_class.placeholder_title?("New application")).to be(true)
+  end
+
+  it "asks for more words in a thin problem or solution" do
+    result = checklist(problem: "Hives are hard to check.", solution: nil)
+
+    expect(result).not_to be_passed
+    expect(result.failures).to eq([
+      "Describe the problem in at least 15 words (it has 5).",
+      "Describe the solution in at least 25 words (it has 0)."
+    ])
+  end
+end
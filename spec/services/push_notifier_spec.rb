@@ -0,0 +1,55 @@
+# spec/services/push_notifier_spec.rb
+require "rails_helper"
+
+RSpec.describe PushNotifier do
+  include ActiveJob::TestHelper
+
+  def subscribe(name, **attributes)
+    PushSubscription.create!(endpoint: "https://fcm.googleapis.com/fcm/send/#{name}", p256dh_key: "key", auth_key: "secret", **attributes)
+  end
+
+  let(:application) do
+    PatentApplication.create!(title: "Remote Beehive Monitoring", problem: "Beekeepers cannot check hive temperature remotely.",
+                              solution: "Wireless sensors report the temperature.", status: "complete")
+  end
+  let!(:everything) { subscribe("everything") }
+  let!(:replies_only) { subscribe("replies", topics: [ "ai_reply" ]) }
+
+  before { FakeWebPushService.clear_deliveries }
+
+  it "notifies subscribers when an application is published" do
+    expect { application.publish }.to have_enqueued_job(PushNotificationJob).exactly(:once)
+
+    perform_enqueued_jobs
+    delivery = FakeWebPushService.deliveries.sole
+    expect(delivery[:endpoint]).to eq(everything.endpoint)
+    expect(delivery[:payload]).to include("title" => "Application published")
+    expect(delivery[:payload].dig("options", "data", "path")).to eq("/patent_applications/#{application.id}")
+  end
+
+  it "notifies the browsers watching a published application about listing changes" do
+    application.publish
+    watcher = subscribe("watcher", watched_patent_ids: [ application.id.to_s ])
+    clear_enqueued_jobs
+
+    expect { application.update!(asking_price: 750) }.to have_enqueued_job(PushNotificationJob).with(watcher, hash_including(title: "Watched patent updated: Remote Beehive Monitoring"), urgency: "low")
+    expect { application.increment!(:views_count) }.not_to have_enqueued_job(PushNotificationJob)
+  end
+
+  it "sends AI reply notifications to the browsers that want them" do
+    expect(described_class.ai_reply_finished(application, "Here is a   much better problem statement.")).to eq(2)
+
+    perform_enqueued_jobs
+    expect(FakeWebPushService.deliveries.map { |delivery| delivery[:endpoint] }).to contain_exactly(everything.endpoint, replies_only.endpoint)
+    expect(FakeWebPushService.deliveries.first[:payload].dig("options", "body")).to eq("Here is a much better problem statement.")
+  end
+
+  it "deletes subscriptions the push service no longer knows" do
+    allow_any_instance_of(FakeWebPushService).to receive(:deliver).and_raise(WebPushService::ExpiredSubscription)
+
+    described_class.test_notification(everything)
+    perform_enqueued_jobs
+
+    expect(PushSubscription.exists?(everything.id)).to be(false)
+  end
+end
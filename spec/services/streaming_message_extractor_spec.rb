@@ -0,0 +1,44 @@
+# spec/services/streaming_message_extractor_spec.rb
+require "rails_helper"
+
+RSpec.describe StreamingMessageExtractor do
+  let(:reply) do
+    "```json\n" + JSON.pretty_generate({
+      problem: "Users forget to drink water.",
+      solution: "",
+      title: "Hydration reminder",
+      message: "Got it! \"Forgetting\" is common.\nWhat triggers it? é"
+    }) + "\n```"
+  end
+
+  # Feed the reply in pieces of the given size and collect the streamed text
+  def stream(text, size)
+    extractor = described_class.new
+    output = text.chars.each_slice(size).map { |piece| extractor.push(piece.join) }.join
+    [ output, extractor ]
+  end
+
+  it "streams only the decoded message of a JSON reply" do
+    [ 1, 3, 16 ].each do |size|
+      output, extractor = stream(reply, size)
+      expect(output).to eq("Got it! \"Forgetting\" is common.\nWhat triggers it? é")
+      expect(extractor).to be_finished
+    end
+  end
+
+  it "decodes unicode escapes split across chunks" do
+    output, = stream('{"message": "Café 😀"}', 1)
+    expect(output).to eq("Café \u{1F600}")
+  end
+
+  it "passes plain text replies through unchanged" do
+    output, = stream("What problem does your invention solve?", 5)
+    expect(output).to eq("What problem does your invention solve?")
+  end
+
+  it "returns nothing until the message field starts" do
+    extractor = described_class.new
+    expect(extractor.push("```json\n{\"problem\": \"A")).to eq("")
+    expect(extractor.push("\", \"message\": \"Hi")).to eq("Hi")
+  end
+end
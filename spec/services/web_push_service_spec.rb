@@ -0,0 +1,105 @@
+# spec/services/web_push_service_spec.rb
+require "rails_helper"
+
+RSpec.describe WebPushService do
+  let(:vapid_keys) { described_class.generate_vapid_keys }
+  let(:service) { described_class.new(**vapid_keys, subject: "mailto:push@example.com") }
+
+  # The browser's side of the subscription
+  let(:browser_key) { OpenSSL::PKey::EC.generate("prime256v1") }
+  let(:auth_secret) { OpenSSL::Random.random_bytes(16) }
+  let(:subscription) do
+    PushSubscription.new(
+      endpoint: "https://push.example.com/send/abc123",
+      p256dh_key: described_class.encode64(browser_key.public_key.to_octet_string(:uncompressed)),
+      auth_key: described_class.encode64(auth_secret)
+    )
+  end
+
+  # Decrypts a push message body the way the browser does (RFC 8291)
+  def decrypt(body)
+    salt = body.byteslice(0, 16)
+    record_size, key_length = body.byteslice(16, 5).unpack("NC")
+    server_public = body.byteslice(21, key_length)
+    ciphertext = body.byteslice(21 + key_length..)
+
+    shared_secret = browser_key.dh_compute_key(OpenSSL::PKey::EC::Point.new(browser_key.group, server_public))
+    browser_public = browser_key.public_key.to_octet_string(:uncompressed)
+    input_key = OpenSSL::KDF.hkdf(shared_secret, salt: auth_secret, info: "WebPush: info\0".b + browser_public + server_public, length: 32, hash: "SHA256")
+    content_key = OpenSSL::KDF.hkdf(input_key, salt: salt, info: "Content-Encoding: aes128gcm\0".b, length: 16, hash: "SHA256")
+    nonce = OpenSSL::KDF.hkdf(input_key, salt: salt, info: "Content-Encoding: nonce\0".b, length: 12, hash: "SHA256")
+
+    cipher = OpenSSL::Cipher.new("aes-128-gcm").decrypt
+    cipher.key = content_key
+    cipher.iv = nonce
+    cipher.auth_tag = ciphertext.byteslice(-16, 16)
+    plaintext = cipher.update(ciphertext.byteslice(0, ciphertext.bytesize - 16)) + cipher.final
+
+    expect(record_size).to eq(WebPushService::RECORD_SIZE)
+    expect(plaintext.byteslice(-1)).to eq("\x02".b)
+    plaintext.byteslice(0, plaintext.bytesize - 1).force_encoding("UTF-8")
+  end
+
+  # Stubs the push service with a response and returns the requests it received
+  def stub_push_service(response)
+    requests = []
+    allow(response).to receive(:body).and_return("")
+    http = double("http")
+    allow(http).to receive(:request) { |request| requests << request; response }
+    allow(Net::HTTP).to receive(:start).and_yield(http)
+    requests
+  end
+
+  it "encrypts the payload so only the subscribed browser can read it" do
+    body = service.encrypt({ title: "Published", options: { body: "Ünïcode ✓" } }.to_json, subscription.p256dh_key, subscription.auth_key)
+
+    expect(JSON.parse(decrypt(body))).to eq("title" => "Published", "options" => { "body" => "Ünïcode ✓" })
+  end
+
+  it "rejects payloads that don't fit a push message" do
+    expect {
+      service.encrypt("x" * (WebPushService::MAX_PAYLOAD_BYTES + 1), subscription.p256dh_key, subscription.auth_key)
+    }.to raise_error(ArgumentError, /too large/)
+  end
+
+  it "signs a VAPID token for the push service's origin" do
+    header = service.vapid_authorization(URI(subscription.endpoint))
+    token, public_key = header.match(/\Avapid t=(\S+), k=(\S+)\z/).captures
+    signing_input, _, signature = token.rpartition(".")
+    claims = JSON.parse(described_class.decode64(signing_input.split(".").last))
+
+    expect(public_key).to eq(vapid_keys[:public_key])
+    expect(claims).to include("aud" => "https://push.example.com", "sub" => "mailto:push@example.com")
+    expect(claims["exp"]).to be_within(60).of(12.hours.from_now.to_i)
+
+    raw = described_class.decode64(signature)
+    der = OpenSSL::ASN1::Sequence([ OpenSSL::ASN1::Integer(OpenSSL::BN.new(raw[0, 32], 2)), OpenSSL::ASN1::Integer(OpenSSL::BN.new(raw[32, 32], 2)) ]).to_der
+    expect(described_class.signing_key(vapid_keys[:public_key], vapid_keys[:private_key]).verify("SHA256", der, signing_input)).to be(true)
+  end
+
+  it "posts the encrypted notification with the Web Push headers" do
+    requests = stub_push_service(Net::HTTPCreated.new("1.1", "201", "Created"))
+
+    expect(service.deliver(subscription, { title: "Hello" }, urgency: "low")).to be(true)
+
+    request = requests.first
+    expect(request.path).to eq("/send/abc123")
+    expect(request["Content-Encoding"]).to eq("aes128gcm")
+    expect(request["TTL"]).to eq(WebPushService::DEFAULT_TTL.to_s)
+    expect(request["Urgency"]).to eq("low")
+    expect(request["Authorization"]).to start_with("vapid t=")
+    expect(JSON.parse(decrypt(request.body))).to eq("title" => "Hello")
+  end
+
+  it "reports expired subscriptions and other failures" do
+    stub_push_service(Net::HTTPGone.new("1.1", "410", "Gone"))
+    expect { service.deliver(subscription, { title: "Hello" }) }.to raise_error(WebPushService::ExpiredSubscription)
+
+    stub_push_service(Net::HTTPTooManyRequests.new("1.1", "429", "Too Many Requests"))
+    expect { service.deliver(subscription, { title: "Hello" }) }.to raise_error(WebPushService::DeliveryError, /429/)
+  end
+
+  it "raises if VAPID keys are missing" do
+    expect { described_class.new(public_key: nil, private_key: nil) }.to raise_error("VAPID keys missing!")
+  end
+end